@@ -1,15 +1,10 @@
 const bcrypt = require('bcryptjs');
-const fs = require('fs');
 const path = require('path');
+const { createDatabase } = require('../shared/db');
 
 async function createDemoUsers() {
-    const usersFile = path.join(__dirname, 'data/users.json');
-    
-    // Ensure data directory exists
-    const dataDir = path.join(__dirname, 'data');
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-    }
+    // Go through the repository so the checksum stays in sync with users.json
+    const db = createDatabase({ dataDir: path.join(__dirname, 'data') });
     
     // Hash passwords
     const adminPassword = await bcrypt.hash('admin123', 10);
@@ -22,7 +17,7 @@ async function createDemoUsers() {
             email: 'admin@alandstore.com',
             password: adminPassword,
             fullName: 'Administrator',
-            role: 'admin',
+            role: 'owner',
             createdAt: new Date().toISOString()
         },
         {
@@ -36,7 +31,8 @@ async function createDemoUsers() {
         }
     ];
     
-    fs.writeFileSync(usersFile, JSON.stringify(demoUsers, null, 2));
+    await db.users.replaceAll(demoUsers);
+    await db.close();
     console.log('✅ Demo users created successfully!');
     console.log('👤 Admin: admin@alandstore.com / admin123');
     console.log('👤 User: user@alandstore.com / user123');
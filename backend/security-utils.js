@@ -87,17 +87,21 @@ function requestLogger(req, res, next) {
 
 // Security headers checker
 function checkSecurityHeaders(req, res, next) {
-    // Check for suspicious patterns
+    // Check for suspicious patterns. SQL and shell words only count as whole words in the shape
+    // of a statement or call, so field names like "createdAt" or "selected" get through.
     const suspiciousPatterns = [
         /(<script|javascript:|data:|vbscript:)/i,
-        /(union|select|insert|delete|drop|create|alter)/i,
+        /\b(union\s+(all\s+)?select|select\s+[\w*,\s]+\s+from|insert\s+into|delete\s+from|(drop|create|alter)\s+(table|database))\b/i,
         /(\.\.\/|\.\.\\)/,
-        /(exec|eval|system|shell_exec)/i
+        /\b(exec|eval|system|shell_exec)\s*\(/i
     ];
     
+    // Plain query values (ids, sort keys, flags) can't carry any of these, so only free text is scanned
+    const query = Object.fromEntries(Object.entries(req.query || {}).filter(([, value]) => !isPlainValue(value)));
+    
     const checkString = JSON.stringify({
-        url: req.url,
-        query: req.query,
+        path: req.path,
+        query,
         body: req.body
     });
     
@@ -121,59 +125,18 @@ function checkSecurityHeaders(req, res, next) {
     next();
 }
 
-// Database backup function
-function createDatabaseBackup() {
-    const backupDir = path.join(__dirname, 'backups');
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    
-    if (!fs.existsSync(backupDir)) {
-        fs.mkdirSync(backupDir, { recursive: true });
-    }
-    
-    const dataDir = path.join(__dirname, 'data');
-    
-    if (fs.existsSync(dataDir)) {
-        const files = ['users.json', 'products.json', 'orders.json'];
-        
-        files.forEach(file => {
-            const sourcePath = path.join(dataDir, file);
-            const backupPath = path.join(backupDir, `${timestamp}-${file}`);
-            
-            if (fs.existsSync(sourcePath)) {
-                try {
-                    fs.copyFileSync(sourcePath, backupPath);
-                    logger.info(`Database backup created: ${backupPath}`);
-                } catch (error) {
-                    logger.error(`Failed to create backup for ${file}`, { error: error.message });
-                }
-            }
-        });
-        
-        // Clean old backups (keep only last 10)
-        cleanOldBackups(backupDir);
-    }
+function isPlainValue(value) {
+    return typeof value === 'string' && /^[\w.,:-]*$/.test(value);
 }
 
-function cleanOldBackups(backupDir) {
+// Snapshot every collection through the database's own adapter, so the backups always
+// come from the data directory it is reading (DB_DATA_DIR included)
+async function createDatabaseBackup(db) {
     try {
-        const files = fs.readdirSync(backupDir)
-            .filter(file => file.endsWith('.json'))
-            .map(file => ({
-                name: file,
-                time: fs.statSync(path.join(backupDir, file)).mtime.getTime()
-            }))
-            .sort((a, b) => b.time - a.time);
-        
-        // Keep only the 10 most recent backups
-        const filesToDelete = files.slice(10);
-        
-        filesToDelete.forEach(file => {
-            const filePath = path.join(backupDir, file.name);
-            fs.unlinkSync(filePath);
-            logger.info(`Old backup deleted: ${file.name}`);
-        });
+        const files = await db.backup();
+        files.forEach(file => logger.info(`Database backup created: ${file}`));
     } catch (error) {
-        logger.error('Error cleaning old backups', { error: error.message });
+        logger.error('Failed to create database backup', { error: error.message });
     }
 }
 
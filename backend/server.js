@@ -1,19 +1,20 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { body, validationResult, param } = require('express-validator');
 const mongoSanitize = require('express-mongo-sanitize');
 const hpp = require('hpp');
 require('dotenv').config();
 
 // Import security utilities
 const { logger, requestLogger, checkSecurityHeaders, createDatabaseBackup } = require('./security-utils');
+const { getDatabase } = require('../shared/db');
+const { createServices, ServiceError, requiresTwoFactor, hasPermission, MAX_PRODUCT_IMAGES, MAX_REVIEW_IMAGES } = require('../shared/services');
+const { createMailer } = require('../shared/mailer');
+const { ImageProcessor } = require('../shared/images');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -71,6 +72,16 @@ const authLimiter = rateLimit({
     skipSuccessfulRequests: true
 });
 
+// Reset requests always answer 200, so unlike authLimiter every request counts
+const passwordResetLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // limit each IP to 5 reset emails per hour
+    message: {
+        error: 'Too many password reset requests, please try again later.',
+        retryAfter: 3600
+    }
+});
+
 const adminLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 20, // limit each IP to 20 admin requests per windowMs
@@ -80,6 +91,16 @@ const adminLimiter = rateLimit({
     }
 });
 
+// Reviewing needs a delivered order, so this only has to stop one account flooding the moderation queue
+const reviewLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // limit each IP to 10 reviews per hour
+    message: {
+        error: 'Too many reviews, please try again later.',
+        retryAfter: 3600
+    }
+});
+
 app.use(generalLimiter);
 
 // Security middleware
@@ -119,351 +140,114 @@ app.use(hpp());
 // Static files
 app.use(express.static(path.join(__dirname, '../frontend')));
 
-// Multer untuk upload gambar
-const storage = multer.diskStorage({
-    destination: function (req, file, cb) {
-        cb(null, path.join(__dirname, '../frontend/images/products'))
-    },
-    filename: function (req, file, cb) {
-        cb(null, Date.now() + '-' + file.originalname)
-    }
-});
-const upload = multer({ storage: storage });
-
-// Database files
-const usersFile = path.join(__dirname, 'data/users.json');
-const productsFile = path.join(__dirname, 'data/products.json');
-const ordersFile = path.join(__dirname, 'data/orders.json');
+// Upload limits (see scripts/validate-env.js). One request never carries more files than a product can hold.
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5000000;
+const MAX_UPLOAD_FILES = Math.min(parseInt(process.env.MAX_UPLOAD_FILES) || MAX_PRODUCT_IMAGES, MAX_PRODUCT_IMAGES);
 
-// Initialize database files
-function initializeDB() {
-    const dataDir = path.join(__dirname, 'data');
-    if (!fs.existsSync(dataDir)) {
-        fs.mkdirSync(dataDir, { recursive: true });
-    }
-    
-    if (!fs.existsSync(usersFile)) {
-        fs.writeFileSync(usersFile, JSON.stringify([]));
-    }
-    
-    if (!fs.existsSync(productsFile)) {
-        const defaultProducts = [
-            {
-                id: 1,
-                name: "Smartphone Samsung Galaxy S24",
-                price: 5999000,
-                description: "Smartphone flagship dengan kamera terbaik dan performa tinggi",
-                image: "https://images.pexels.com/photos/788946/pexels-photo-788946.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
-                category: "Electronics",
-                stock: 10,
-                featured: true
-            },
-            {
-                id: 2,
-                name: "Laptop Gaming ASUS ROG",
-                price: 15999000,
-                description: "Laptop gaming dengan spesifikasi tinggi untuk para gamer",
-                image: "https://images.pexels.com/photos/2047905/pexels-photo-2047905.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
-                category: "Electronics",
-                stock: 5,
-                featured: true
-            },
-            {
-                id: 3,
-                name: "Sepatu Sneakers Nike Air",
-                price: 899000,
-                description: "Sepatu sneakers dengan kualitas premium dan design modern",
-                image: "https://images.pexels.com/photos/2529148/pexels-photo-2529148.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
-                category: "Fashion",
-                stock: 20,
-                featured: false
-            },
-            {
-                id: 4,
-                name: "Apple Watch Series 9",
-                price: 2499000,
-                description: "Smart watch dengan fitur kesehatan dan notifikasi lengkap",
-                image: "https://images.pexels.com/photos/437037/pexels-photo-437037.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
-                category: "Electronics",
-                stock: 15,
-                featured: true
-            },
-            {
-                id: 5,
-                name: "iPhone 15 Pro Max",
-                price: 18999000,
-                description: "iPhone terbaru dengan kamera pro dan performa maksimal",
-                image: "https://picsum.photos/400/400?random=5",
-                category: "Electronics",
-                stock: 8,
-                featured: true
-            },
-            {
-                id: 6,
-                name: "MacBook Pro M3",
-                price: 25999000,
-                description: "Laptop profesional dengan chip M3 untuk performa luar biasa",
-                image: "https://picsum.photos/400/400?random=6",
-                category: "Electronics",
-                stock: 3,
-                featured: true
-            },
-            {
-                id: 7,
-                name: "Nike Air Jordan Retro",
-                price: 2499000,
-                description: "Sepatu basket klasik dengan design ikonik dan kualitas premium",
-                image: "https://picsum.photos/400/400?random=7",
-                category: "Fashion",
-                stock: 15,
-                featured: false
-            },
-            {
-                id: 8,
-                name: "Adidas Ultraboost 22",
-                price: 2199000,
-                description: "Sepatu running dengan teknologi Boost untuk kenyamanan maksimal",
-                image: "https://picsum.photos/400/400?random=8",
-                category: "Fashion",
-                stock: 25,
-                featured: false
-            },
-            {
-                id: 9,
-                name: "Sony WH-1000XM5 Headphones",
-                price: 4999000,
-                description: "Headphone wireless dengan noise cancelling terbaik di kelasnya",
-                image: "https://picsum.photos/400/400?random=9",
-                category: "Electronics",
-                stock: 12,
-                featured: false
-            },
-            {
-                id: 10,
-                name: "iPad Pro 12.9 inch",
-                price: 16999000,
-                description: "Tablet profesional dengan layar Liquid Retina XDR",
-                image: "https://picsum.photos/400/400?random=10",
-                category: "Electronics",
-                stock: 7,
-                featured: true
-            },
-            {
-                id: 11,
-                name: "Samsung Galaxy Tab S9",
-                price: 9999000,
-                description: "Tablet Android premium dengan S Pen dan performa tinggi",
-                image: "https://picsum.photos/400/400?random=11",
-                category: "Electronics",
-                stock: 10,
-                featured: false
-            },
-            {
-                id: 12,
-                name: "Samsung Galaxy Watch 6",
-                price: 5999000,
-                description: "Smartwatch Android dengan fitur kesehatan dan fitness lengkap",
-                image: "https://picsum.photos/400/400?random=12",
-                category: "Electronics",
-                stock: 18,
-                featured: true
-            },
-            {
-                id: 13,
-                name: "Kemeja Formal Premium",
-                price: 599000,
-                description: "Kemeja formal berkualitas tinggi untuk tampilan profesional",
-                image: "https://picsum.photos/400/400?random=13",
-                category: "Fashion",
-                stock: 30,
-                featured: false
-            },
-            {
-                id: 14,
-                name: "Jaket Denim Vintage",
-                price: 799000,
-                description: "Jaket denim dengan gaya vintage yang tidak lekang oleh waktu",
-                image: "https://picsum.photos/400/400?random=14",
-                category: "Fashion",
-                stock: 20,
-                featured: false
-            },
-            {
-                id: 15,
-                name: "Tas Laptop Business",
-                price: 1299000,
-                description: "Tas laptop premium untuk kebutuhan bisnis dan travel",
-                image: "https://picsum.photos/400/400?random=15",
-                category: "Fashion",
-                stock: 15,
-                featured: false
-            },
-            {
-                id: 16,
-                name: "Gaming Chair RGB",
-                price: 3999000,
-                description: "Kursi gaming dengan pencahayaan RGB dan fitur ergonomis",
-                image: "https://picsum.photos/400/400?random=16",
-                category: "Home",
-                stock: 8,
-                featured: false
-            },
-            {
-                id: 17,
-                name: "Standing Desk Adjustable",
-                price: 2799000,
-                description: "Meja kerja yang dapat disesuaikan tingginya untuk produktivitas optimal",
-                image: "https://picsum.photos/400/400?random=17",
-                category: "Home",
-                stock: 12,
-                featured: false
-            },
-            {
-                id: 18,
-                name: "Smart TV 55 Inch 4K Samsung",
-                price: 8999000,
-                description: "Smart TV 4K dengan teknologi HDR dan sistem operasi Tizen",
-                image: "https://picsum.photos/400/400?random=18",
-                category: "Electronics",
-                stock: 6,
-                featured: true
-            },
-            {
-                id: 19,
-                name: "Mechanical Keyboard RGB",
-                price: 1599000,
-                description: "Keyboard mechanical dengan switch premium dan lampu RGB",
-                image: "https://picsum.photos/400/400?random=19",
-                category: "Electronics",
-                stock: 20,
-                featured: false
-            },
-            {
-                id: 20,
-                name: "Wireless Gaming Mouse",
-                price: 999000,
-                description: "Mouse gaming wireless dengan sensor presisi tinggi",
-                image: "https://picsum.photos/400/400?random=20",
-                category: "Electronics",
-                stock: 25,
-                featured: false
-            },
-            {
-                id: 21,
-                name: "Sepatu Bola Nike Mercurial",
-                price: 1799000,
-                description: "Sepatu bola profesional untuk performa maksimal di lapangan",
-                image: "https://picsum.photos/400/400?random=21",
-                category: "Sports",
-                stock: 18,
-                featured: false
-            },
-            {
-                id: 22,
-                name: "Dumbell Set 20KG",
-                price: 899000,
-                description: "Set dumbell adjustable untuk home gym dan fitness",
-                image: "https://picsum.photos/400/400?random=22",
-                category: "Sports",
-                stock: 12,
-                featured: false
-            },
-            {
-                id: 23,
-                name: "Yoga Mat Premium",
-                price: 299000,
-                description: "Matras yoga anti slip dengan ketebalan optimal untuk kenyamanan",
-                image: "https://picsum.photos/400/400?random=23",
-                category: "Sports",
-                stock: 30,
-                featured: false
-            }
-        ];
-        fs.writeFileSync(productsFile, JSON.stringify(defaultProducts, null, 2));
-    }
-    
-    if (!fs.existsSync(ordersFile)) {
-        fs.writeFileSync(ordersFile, JSON.stringify([]));
-    }
-}
+// Multer untuk upload gambar - uploads stay in memory and only the processed renditions reach
+// the disk, so the original (with its name and EXIF metadata) is never stored or served
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_SIZE, files: MAX_UPLOAD_FILES }
+});
 
-// Validation helpers
-function validateInput(req, res, next) {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            message: 'Input validation failed',
-            errors: errors.array().map(error => ({
-                field: error.path,
-                message: error.msg
-            }))
-        });
-    }
-    next();
-}
+// Middleware accepting up to maxFiles files in the multipart field "images", answering 413/400
+// instead of the generic 500 when a limit is exceeded
+const uploadImages = (maxFiles = MAX_UPLOAD_FILES) => (req, res, next) => {
+    const limit = Math.min(maxFiles, MAX_UPLOAD_FILES);
 
-function sanitizeInput(input) {
-    if (typeof input !== 'string') return input;
-    return input.trim().replace(/[<>"']/g, '');
-}
+    upload.array('images', limit)(req, res, error => {
+        if (!error) return next();
+        if (!(error instanceof multer.MulterError)) return next(error);
 
-// Secure file operations
-function safeReadFile(filePath) {
-    try {
-        if (!fs.existsSync(filePath)) {
-            return [];
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                message: `Ukuran gambar maksimal ${(MAX_FILE_SIZE / 1000000).toLocaleString('id-ID')} MB`,
+                code: 'FILE_TOO_LARGE'
+            });
         }
-        const content = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(content);
-    } catch (error) {
-        console.error(`Error reading file ${filePath}:`, error.message);
-        return [];
-    }
-}
+        if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return res.status(400).json({
+                message: `Maksimal ${limit} gambar per upload, di field "images"`,
+                code: 'TOO_MANY_FILES'
+            });
+        }
+        res.status(400).json({ message: 'Upload tidak valid', code: error.code });
+    });
+};
+
+// Uploaded images are rendered into thumb/card/full WebP + fallback files
+const imageProcessor = new ImageProcessor({
+    outputDir: path.join(__dirname, '../frontend/images/products'),
+    publicPath: '/images/products',
+    maxPixels: parseInt(process.env.MAX_IMAGE_PIXELS) || undefined
+});
 
-function safeWriteFile(filePath, data) {
+// Render the uploaded files in order. Resolves to the processed images; when one file fails, the
+// renditions already written are removed again.
+async function processUploads(files = []) {
+    const images = [];
     try {
-        // Create backup before writing
-        if (fs.existsSync(filePath)) {
-            const backupPath = `${filePath}.backup`;
-            fs.copyFileSync(filePath, backupPath);
+        for (const file of files) {
+            images.push(await imageProcessor.process(file.buffer));
         }
-        
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-        return true;
+        return images;
     } catch (error) {
-        console.error(`Error writing file ${filePath}:`, error.message);
-        return false;
+        await discardImages(images);
+        throw error;
     }
 }
 
-// Helper functions untuk database
-function readUsers() {
-    return safeReadFile(usersFile);
+function discardImages(images) {
+    return Promise.all(images.map(image => imageProcessor.remove(image)));
 }
 
-function writeUsers(users) {
-    return safeWriteFile(usersFile, users);
-}
+// Database (adapter chosen by DB_ADAPTER, see shared/db)
+const db = getDatabase({
+    dataDir: path.join(__dirname, 'data'),
+    backupDir: path.join(__dirname, 'backups')
+});
 
-function readProducts() {
-    return safeReadFile(productsFile);
-}
+// Outgoing email (MAIL_TRANSPORT, see shared/mailer) - by default messages land in backend/outbox
+const mailer = createMailer({ outboxDir: path.join(__dirname, 'outbox') });
 
-function writeProducts(products) {
-    return safeWriteFile(productsFile, products);
-}
+// Validation, pricing and stock rules live in shared/services so Netlify behaves the same
+const {
+    categoryService,
+    productService,
+    orderService,
+    reviewService,
+    wishlistService,
+    cartService,
+    userService,
+    sessionService,
+    passwordResetService,
+    emailVerificationService,
+    twoFactorService
+} = createServices(db, { jwtSecret: JWT_SECRET, mailer });
 
-function readOrders() {
-    return safeReadFile(ordersFile);
+// Initialize database - verify checksums (restoring from backup if needed), then seed empty collections
+async function initializeDB() {
+    const report = await db.checkIntegrity();
+    
+    report.forEach(entry => {
+        if (entry.status === 'ok') return;
+        
+        const level = entry.status === 'restored' ? 'warning' : 'error';
+        logger[level]('Database integrity problem', entry);
+    });
+    
+    await db.seed();
 }
 
-function writeOrders(orders) {
-    return safeWriteFile(ordersFile, orders);
+// Validation helpers
+function sanitizeInput(input) {
+    if (typeof input !== 'string') return input;
+    return input.trim().replace(/[<>"']/g, '');
 }
 
-// Enhanced JWT verification middleware
-function verifyToken(req, res, next) {
+// Enhanced JWT verification middleware - also rejects tokens whose session was revoked
+async function verifyToken(req, res, next) {
     try {
         const authHeader = req.header('Authorization');
         
@@ -483,15 +267,7 @@ function verifyToken(req, res, next) {
             });
         }
         
-        const decoded = jwt.verify(token, JWT_SECRET);
-        
-        // Additional security checks
-        if (!decoded.id || !decoded.email) {
-            return res.status(401).json({ 
-                message: 'Invalid token payload',
-                code: 'INVALID_PAYLOAD' 
-            });
-        }
+        const decoded = await sessionService.verifyAccessToken(token);
         
         // Check if token is not too old (additional security)
         const tokenAge = Date.now() / 1000 - decoded.iat;
@@ -511,16 +287,9 @@ function verifyToken(req, res, next) {
         
         next();
     } catch (error) {
-        if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({ 
-                message: 'Token has expired',
-                code: 'TOKEN_EXPIRED' 
-            });
-        } else if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({ 
-                message: 'Invalid token',
-                code: 'INVALID_TOKEN' 
-            });
+        // Expired, malformed and revoked tokens - see SessionService.verifyAccessToken
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
         } else {
             console.error('JWT Verification Error:', error);
             return res.status(500).json({ 
@@ -531,105 +300,59 @@ function verifyToken(req, res, next) {
     }
 }
 
-// Middleware untuk admin
-function verifyAdmin(req, res, next) {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ message: 'Akses ditolak. Admin only.' });
+// Middleware untuk staff - routes name the permission they need (see shared/services/permissions.js)
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!hasPermission(req.user.role, permission)) {
+            return res.status(403).json({
+                message: 'Akses ditolak. Anda tidak memiliki izin untuk tindakan ini.',
+                code: 'PERMISSION_DENIED',
+                permission
+            });
+        }
+        next();
+    };
+}
+
+// includeInactive=true adds deactivated products to the catalog routes - for staff who manage the catalog
+function allowInactiveForStaff(req, res, next) {
+    if (req.query.includeInactive !== 'true') {
+        return next();
     }
-    next();
+    verifyToken(req, res, () => requirePermission('products:write')(req, res, next));
 }
 
 // Routes
 
-// Register with validation
-app.post('/api/register', 
-    authLimiter,
-    [
-        body('username')
-            .isLength({ min: 3, max: 30 })
-            .withMessage('Username must be between 3 and 30 characters')
-            .matches(/^[a-zA-Z0-9_]+$/)
-            .withMessage('Username can only contain letters, numbers, and underscores'),
-        body('email')
-            .isEmail()
-            .withMessage('Must be a valid email address')
-            .normalizeEmail(),
-        body('password')
-            .isLength({ min: 6, max: 128 })
-            .withMessage('Password must be between 6 and 128 characters')
-            .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&].*$/)
-            .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character'),
-        body('fullName')
-            .isLength({ min: 2, max: 100 })
-            .withMessage('Full name must be between 2 and 100 characters')
-            .matches(/^[a-zA-Z\s]+$/)
-            .withMessage('Full name can only contain letters and spaces')
-    ],
-    validateInput,
-    async (req, res) => {
-    try {
-        let { username, email, password, fullName } = req.body;
-        
-        // Sanitize inputs
-        username = sanitizeInput(username.toLowerCase());
-        email = sanitizeInput(email.toLowerCase());
-        fullName = sanitizeInput(fullName);
-        
-        const users = readUsers();
-        
-        // Check if user exists (case-insensitive)
-        const existingUser = users.find(user => 
-            user.email.toLowerCase() === email || 
-            user.username.toLowerCase() === username
-        );
-        
-        if (existingUser) {
-            return res.status(409).json({ 
-                message: 'User already exists with this email or username',
-                code: 'USER_EXISTS' 
-            });
-        }
-        
-        // Hash password with higher salt rounds for production
-        const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
-        const hashedPassword = await bcrypt.hash(password, saltRounds);
-        
-        // Generate unique ID more securely
-        const newUserId = users.length > 0 ? Math.max(...users.map(u => u.id)) + 1 : 1;
-        
-        // Create new user
-        const newUser = {
-            id: newUserId,
-            username,
-            email,
-            password: hashedPassword,
-            fullName,
-            role: 'user',
-            createdAt: new Date().toISOString(),
-            lastLogin: null,
-            isActive: true
-        };
+// Register
+app.post('/api/register', authLimiter, async (req, res) => {
+    try {
+        const newUser = await userService.register(req.body);
         
-        users.push(newUser);
-        const success = writeUsers(users);
+        // Log successful registration (without sensitive data)
+        console.log(`New user registered: ${newUser.email} at ${new Date().toISOString()}`);
         
-        if (!success) {
-            return res.status(500).json({ 
-                message: 'Failed to save user data',
-                code: 'SAVE_ERROR' 
-            });
+        // The account exists either way - a lost email can be resent after logging in
+        let emailVerificationSent = true;
+        try {
+            await emailVerificationService.send(newUser);
+        } catch (error) {
+            emailVerificationSent = false;
+            logger.error('Verification email failed', { userId: newUser.id, error: error.message });
         }
         
-        // Log successful registration (without sensitive data)
-        console.log(`New user registered: ${email} at ${new Date().toISOString()}`);
-        
         res.status(201).json({ 
             message: 'User registered successfully', 
             userId: newUser.id,
-            username: newUser.username 
+            username: newUser.username,
+            emailVerificationSent
         });
         
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        
         console.error('Registration error:', error);
         res.status(500).json({ 
             message: 'Internal server error during registration',
@@ -638,313 +361,991 @@ app.post('/api/register',
     }
 });
 
-// Login with validation
-app.post('/api/login', 
-    authLimiter,
-    [
-        body('email')
-            .isEmail()
-            .withMessage('Must be a valid email address')
-            .normalizeEmail(),
-        body('password')
-            .isLength({ min: 1 })
-            .withMessage('Password is required')
-    ],
-    validateInput,
-    async (req, res) => {
+// Start a session for a user who passed every login step and send the tokens
+async function sendLoginSuccess(req, res, user, extra = {}) {
+    // Short-lived access token plus a refresh token for POST /api/token/refresh
+    const { accessToken, refreshToken, refreshTokenExpiresAt } = await sessionService.issue(user, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+    
+    // Log successful login (without sensitive data)
+    console.log(`User logged in: ${user.email} at ${new Date().toISOString()}`);
+    const profile = userService.toPublic(user);
+    
+    res.json({
+        message: 'Login successful',
+        token: accessToken,
+        refreshToken,
+        refreshTokenExpiresAt,
+        user: {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            fullName: user.fullName,
+            role: profile.role,
+            permissions: profile.permissions,
+            lastLogin: user.lastLogin,
+            emailVerified: profile.emailVerified,
+            twoFactorEnabled: profile.twoFactorEnabled
+        },
+        // Unverified accounts can browse but not check out
+        emailVerificationRequired: !profile.emailVerified,
+        ...extra
+    });
+}
+
+// Login
+app.post('/api/login', authLimiter, async (req, res) => {
     try {
-        let { email, password } = req.body;
-        
-        // Sanitize email
-        email = sanitizeInput(email.toLowerCase());
-        
-        const users = readUsers();
-        
-        // Find user (case-insensitive email)
-        const user = users.find(u => u.email.toLowerCase() === email);
+        const { email, password } = req.body;
+        const user = await userService.authenticate(email, password, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
         
-        if (!user) {
-            // Generic error message to prevent user enumeration
-            return res.status(401).json({ 
-                message: 'Invalid email or password',
-                code: 'INVALID_CREDENTIALS' 
+        // The password alone isn't enough - continue at POST /api/login/2fa
+        if (requiresTwoFactor(user)) {
+            return res.json({
+                message: 'Two-factor code required',
+                twoFactorRequired: true,
+                // Staff without a second factor set it up now, see POST /api/login/2fa/setup
+                enrollmentRequired: !user.twoFactorEnabled,
+                challengeToken: twoFactorService.createChallenge(user)
             });
         }
         
-        // Check if user is active
-        if (user.isActive === false) {
-            return res.status(403).json({ 
-                message: 'Account is deactivated',
-                code: 'ACCOUNT_DEACTIVATED' 
-            });
+        await sendLoginSuccess(req, res, user);
+        
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            if (error.code === 'INVALID_CREDENTIALS') {
+                // Log failed login attempt
+                console.log(`Failed login attempt for email: ${req.body.email} at ${new Date().toISOString()}`);
+            } else if (error.code === 'LOGIN_DELAYED' || error.code === 'ACCOUNT_LOCKED') {
+                logger.warning('Blocked login attempt', { email: req.body.email, code: error.code });
+                res.set('Retry-After', String(error.details.retryAfter));
+            }
+            return res.status(error.status).json(error.toJSON());
         }
         
-        // Check password
-        const isValidPassword = await bcrypt.compare(password, user.password);
+        console.error('Login error:', error);
+        res.status(500).json({ 
+            message: 'Internal server error during login',
+            code: 'LOGIN_ERROR' 
+        });
+    }
+});
+
+// Second login step: the challenge from POST /api/login plus a TOTP or recovery code
+app.post('/api/login/2fa', authLimiter, async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body;
+        const { user, recoveryCodes } = await twoFactorService.completeLogin(challengeToken, code, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
         
-        if (!isValidPassword) {
-            // Log failed login attempt
-            console.log(`Failed login attempt for email: ${email} at ${new Date().toISOString()}`);
-            
-            return res.status(401).json({ 
-                message: 'Invalid email or password',
-                code: 'INVALID_CREDENTIALS' 
-            });
+        if (recoveryCodes) {
+            logger.info('Two-factor authentication enabled during login', { userId: user.id });
         }
         
-        // Update last login
-        const userIndex = users.findIndex(u => u.id === user.id);
-        if (userIndex !== -1) {
-            users[userIndex].lastLogin = new Date().toISOString();
-            writeUsers(users);
+        // recoveryCodes is only set when this login enrolled the user
+        await sendLoginSuccess(req, res, user, recoveryCodes ? { recoveryCodes } : {});
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            if (error.code === 'INVALID_TWO_FACTOR_CODE') {
+                logger.warning('Invalid two-factor code', { ip: req.ip });
+            } else if (error.code === 'LOGIN_DELAYED' || error.code === 'ACCOUNT_LOCKED') {
+                res.set('Retry-After', String(error.details.retryAfter));
+            }
+            return res.status(error.status).json(error.toJSON());
         }
-        
-        // Create JWT token with expiration from env
-        const tokenPayload = {
-            id: user.id,
-            username: user.username,
-            email: user.email,
-            role: user.role,
-            iat: Math.floor(Date.now() / 1000)
-        };
-        
-        const token = jwt.sign(
-            tokenPayload,
-            JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRE || '24h' }
-        );
-        
-        // Log successful login (without sensitive data)
-        console.log(`User logged in: ${email} at ${new Date().toISOString()}`);
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Authenticator setup for staff who have to enrol before their first login completes
+app.post('/api/login/2fa/setup', authLimiter, async (req, res) => {
+    try {
+        const setup = await twoFactorService.startLoginEnrollment(req.body.challengeToken);
+        res.json(setup);
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Exchange a refresh token for a new access token; the refresh token is rotated
+app.post('/api/token/refresh', authLimiter, async (req, res) => {
+    try {
+        const { accessToken, refreshToken, refreshTokenExpiresAt } = await sessionService.refresh(req.body.refreshToken, {
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
         
         res.json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
-                username: user.username,
-                email: user.email,
-                fullName: user.fullName,
-                role: user.role,
-                lastLogin: user.lastLogin
-            }
+            message: 'Token refreshed',
+            token: accessToken,
+            refreshToken,
+            refreshTokenExpiresAt
         });
-        
     } catch (error) {
-        console.error('Login error:', error);
-        res.status(500).json({ 
-            message: 'Internal server error during login',
-            code: 'LOGIN_ERROR' 
-        });
+        if (error instanceof ServiceError) {
+            if (error.code === 'REFRESH_TOKEN_REUSED') {
+                logger.warning('Refresh token reuse detected, session revoked', { ip: req.ip });
+            }
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
     }
 });
 
-// Get products
-app.get('/api/products', (req, res) => {
+// Logout - revokes the session behind the refresh token, so its access tokens stop working too
+app.post('/api/logout', async (req, res) => {
     try {
-        const products = readProducts();
-        res.json(products);
+        await sessionService.revoke(req.body.refreshToken);
+        res.json({ message: 'Logout berhasil' });
     } catch (error) {
         res.status(500).json({ message: 'Error server', error: error.message });
     }
 });
 
-// Get single product
-app.get('/api/products/:id', (req, res) => {
+// Forgot password - emails a single-use reset link. The answer is the same for unknown emails.
+app.post('/api/password-reset/request', passwordResetLimiter, async (req, res) => {
     try {
-        const products = readProducts();
-        const product = products.find(p => p.id === parseInt(req.params.id));
+        await passwordResetService.request(req.body.email, { ip: req.ip });
+        logger.info('Password reset requested', { email: req.body.email, ip: req.ip });
         
-        if (!product) {
-            return res.status(404).json({ message: 'Produk tidak ditemukan' });
+        res.json({ message: 'Jika email terdaftar, tautan reset password telah dikirim' });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
         }
+        logger.error('Password reset email failed', { error: error.message });
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Set a new password with the emailed token; every open session of the account is ended
+app.post('/api/password-reset/confirm', authLimiter, async (req, res) => {
+    try {
+        const user = await passwordResetService.confirm(req.body.token, req.body.password);
+        logger.info('Password reset completed', { userId: user.id, ip: req.ip });
         
-        res.json(product);
+        res.json({ message: 'Password berhasil diubah. Silakan login dengan password baru.' });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         res.status(500).json({ message: 'Error server', error: error.message });
     }
 });
 
-// Add product (Admin only)
-app.post('/api/products', 
-    verifyToken, 
-    verifyAdmin, 
-    adminLimiter,
-    upload.single('image'), 
-    [
-        body('name')
-            .isLength({ min: 2, max: 200 })
-            .withMessage('Product name must be between 2 and 200 characters')
-            .matches(/^[a-zA-Z0-9\s\-_]+$/)
-            .withMessage('Product name contains invalid characters'),
-        body('price')
-            .isInt({ min: 1, max: 999999999 })
-            .withMessage('Price must be a positive integer'),
-        body('category')
-            .isIn(['Electronics', 'Fashion', 'Home', 'Sports'])
-            .withMessage('Invalid category'),
-        body('stock')
-            .isInt({ min: 0, max: 999999 })
-            .withMessage('Stock must be a non-negative integer'),
-        body('description')
-            .isLength({ min: 10, max: 1000 })
-            .withMessage('Description must be between 10 and 1000 characters')
-    ],
-    validateInput,
-    (req, res) => {
+// Open a verification link - no login needed, the token names the account
+app.post('/api/verify-email', authLimiter, async (req, res) => {
     try {
-        const { name, price, description, category, stock } = req.body;
-        const products = readProducts();
-        
-        const newProduct = {
-            id: products.length > 0 ? Math.max(...products.map(p => p.id)) + 1 : 1,
-            name,
-            price: parseInt(price),
-            description,
-            category,
-            stock: parseInt(stock),
-            image: req.file ? `/images/products/${req.file.filename}` : '/images/products/default.jpg',
-            featured: false,
-            createdAt: new Date().toISOString()
-        };
-        
-        products.push(newProduct);
-        writeProducts(products);
-        
-        res.status(201).json({ message: 'Produk berhasil ditambahkan', product: newProduct });
+        const user = await emailVerificationService.verify(req.body.token);
+        res.json({ message: 'Email berhasil diverifikasi', user: userService.toPublic(user) });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         res.status(500).json({ message: 'Error server', error: error.message });
     }
 });
 
-// Update product (Admin only)
-app.put('/api/products/:id', verifyToken, verifyAdmin, upload.single('image'), (req, res) => {
+// Send the logged-in user a new verification link
+app.post('/api/verify-email/resend', verifyToken, async (req, res) => {
     try {
-        const { name, price, description, category, stock } = req.body;
-        const products = readProducts();
-        const productIndex = products.findIndex(p => p.id === parseInt(req.params.id));
-        
-        if (productIndex === -1) {
-            return res.status(404).json({ message: 'Produk tidak ditemukan' });
+        await emailVerificationService.resend(req.user.id);
+        res.json({ message: 'Email verifikasi telah dikirim ulang' });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
         }
-        
-        products[productIndex] = {
-            ...products[productIndex],
-            name: name || products[productIndex].name,
-            price: price ? parseInt(price) : products[productIndex].price,
-            description: description || products[productIndex].description,
-            category: category || products[productIndex].category,
-            stock: stock ? parseInt(stock) : products[productIndex].stock,
-            image: req.file ? `/images/products/${req.file.filename}` : products[productIndex].image,
-            updatedAt: new Date().toISOString()
-        };
-        
-        writeProducts(products);
-        
-        res.json({ message: 'Produk berhasil diupdate', product: products[productIndex] });
+        logger.error('Verification email failed', { userId: req.user.id, error: error.message });
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Recent login attempts on the logged-in user's account
+app.get('/api/account/login-history', verifyToken, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = parseInt(req.query.offset) || 0;
+        const { history, total } = await userService.listLoginHistory(req.user.id, { limit, offset });
+
+        res.json({
+            message: 'Riwayat login berhasil dimuat',
+            data: {
+                history,
+                pagination: { total, limit, offset, hasMore: offset + history.length < total }
+            }
+        });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         res.status(500).json({ message: 'Error server', error: error.message });
     }
 });
 
-// Delete product (Admin only)
-app.delete('/api/products/:id', verifyToken, verifyAdmin, (req, res) => {
+// Two-factor status of the logged-in user's account
+app.get('/api/account/2fa', verifyToken, async (req, res) => {
     try {
-        const products = readProducts();
-        const productIndex = products.findIndex(p => p.id === parseInt(req.params.id));
-        
-        if (productIndex === -1) {
-            return res.status(404).json({ message: 'Produk tidak ditemukan' });
+        const user = await userService.getById(req.user.id);
+        res.json({ message: 'Status verifikasi dua langkah berhasil dimuat', data: twoFactorService.status(user) });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Start authenticator app enrolment - answers with the secret, otpauth URI and QR code
+app.post('/api/account/2fa/setup', verifyToken, async (req, res) => {
+    try {
+        const setup = await twoFactorService.setup(req.user.id);
+        res.json({ message: 'Pengaturan verifikasi dua langkah dimulai', data: setup });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
         }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Confirm enrolment with the first code from the app; the recovery codes are shown only now
+app.post('/api/account/2fa/enable', verifyToken, authLimiter, async (req, res) => {
+    try {
+        const { user, recoveryCodes } = await twoFactorService.enable(req.user.id, req.body.code);
         
-        products.splice(productIndex, 1);
-        writeProducts(products);
+        logger.info('Two-factor authentication enabled', { userId: user.id });
         
-        res.json({ message: 'Produk berhasil dihapus' });
+        res.json({ message: 'Verifikasi dua langkah berhasil diaktifkan', data: { ...twoFactorService.status(user), recoveryCodes } });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         res.status(500).json({ message: 'Error server', error: error.message });
     }
 });
 
-// Create order
-app.post('/api/orders', verifyToken, (req, res) => {
+// Turn the second factor off (not allowed for staff)
+app.post('/api/account/2fa/disable', verifyToken, authLimiter, async (req, res) => {
     try {
-        const { items, totalAmount, shippingAddress } = req.body;
-        const orders = readOrders();
-        
-        const newOrder = {
-            id: orders.length + 1,
-            userId: req.user.id,
-            items,
-            totalAmount,
-            shippingAddress,
-            status: 'pending',
-            createdAt: new Date().toISOString()
-        };
+        const user = await twoFactorService.disable(req.user.id, req.body.code);
         
-        orders.push(newOrder);
-        writeOrders(orders);
+        logger.warning('Two-factor authentication disabled', { userId: user.id });
         
-        res.status(201).json({ message: 'Order berhasil dibuat', order: newOrder });
+        res.json({ message: 'Verifikasi dua langkah dinonaktifkan', data: twoFactorService.status(user) });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         res.status(500).json({ message: 'Error server', error: error.message });
     }
 });
 
-// Get user orders
-app.get('/api/orders', verifyToken, (req, res) => {
+// Replace the recovery codes
+app.post('/api/account/2fa/recovery-codes', verifyToken, authLimiter, async (req, res) => {
     try {
-        const orders = readOrders();
-        const userOrders = orders.filter(order => order.userId === req.user.id);
-        
-        res.json(userOrders);
+        const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+        res.json({ message: 'Kode pemulihan baru telah dibuat', data: { recoveryCodes } });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         res.status(500).json({ message: 'Error server', error: error.message });
     }
 });
 
-// Get all orders (Admin only)
-app.get('/api/admin/orders', verifyToken, verifyAdmin, (req, res) => {
+// Get products
+app.get('/api/products', allowInactiveForStaff, async (req, res) => {
     try {
-        const orders = readOrders();
-        res.json(orders);
+        // Same query parameters and response as the Netlify products function
+        const result = await productService.search(req.query, { includeInactive: req.query.includeInactive === 'true' });
+
+        res.json({
+            message: 'Produk berhasil dimuat',
+            data: {
+                products: result.products,
+                pagination: {
+                    total: result.total,
+                    limit: result.limit,
+                    offset: result.offset,
+                    hasMore: result.offset + result.products.length < result.total
+                },
+                filters: result.filters,
+                facets: result.facets,
+                sorting: result.sorting
+            }
+        });
     } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
         res.status(500).json({ message: 'Error server', error: error.message });
     }
 });
 
-// Serve frontend
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '../frontend/index.html'));
+// Autocomplete for the navbar search box
+app.get('/api/products/suggest', async (req, res) => {
+    try {
+        const suggestions = await productService.suggest(req.query.q, { limit: req.query.limit });
+        res.json({ message: 'Saran produk dimuat', data: { suggestions } });
+    } catch (error) {
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
 });
 
-app.get('/login', (req, res) => {
-    res.sendFile(path.join(__dirname, '../frontend/pages/login.html'));
+// Single product for its detail page, with related products - same response as the Netlify products function
+app.get('/api/products/:id', allowInactiveForStaff, async (req, res) => {
+    try {
+        const product = await productService.getVisible(req.params.id, { includeInactive: req.query.includeInactive === 'true' });
+        const related = await productService.related(product, { limit: req.query.related });
+        res.json({ message: 'Produk berhasil dimuat', data: { product, related } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
 });
 
-app.get('/register', (req, res) => {
-    res.sendFile(path.join(__dirname, '../frontend/pages/register.html'));
+// Add product (Staff only) - photos come as the multipart field "images", the first one is primary
+app.post('/api/products', verifyToken, requirePermission('products:write'), adminLimiter, uploadImages(), async (req, res) => {
+    let images = [];
+    try {
+        images = await processUploads(req.files);
+        const newProduct = await productService.create(req.body, { createdBy: req.user.id, images });
+        
+        res.status(201).json({ message: 'Produk berhasil ditambahkan', product: newProduct });
+    } catch (error) {
+        await discardImages(images);
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
 });
 
-app.get('/admin', (req, res) => {
-    res.sendFile(path.join(__dirname, '../frontend/pages/admin.html'));
+// Update product (Staff only) - uploaded "images" are added after the existing ones
+app.put('/api/products/:id', verifyToken, requirePermission('products:write'), uploadImages(), async (req, res) => {
+    let images = [];
+    try {
+        images = await processUploads(req.files);
+        const { product } = await productService.update(req.params.id, req.body, { images });
+        
+        res.json({ message: 'Produk berhasil diupdate', product });
+    } catch (error) {
+        await discardImages(images);
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
 });
 
-// Global error handler
-app.use((error, req, res, next) => {
-    logger.error('Unhandled Error', {
-        error: error.message,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-        url: req.url,
-        method: req.method,
-        ip: req.ip
-    });
-    
-    res.status(500).json({
-        message: 'Internal server error',
-        code: 'INTERNAL_ERROR',
-        requestId: Date.now().toString(36) // Simple request ID for tracking
-    });
+// Reorder product images and/or choose the primary one: { order: [imageId, ...], primaryId } (Staff only)
+app.put('/api/products/:id/images', verifyToken, requirePermission('products:write'), async (req, res) => {
+    try {
+        const { product, changes } = await productService.arrangeImages(req.params.id, req.body);
+        res.json({ message: 'Gambar produk berhasil diatur', data: { product, changes } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Remove one product image and its files (Staff only)
+app.delete('/api/products/:id/images/:imageId', verifyToken, requirePermission('products:write'), async (req, res) => {
+    try {
+        const { product, image } = await productService.removeImage(req.params.id, req.params.imageId);
+        await imageProcessor.remove(image);
+        res.json({ message: 'Gambar produk berhasil dihapus', data: { product } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Delete product, its reviews and their uploaded image files (Staff only)
+app.delete('/api/products/:id', verifyToken, requirePermission('products:write'), async (req, res) => {
+    try {
+        const product = await productService.remove(req.params.id);
+        const reviews = await reviewService.removeForProduct(product.id);
+        await discardImages([product, ...reviews].flatMap(record => record.images || []));
+        res.json({ message: 'Produk berhasil dihapus' });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Approved reviews of a product with its rating summary - same response as the Netlify reviews function
+app.get('/api/reviews', async (req, res) => {
+    try {
+        const { reviews, total, summary } = await reviewService.listForProduct(req.query.productId, req.query);
+        const limit = parseInt(req.query.limit) || 10;
+        const offset = parseInt(req.query.offset) || 0;
+
+        res.json({
+            message: 'Ulasan berhasil dimuat',
+            data: {
+                reviews,
+                summary,
+                pagination: { total, limit, offset, hasMore: offset + reviews.length < total }
+            }
+        });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Whether the logged in customer can review a product, and their own review if they wrote one
+app.get('/api/reviews/mine', verifyToken, async (req, res) => {
+    try {
+        const eligibility = await reviewService.eligibility(req.user.id, req.query.productId);
+        res.json({ message: 'Status ulasan dimuat', data: eligibility });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Review a product from a delivered order: productId, rating, text and optional photos in the multipart field "images"
+app.post('/api/reviews', verifyToken, reviewLimiter, uploadImages(MAX_REVIEW_IMAGES), async (req, res) => {
+    let images = [];
+    try {
+        images = await processUploads(req.files);
+        const review = await reviewService.create(req.user.id, req.body, { images });
+
+        logger.info('Review submitted', {
+            userId: req.user.id,
+            reviewId: review.id,
+            productId: review.productId
+        });
+
+        res.status(201).json({
+            message: 'Ulasan terkirim dan akan tampil setelah diperiksa',
+            data: { review: reviewService.toOwn(review) }
+        });
+    } catch (error) {
+        await discardImages(images);
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// The logged in customer's wishlist, each entry flagged with whether it can be bought now - same response as the Netlify wishlist function
+app.get('/api/wishlist', verifyToken, async (req, res) => {
+    try {
+        const items = await wishlistService.list(req.user.id);
+        res.json({ message: 'Wishlist berhasil dimuat', data: { items } });
+    } catch (error) {
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Save a product for later: productId. Saving it again is not an error.
+app.post('/api/wishlist', verifyToken, async (req, res) => {
+    try {
+        const { item, created } = await wishlistService.add(req.user.id, req.body);
+        res.status(created ? 201 : 200).json({
+            message: 'Produk disimpan ke wishlist',
+            data: { item }
+        });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+app.delete('/api/wishlist/:productId', verifyToken, async (req, res) => {
+    try {
+        await wishlistService.remove(req.user.id, req.params.productId);
+        res.json({ message: 'Produk dihapus dari wishlist' });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// The logged in customer's cart, checked against current prices and stock on every call - same responses as the Netlify cart function
+app.get('/api/cart', verifyToken, async (req, res) => {
+    try {
+        const cart = await cartService.get(req.user.id);
+        res.json({ message: 'Keranjang berhasil dimuat', data: { cart } });
+    } catch (error) {
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Add to the cart: productId, variantId (for products with variants) and quantity
+app.post('/api/cart/items', verifyToken, async (req, res) => {
+    try {
+        const cart = await cartService.addItem(req.user.id, req.body);
+        res.json({ message: 'Produk ditambahkan ke keranjang', data: { cart } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Set the quantity of a cart line, 0 removes it. :key is "productId" or "productId:variantId".
+app.put('/api/cart/items/:key', verifyToken, async (req, res) => {
+    try {
+        const cart = await cartService.updateItem(req.user.id, req.params.key, req.body);
+        res.json({ message: 'Keranjang diperbarui', data: { cart } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+app.delete('/api/cart/items/:key', verifyToken, async (req, res) => {
+    try {
+        const cart = await cartService.removeItem(req.user.id, req.params.key);
+        res.json({ message: 'Produk dihapus dari keranjang', data: { cart } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+app.delete('/api/cart', verifyToken, async (req, res) => {
+    try {
+        const cart = await cartService.clear(req.user.id);
+        res.json({ message: 'Keranjang dikosongkan', data: { cart } });
+    } catch (error) {
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Merge the cart built before logging in: items [{ productId, variantId, quantity }]
+app.post('/api/cart/merge', verifyToken, async (req, res) => {
+    try {
+        const { cart, skipped } = await cartService.merge(req.user.id, req.body.items);
+        res.json({ message: 'Keranjang digabungkan', data: { cart, skipped } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Category tree with product counts - same response as the Netlify categories function
+app.get('/api/categories', async (req, res) => {
+    try {
+        const categories = await categoryService.tree();
+        res.json({ message: 'Kategori berhasil dimuat', data: { categories } });
+    } catch (error) {
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+app.get('/api/categories/:id', async (req, res) => {
+    try {
+        const category = await categoryService.getById(req.params.id);
+        res.json({ message: 'Kategori berhasil dimuat', data: { category } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Add category (Staff only)
+app.post('/api/categories', verifyToken, requirePermission('products:write'), adminLimiter, async (req, res) => {
+    try {
+        const category = await categoryService.create(req.body);
+        res.status(201).json({ message: 'Kategori berhasil ditambahkan', data: { category } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Update category - rename, move under another parent, reorder or change icon (Staff only)
+app.put('/api/categories/:id', verifyToken, requirePermission('products:write'), async (req, res) => {
+    try {
+        const { category, changes } = await categoryService.update(req.params.id, req.body);
+        res.json({ message: 'Kategori berhasil diupdate', data: { category, changes } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Delete an empty category (Staff only)
+app.delete('/api/categories/:id', verifyToken, requirePermission('products:write'), async (req, res) => {
+    try {
+        await categoryService.remove(req.params.id);
+        res.json({ message: 'Kategori berhasil dihapus' });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Price a cart (checkout review) - same rules as order creation, nothing is stored
+app.post('/api/orders/quote', verifyToken, async (req, res) => {
+    try {
+        const quote = await orderService.quote(req.body.items);
+        res.json({ message: 'Ringkasan pesanan dihitung', data: { quote } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Create order - only productId/quantity are taken from the client; prices, totals and stock come from the catalog
+app.post('/api/orders', verifyToken, async (req, res) => {
+    try {
+        const { items, shippingAddress, paymentMethod, notes } = req.body;
+
+        const newOrder = await orderService.create(req.user.id, {
+            items,
+            shippingAddress,
+            paymentMethod,
+            notes
+        });
+
+        logger.info('Order created', {
+            userId: req.user.id,
+            orderId: newOrder.id,
+            orderNumber: newOrder.orderNumber,
+            totalAmount: newOrder.totalAmount
+        });
+
+        res.status(201).json({ message: 'Order berhasil dibuat', data: { order: newOrder } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Get user orders - same query parameters (status, limit, offset, sortBy, sortOrder, adminView)
+// and response as the Netlify orders function
+app.get('/api/orders', verifyToken, async (req, res) => {
+    try {
+        const isAdminRequest = req.query.adminView === 'true';
+        const isAdmin = hasPermission(req.user.role, 'orders:read');
+        
+        if (isAdminRequest && !isAdmin) {
+            return res.status(403).json({
+                message: 'Akses ditolak. Anda tidak memiliki izin untuk tindakan ini.',
+                code: 'PERMISSION_DENIED',
+                permission: 'orders:read'
+            });
+        }
+        
+        const result = await orderService.list({
+            userId: req.user.id,
+            staff: isAdmin,
+            all: isAdminRequest
+        }, req.query);
+        
+        res.json({ message: 'Pesanan berhasil dimuat', data: result });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Get all orders (Staff only)
+app.get('/api/admin/orders', verifyToken, requirePermission('orders:read'), async (req, res) => {
+    try {
+        res.json({ message: 'Pesanan berhasil dimuat', data: { orders: await orderService.listForStaff() } });
+    } catch (error) {
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Update order status, payment status, tracking number or notes (Staff only).
+// Uses the same transition graph as the Netlify orders-manage function (see OrderService).
+app.patch('/api/admin/orders/:id', verifyToken, requirePermission('orders:fulfil'), adminLimiter, async (req, res) => {
+    try {
+        const { status, paymentStatus, trackingNumber, notes, note } = req.body;
+        const { order, changes } = await orderService.update(req.params.id, {
+            status,
+            paymentStatus,
+            trackingNumber,
+            notes,
+            note
+        }, { type: 'admin', id: req.user.id, name: req.user.username });
+        
+        logger.info('Order updated by admin', {
+            adminId: req.user.id,
+            orderId: order.id,
+            orderNumber: order.orderNumber,
+            changes
+        });
+        
+        res.json({ message: 'Order berhasil diupdate', data: { order: orderService.toStaffView(order), changes } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Review moderation queue: status=pending|approved|rejected (empty for all), productId, limit, offset (Staff only)
+app.get('/api/admin/reviews', verifyToken, requirePermission('reviews:moderate'), async (req, res) => {
+    try {
+        const { status = 'pending', productId } = req.query;
+        const limit = parseInt(req.query.limit) || 10;
+        const offset = parseInt(req.query.offset) || 0;
+        const { reviews, total } = await reviewService.listForModeration({ status, productId, limit, offset });
+
+        res.json({
+            message: 'Ulasan berhasil dimuat',
+            data: {
+                reviews,
+                pagination: { total, limit, offset, hasMore: offset + reviews.length < total }
+            }
+        });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Approve or reject a review: { status, note } - updates the product's rating (Staff only)
+app.patch('/api/admin/reviews/:id', verifyToken, requirePermission('reviews:moderate'), adminLimiter, async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        const { review, product } = await reviewService.moderate(req.params.id, { status, note }, req.user);
+
+        logger.info('Review moderated', {
+            adminId: req.user.id,
+            reviewId: review.id,
+            status: review.status
+        });
+
+        res.json({ message: 'Ulasan berhasil dimoderasi', data: { review, product } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Delete a review and its photos (Staff only)
+app.delete('/api/admin/reviews/:id', verifyToken, requirePermission('reviews:moderate'), async (req, res) => {
+    try {
+        const review = await reviewService.remove(req.params.id);
+        await discardImages(review.images || []);
+
+        logger.info('Review deleted', {
+            adminId: req.user.id,
+            reviewId: review.id,
+            productId: review.productId
+        });
+
+        res.json({ message: 'Ulasan berhasil dihapus', data: { reviewId: review.id } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// List and search users (Staff only)
+app.get('/api/admin/users', verifyToken, requirePermission('users:read'), async (req, res) => {
+    try {
+        const { search, role, status } = req.query;
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = parseInt(req.query.offset) || 0;
+        const { users, total } = await userService.list({ search, role, status, limit, offset });
+
+        res.json({
+            message: 'Pengguna berhasil dimuat',
+            data: {
+                users,
+                pagination: { total, limit, offset, hasMore: offset + users.length < total }
+            }
+        });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Recent login attempts on a user's account (Staff only)
+app.get('/api/admin/users/:id/login-history', verifyToken, requirePermission('users:read'), async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const offset = parseInt(req.query.offset) || 0;
+        const { history, total } = await userService.listLoginHistory(req.params.id, { limit, offset });
+
+        res.json({
+            message: 'Riwayat login berhasil dimuat',
+            data: {
+                history,
+                pagination: { total, limit, offset, hasMore: offset + history.length < total }
+            }
+        });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Change a user's role or deactivate/reactivate the account (Staff only)
+app.patch('/api/admin/users/:id', verifyToken, requirePermission('users:manage'), adminLimiter, async (req, res) => {
+    try {
+        const { role, isActive } = req.body;
+        const { user, changes } = await userService.update(req.params.id, { role, isActive }, req.user);
+
+        logger.warning('User account changed by admin', {
+            adminId: req.user.id,
+            userId: user.id,
+            changes
+        });
+
+        res.json({ message: 'Pengguna berhasil diupdate', data: { user: userService.toPublic(user), changes } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Block password logins until the user sets a new password (Staff only)
+app.post('/api/admin/users/:id/reset-password', verifyToken, requirePermission('users:reset-password'), adminLimiter, async (req, res) => {
+    try {
+        const user = await userService.requirePasswordReset(req.params.id, req.user);
+
+        // The account can't log in until the user follows this link
+        await passwordResetService.request(user.email, { ip: req.ip });
+
+        logger.warning('Password reset forced by admin', {
+            adminId: req.user.id,
+            userId: user.id
+        });
+
+        res.json({ message: 'Pengguna wajib mengganti password. Tautan reset telah dikirim.', data: { user: userService.toPublic(user) } });
+    } catch (error) {
+        if (error instanceof ServiceError) {
+            return res.status(error.status).json(error.toJSON());
+        }
+        res.status(500).json({ message: 'Error server', error: error.message });
+    }
+});
+
+// Serve frontend
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/index.html'));
+});
+
+app.get('/login', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/pages/login.html'));
+});
+
+app.get('/register', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/pages/register.html'));
+});
+
+app.get('/admin', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/pages/admin.html'));
+});
+
+app.get('/orders', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/pages/orders.html'));
+});
+
+app.get('/forgot-password', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/pages/forgot-password.html'));
+});
+
+app.get('/reset-password', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/pages/reset-password.html'));
+});
+
+app.get('/verify-email', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/pages/verify-email.html'));
+});
+
+app.get('/account', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/pages/account.html'));
+});
+
+app.get('/product/:id', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/pages/product.html'));
+});
+
+app.get('/wishlist', (req, res) => {
+    res.sendFile(path.join(__dirname, '../frontend/pages/wishlist.html'));
+});
+
+// Global error handler
+app.use((error, req, res, next) => {
+    logger.error('Unhandled Error', {
+        error: error.message,
+        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+        url: req.url,
+        method: req.method,
+        ip: req.ip
+    });
+    
+    res.status(500).json({
+        message: 'Internal server error',
+        code: 'INTERNAL_ERROR',
+        requestId: Date.now().toString(36) // Simple request ID for tracking
+    });
 });
 
 // Handle 404
@@ -989,25 +1390,35 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Initialize database and start server
-initializeDB();
-
-// Create initial backup
-createDatabaseBackup();
-
-// Schedule regular backups (every hour)
-setInterval(() => {
-    createDatabaseBackup();
-}, parseInt(process.env.DB_BACKUP_INTERVAL) || 3600000);
+async function startServer() {
+    await initializeDB();
+    
+    // Create initial backup
+    await createDatabaseBackup(db);
+    
+    // Schedule regular backups (every hour)
+    setInterval(() => {
+        createDatabaseBackup(db);
+    }, parseInt(process.env.DB_BACKUP_INTERVAL) || 3600000);
+    
+    app.listen(PORT, () => {
+        logger.info('Server Started', {
+            port: PORT,
+            environment: process.env.NODE_ENV || 'development',
+            nodeVersion: process.version
+        });
+        
+        console.log(`🚀 Server berjalan di http://localhost:${PORT}`);
+        console.log(`📦 Toko Online by alandyudhistira 2025`);
+        console.log(`🔒 Security features: Enabled`);
+        console.log(`📝 Logging: ${process.env.NODE_ENV === 'development' ? 'Console + File' : 'File Only'}`);
+    });
+}
 
-app.listen(PORT, () => {
-    logger.info('Server Started', {
-        port: PORT,
-        environment: process.env.NODE_ENV || 'development',
-        nodeVersion: process.version
+startServer().catch(error => {
+    logger.error('Server failed to start', {
+        error: error.message,
+        stack: error.stack
     });
-    
-    console.log(`🚀 Server berjalan di http://localhost:${PORT}`);
-    console.log(`📦 Toko Online by alandyudhistira 2025`);
-    console.log(`🔒 Security features: Enabled`);
-    console.log(`📝 Logging: ${process.env.NODE_ENV === 'development' ? 'Console + File' : 'File Only'}`);
+    process.exit(1);
 });
@@ -0,0 +1,39 @@
+// ===== ACCOUNT DISPLAY HELPERS =====
+// Shared by the account page and the admin panel. Uses escapeHtml and formatOrderDate from order-ui.js.
+
+// Mirrors LOGIN_RESULTS in shared/services/user-service.js
+const LOGIN_RESULT_LABELS = {
+    success: 'Login berhasil',
+    invalid_password: 'Password salah',
+    two_factor_required: 'Password benar - menunggu kode verifikasi',
+    invalid_two_factor: 'Kode verifikasi salah',
+    blocked: 'Ditolak - terlalu banyak percobaan',
+    deactivated: 'Ditolak - akun nonaktif',
+    password_reset_required: 'Ditolak - wajib ganti password'
+};
+
+// Mirrors ROLE_PERMISSIONS in shared/services/permissions.js
+const ROLE_LABELS = {
+    user: 'Pelanggan',
+    catalog_manager: 'Manajer Katalog',
+    fulfillment: 'Fulfillment',
+    support: 'Customer Support',
+    owner: 'Owner'
+};
+
+// Newest entry first, as the server returns them
+function renderLoginHistory(history) {
+    if (!history || history.length === 0) {
+        return '<p class="order-timeline-empty">Belum ada riwayat login</p>';
+    }
+
+    const entries = history.map(entry => `
+        <li class="order-timeline-item ${entry.result === 'success' ? 'timeline-payment' : 'timeline-login-failed'}">
+            <div class="order-timeline-title">${escapeHtml(LOGIN_RESULT_LABELS[entry.result] || entry.result)}</div>
+            <div class="order-timeline-meta">${formatOrderDate(entry.createdAt)} · IP ${escapeHtml(entry.ip || '-')}</div>
+            <div class="order-timeline-note">${escapeHtml(entry.userAgent || 'Perangkat tidak diketahui')}</div>
+        </li>
+    `).join('');
+
+    return `<ul class="order-timeline">${entries}</ul>`;
+}
@@ -4,6 +4,7 @@ class APIClient {
     this.cache = new Map();
     this.requestQueue = new Map();
     this.rateLimitTrackers = new Map();
+    this.refreshPromise = null;
   }
 
   // Rate limiting tracker
@@ -61,13 +62,19 @@ class APIClient {
     try {
       CONFIG.log('info', `Making request to ${url}`, { options, attempt: retryCount + 1 });
       
+      const headers = {
+        ...CONFIG.getAuthHeaders(),
+        ...options.headers
+      };
+      // Multipart bodies need the boundary the browser adds to Content-Type itself
+      if (options.body instanceof FormData) {
+        delete headers['Content-Type'];
+      }
+
       const response = await fetch(url, {
         ...options,
         signal: controller.signal,
-        headers: {
-          ...CONFIG.getAuthHeaders(),
-          ...options.headers
-        }
+        headers
       });
 
       clearTimeout(timeoutId);
@@ -83,15 +90,23 @@ class APIClient {
         
         // Handle specific error cases
         if (response.status === 401) {
+          // Access tokens are short-lived: renew once with the refresh token and replay the request
+          if (!options.skipAuthRefresh && await this.refreshSession()) {
+            return this.makeRequest(url, { ...options, skipAuthRefresh: true }, retryCount);
+          }
           this.handleAuthError();
           throw new Error(CONFIG.ERROR_MESSAGES.AUTH_ERROR);
         } else if (response.status === 403) {
-          throw new Error(CONFIG.ERROR_MESSAGES.FORBIDDEN_ERROR);
+          throw this.createRequestError(CONFIG.ERROR_MESSAGES.FORBIDDEN_ERROR, response.status, errorData);
         } else if (response.status === 404) {
-          throw new Error(CONFIG.ERROR_MESSAGES.NOT_FOUND_ERROR);
+          throw this.createRequestError(CONFIG.ERROR_MESSAGES.NOT_FOUND_ERROR, response.status, errorData);
         } else if (response.status === 409) {
-          throw new Error(CONFIG.ERROR_MESSAGES.CONFLICT_ERROR);
+          throw this.createRequestError(CONFIG.ERROR_MESSAGES.CONFLICT_ERROR, response.status, errorData);
         } else if (response.status === 429) {
+          // A locked or delayed account (ACCOUNT_LOCKED, LOGIN_DELAYED) won't open up by retrying
+          if (errorData.code) {
+            throw this.createRequestError(CONFIG.ERROR_MESSAGES.RATE_LIMIT_ERROR, response.status, errorData);
+          }
           if (retryCount < CONFIG.RETRY.MAX_ATTEMPTS) {
             const delay = CONFIG.RETRY.DELAY * Math.pow(CONFIG.RETRY.BACKOFF, retryCount);
             CONFIG.log('warn', `Rate limited, retrying in ${delay}ms`);
@@ -108,7 +123,7 @@ class APIClient {
           }
           throw new Error(CONFIG.ERROR_MESSAGES.SERVER_ERROR);
         } else {
-          throw new Error(errorData.message || CONFIG.ERROR_MESSAGES.GENERIC_ERROR);
+          throw this.createRequestError(errorData.message || CONFIG.ERROR_MESSAGES.GENERIC_ERROR, response.status, errorData);
         }
       }
     } catch (error) {
@@ -127,9 +142,75 @@ class APIClient {
     }
   }
 
+  // Error carrying the server's error code (e.g. PASSWORD_RESET_REQUIRED) so pages can react to it
+  createRequestError(message, status, errorData = {}) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = errorData.code || null;
+    if (errorData.retryAfter) error.retryAfter = errorData.retryAfter;
+    return error;
+  }
+
+  // Renew the access token. Requests that hit a 401 together share one refresh call, since
+  // the server revokes the session when a rotated-out refresh token is presented again.
+  // Other tabs share the tokens in localStorage, so a Web Lock lets only one tab refresh at a time.
+  refreshSession() {
+    if (!this.refreshPromise) {
+      const staleToken = localStorage.getItem(CONFIG.SECURITY.REFRESH_TOKEN_KEY);
+      const refresh = () => this.requestTokenRefresh(staleToken);
+
+      this.refreshPromise = (navigator.locks ? navigator.locks.request(CONFIG.SECURITY.REFRESH_LOCK, refresh) : refresh())
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  // Resolves to true when new tokens were stored - by this tab, or by another one while this one waited
+  async requestTokenRefresh(staleToken) {
+    const refreshToken = localStorage.getItem(CONFIG.SECURITY.REFRESH_TOKEN_KEY);
+    if (!refreshToken) return false;
+    if (staleToken && refreshToken !== staleToken) return true;
+
+    try {
+      const response = await fetch(CONFIG.buildApiUrl('TOKEN_REFRESH'), {
+        method: 'POST',
+        headers: { 'Content-Type': CONFIG.SECURITY.CONTENT_TYPE },
+        body: JSON.stringify({ refreshToken })
+      });
+
+      if (!response.ok) {
+        // Another tab may have rotated the token while this request was in flight
+        if (localStorage.getItem(CONFIG.SECURITY.REFRESH_TOKEN_KEY) !== refreshToken) return true;
+
+        CONFIG.log('warn', `Token refresh rejected (${response.status})`);
+        return false;
+      }
+
+      this.storeTokens(await response.json());
+      return true;
+    } catch (error) {
+      CONFIG.log('error', 'Token refresh failed', error);
+      return false;
+    }
+  }
+
+  storeTokens({ token, refreshToken }) {
+    localStorage.setItem(CONFIG.SECURITY.TOKEN_KEY, token);
+    if (refreshToken) {
+      localStorage.setItem(CONFIG.SECURITY.REFRESH_TOKEN_KEY, refreshToken);
+    }
+  }
+
+  clearTokens() {
+    localStorage.removeItem(CONFIG.SECURITY.TOKEN_KEY);
+    localStorage.removeItem(CONFIG.SECURITY.REFRESH_TOKEN_KEY);
+  }
+
   // Handle authentication errors
   handleAuthError() {
-    localStorage.removeItem(CONFIG.SECURITY.TOKEN_KEY);
+    this.clearTokens();
     // Redirect to login page if not already there
     if (!window.location.pathname.includes('login.html')) {
       window.location.href = 'login.html';
@@ -153,17 +234,49 @@ class APIClient {
     const result = await this.makeRequest(url, {
       method: 'POST',
       body: JSON.stringify({ email, password }),
-      timeout: CONFIG.TIMEOUT.AUTH
+      timeout: CONFIG.TIMEOUT.AUTH,
+      skipAuthRefresh: true
+    });
+
+    if (result.success && result.data.token) {
+      this.storeTokens(result.data);
+      this.setCachedData('currentUser', result.data.user, CONFIG.CACHE.USER_TTL);
+      await this.mergeGuestCart();
+    }
+
+    return result;
+  }
+
+  // Second login step after login() answered with twoFactorRequired
+  async verifyLoginCode(challengeToken, code) {
+    const url = CONFIG.buildApiUrl('LOGIN_2FA');
+    const result = await this.makeRequest(url, {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code }),
+      timeout: CONFIG.TIMEOUT.AUTH,
+      skipAuthRefresh: true
     });
 
     if (result.success && result.data.token) {
-      localStorage.setItem(CONFIG.SECURITY.TOKEN_KEY, result.data.token);
+      this.storeTokens(result.data);
       this.setCachedData('currentUser', result.data.user, CONFIG.CACHE.USER_TTL);
+      await this.mergeGuestCart();
     }
 
     return result;
   }
 
+  // Authenticator setup for accounts that have to enrol before the login completes
+  async startLoginEnrollment(challengeToken) {
+    const url = CONFIG.buildApiUrl('LOGIN_2FA_SETUP');
+    return await this.makeRequest(url, {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken }),
+      timeout: CONFIG.TIMEOUT.AUTH,
+      skipAuthRefresh: true
+    });
+  }
+
   async register(userData) {
     if (!this.checkRateLimit('REGISTER')) {
       throw new Error(CONFIG.ERROR_MESSAGES.RATE_LIMIT_ERROR);
@@ -177,6 +290,79 @@ class APIClient {
     });
   }
 
+  // Emails a reset link; resolves the same way whether or not the email is registered
+  async requestPasswordReset(email) {
+    if (!this.checkRateLimit('PASSWORD_RESET')) {
+      throw new Error(CONFIG.ERROR_MESSAGES.RATE_LIMIT_ERROR);
+    }
+
+    const url = CONFIG.buildApiUrl('PASSWORD_RESET_REQUEST');
+    return await this.makeRequest(url, {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+      timeout: CONFIG.TIMEOUT.AUTH,
+      skipAuthRefresh: true
+    });
+  }
+
+  async confirmPasswordReset(token, password) {
+    const url = CONFIG.buildApiUrl('PASSWORD_RESET_CONFIRM');
+    return await this.makeRequest(url, {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+      timeout: CONFIG.TIMEOUT.AUTH,
+      skipAuthRefresh: true
+    });
+  }
+
+  // Opens a verification link. A logged-in user on this device gets fresh tokens so the
+  // emailVerified claim the checkout looks at is up to date.
+  async verifyEmail(token) {
+    const url = CONFIG.buildApiUrl('VERIFY_EMAIL');
+    const result = await this.makeRequest(url, {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+      timeout: CONFIG.TIMEOUT.AUTH,
+      skipAuthRefresh: true
+    });
+
+    this.cache.delete('currentUser');
+    if (localStorage.getItem(CONFIG.SECURITY.REFRESH_TOKEN_KEY)) {
+      await this.refreshSession();
+    }
+
+    return result;
+  }
+
+  async resendVerificationEmail() {
+    const url = CONFIG.buildApiUrl('VERIFY_EMAIL_RESEND');
+    return await this.makeRequest(url, {
+      method: 'POST',
+      timeout: CONFIG.TIMEOUT.AUTH
+    });
+  }
+
+  // Recent login attempts on the current user's account, newest first
+  async getLoginHistory(params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    const url = CONFIG.buildApiUrl('LOGIN_HISTORY') + (queryString ? `?${queryString}` : '');
+    return await this.makeRequest(url);
+  }
+
+  // Two-factor settings of the current user
+  async getTwoFactorStatus() {
+    return await this.makeRequest(CONFIG.buildApiUrl('ACCOUNT_2FA'));
+  }
+
+  // action: 'setup', 'enable', 'disable' or 'recovery-codes'; the last three need a code
+  async updateTwoFactor(action, code) {
+    const url = CONFIG.buildApiUrl('ACCOUNT_2FA') + `/${action}`;
+    return await this.makeRequest(url, {
+      method: 'POST',
+      body: JSON.stringify(code ? { code } : {})
+    });
+  }
+
   // Products
   async getProducts(params = {}) {
     if (!this.checkRateLimit('PRODUCTS')) {
@@ -199,6 +385,31 @@ class APIClient {
     return result;
   }
 
+  // Autocomplete: up to limit products best matching what has been typed so far
+  async suggestProducts(query, limit = 5) {
+    const cacheKey = `products_suggest_${query}_${limit}`;
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return { success: true, data: cached };
+
+    const queryString = new URLSearchParams({ q: query, limit }).toString();
+    const result = await this.makeRequest(`${CONFIG.buildApiUrl('PRODUCTS_SUGGEST')}?${queryString}`);
+
+    if (result.success) {
+      this.setCachedData(cacheKey, result.data, CONFIG.CACHE.PRODUCTS_TTL);
+    }
+
+    return result;
+  }
+
+  // One product with related products for its detail page. Not cached, so stock is current.
+  async getProduct(productId) {
+    if (!this.checkRateLimit('PRODUCTS')) {
+      throw new Error(CONFIG.ERROR_MESSAGES.RATE_LIMIT_ERROR);
+    }
+
+    return await this.makeRequest(CONFIG.buildApiUrl('PRODUCT_DETAIL', { id: productId }));
+  }
+
   async createProduct(productData) {
     const url = CONFIG.buildApiUrl('PRODUCTS_CREATE');
     const result = await this.makeRequest(url, {
@@ -238,6 +449,162 @@ class APIClient {
     return result;
   }
 
+  // Categories - the tree with product counts, used for the storefront filters and admin forms
+  async getCategories() {
+    const cacheKey = 'products_categories';
+    const cached = this.getCachedData(cacheKey);
+    if (cached) return { success: true, data: cached };
+
+    const result = await this.makeRequest(CONFIG.buildApiUrl('CATEGORIES'));
+
+    if (result.success) {
+      this.setCachedData(cacheKey, result.data, CONFIG.CACHE.PRODUCTS_TTL);
+    }
+
+    return result;
+  }
+
+  async createCategory(categoryData) {
+    const result = await this.makeRequest(CONFIG.buildApiUrl('CATEGORIES'), {
+      method: 'POST',
+      body: JSON.stringify(categoryData)
+    });
+
+    // Category names and counts show up in the products cache too
+    this.clearCacheByPattern('products_');
+
+    return result;
+  }
+
+  async updateCategory(categoryId, updateData) {
+    const result = await this.makeRequest(CONFIG.buildApiUrl('CATEGORIES') + `/${categoryId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updateData)
+    });
+
+    this.clearCacheByPattern('products_');
+
+    return result;
+  }
+
+  async deleteCategory(categoryId) {
+    const result = await this.makeRequest(CONFIG.buildApiUrl('CATEGORIES') + `/${categoryId}`, {
+      method: 'DELETE'
+    });
+
+    this.clearCacheByPattern('products_');
+
+    return result;
+  }
+
+  // Reviews - approved reviews of a product with its rating summary (limit, offset)
+  async getProductReviews(productId, params = {}) {
+    const queryString = new URLSearchParams({ productId, ...params }).toString();
+    return await this.makeRequest(`${CONFIG.buildApiUrl('REVIEWS')}?${queryString}`);
+  }
+
+  // Whether the current user can review the product, and their own review if they wrote one
+  async getMyReview(productId) {
+    const queryString = new URLSearchParams({ productId }).toString();
+    return await this.makeRequest(`${CONFIG.buildApiUrl('REVIEWS_MINE')}?${queryString}`);
+  }
+
+  // photos are File objects from the review form; only the Express server accepts them
+  async submitReview(productId, { rating, text }, photos = []) {
+    let body = JSON.stringify({ productId, rating, text });
+
+    if (photos.length > 0) {
+      body = new FormData();
+      body.append('productId', productId);
+      body.append('rating', rating);
+      body.append('text', text);
+      photos.forEach(photo => body.append('images', photo));
+    }
+
+    return await this.makeRequest(CONFIG.buildApiUrl('REVIEWS'), {
+      method: 'POST',
+      body,
+      timeout: photos.length > 0 ? CONFIG.TIMEOUT.UPLOAD : CONFIG.TIMEOUT.DEFAULT
+    });
+  }
+
+  // Wishlist - not cached, the hearts and the wishlist page must reflect every change
+  async getWishlist() {
+    return await this.makeRequest(CONFIG.buildApiUrl('WISHLIST'));
+  }
+
+  async addToWishlist(productId) {
+    return await this.makeRequest(CONFIG.buildApiUrl('WISHLIST'), {
+      method: 'POST',
+      body: JSON.stringify({ productId })
+    });
+  }
+
+  async removeFromWishlist(productId) {
+    return await this.makeRequest(`${CONFIG.buildApiUrl('WISHLIST')}/${productId}`, {
+      method: 'DELETE'
+    });
+  }
+
+  // Cart - logged in customers only. Every call answers with the whole cart, checked against
+  // current prices and stock. key is the line's cartKey: "productId" or "productId:variantId".
+  async getCart() {
+    return await this.makeRequest(CONFIG.buildApiUrl('CART'));
+  }
+
+  async addCartItem(productId, variantId, quantity) {
+    return await this.makeRequest(CONFIG.buildApiUrl('CART_ITEMS'), {
+      method: 'POST',
+      body: JSON.stringify({ productId, variantId, quantity })
+    });
+  }
+
+  async updateCartItem(key, quantity) {
+    return await this.makeRequest(`${CONFIG.buildApiUrl('CART_ITEMS')}/${encodeURIComponent(key)}`, {
+      method: 'PUT',
+      body: JSON.stringify({ quantity })
+    });
+  }
+
+  async removeCartItem(key) {
+    return await this.makeRequest(`${CONFIG.buildApiUrl('CART_ITEMS')}/${encodeURIComponent(key)}`, {
+      method: 'DELETE'
+    });
+  }
+
+  async clearCart() {
+    return await this.makeRequest(CONFIG.buildApiUrl('CART'), {
+      method: 'DELETE'
+    });
+  }
+
+  // Move the cart built before logging in (localStorage) into the server cart. The local copy
+  // is only dropped once the server has it; resolves to null when there was nothing to merge
+  // or the merge failed, in which case the next page load tries again (see loadCart in main.js).
+  async mergeGuestCart() {
+    let saved = [];
+    try {
+      saved = JSON.parse(localStorage.getItem(CONFIG.CART.STORAGE_KEY)) || [];
+    } catch (error) {
+      localStorage.removeItem(CONFIG.CART.STORAGE_KEY);
+    }
+    if (!Array.isArray(saved) || saved.length === 0) return null;
+
+    try {
+      const result = await this.makeRequest(CONFIG.buildApiUrl('CART_MERGE'), {
+        method: 'POST',
+        body: JSON.stringify({
+          items: saved.map(item => ({ productId: item.id, variantId: item.variantId || null, quantity: item.quantity }))
+        })
+      });
+      localStorage.removeItem(CONFIG.CART.STORAGE_KEY);
+      return result;
+    } catch (error) {
+      CONFIG.log('warn', 'Cart merge failed', error);
+      return null;
+    }
+  }
+
   // Orders
   async createOrder(orderData) {
     if (!this.checkRateLimit('ORDERS')) {
@@ -256,6 +623,19 @@ class APIClient {
     return result;
   }
 
+  // Server-side subtotal, shipping and total for the cart - nothing is reserved
+  async quoteOrder(items) {
+    if (!this.checkRateLimit('ORDERS')) {
+      throw new Error(CONFIG.ERROR_MESSAGES.RATE_LIMIT_ERROR);
+    }
+
+    const url = CONFIG.buildApiUrl('ORDERS_QUOTE');
+    return await this.makeRequest(url, {
+      method: 'POST',
+      body: JSON.stringify({ items })
+    });
+  }
+
   async getOrders(params = {}) {
     if (!this.checkRateLimit('ORDERS')) {
       throw new Error(CONFIG.ERROR_MESSAGES.RATE_LIMIT_ERROR);
@@ -322,7 +702,9 @@ class APIClient {
         id: payload.id,
         username: payload.username,
         email: payload.email,
-        role: payload.role
+        role: payload.role,
+        permissions: payload.permissions || [],
+        emailVerified: payload.emailVerified !== false
       };
     } catch (error) {
       CONFIG.log('error', 'Failed to decode token', error);
@@ -330,11 +712,25 @@ class APIClient {
     }
   }
 
-  // Check if user is authenticated
+  // UI hints only - the server checks permissions on every staff request
+  hasPermission(permission) {
+    const user = this.getCurrentUser();
+    return Boolean(user && (user.permissions || []).includes(permission));
+  }
+
+  isStaff() {
+    const user = this.getCurrentUser();
+    return Boolean(user && (user.permissions || []).length > 0);
+  }
+
+  // Check if user is authenticated. An expired access token still counts while a refresh
+  // token is around - the next request renews it.
   isAuthenticated() {
     const token = localStorage.getItem(CONFIG.SECURITY.TOKEN_KEY);
     if (!token) return false;
 
+    if (localStorage.getItem(CONFIG.SECURITY.REFRESH_TOKEN_KEY)) return true;
+
     try {
       const payload = JSON.parse(atob(token.split('.')[1]));
       return payload.exp * 1000 > Date.now(); // Check if token is not expired
@@ -343,10 +739,29 @@ class APIClient {
     }
   }
 
-  // Logout
-  logout() {
-    localStorage.removeItem(CONFIG.SECURITY.TOKEN_KEY);
+  // Revoke the session on the server and forget the tokens. A failed revoke still logs out locally.
+  async endSession() {
+    const refreshToken = localStorage.getItem(CONFIG.SECURITY.REFRESH_TOKEN_KEY);
+
+    if (refreshToken) {
+      try {
+        await fetch(CONFIG.buildApiUrl('LOGOUT'), {
+          method: 'POST',
+          headers: { 'Content-Type': CONFIG.SECURITY.CONTENT_TYPE },
+          body: JSON.stringify({ refreshToken })
+        });
+      } catch (error) {
+        CONFIG.log('warn', 'Session revoke failed', error);
+      }
+    }
+
+    this.clearTokens();
     this.clearAllCache();
+  }
+
+  // Logout
+  async logout() {
+    await this.endSession();
     window.location.href = 'index.html';
   }
 }
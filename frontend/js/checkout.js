@@ -0,0 +1,285 @@
+// ===== CHECKOUT =====
+// Address -> payment method -> review (priced by the server) -> confirmation.
+// Accounts with an unverified email are stopped at a verify step first - the server refuses
+// their orders anyway. Uses the cart helpers from main.js and the labels from order-ui.js.
+
+const CHECKOUT_STEPS = ['address', 'payment', 'review', 'confirmation'];
+const CHECKOUT_ADDRESS_KEY = 'checkout_address';
+const CHECKOUT_ADDRESS_FIELDS = ['fullName', 'address', 'city', 'postalCode', 'phone'];
+
+let checkoutState = {
+    shippingAddress: null,
+    paymentMethod: null,
+    notes: '',
+    quote: null,
+    submitting: false
+};
+
+function cartToOrderItems() {
+    return cart.map(item => ({ productId: item.id, variantId: item.variantId || null, quantity: item.quantity }));
+}
+
+function openCheckout() {
+    checkoutState = {
+        shippingAddress: null,
+        paymentMethod: null,
+        notes: '',
+        quote: null,
+        submitting: false
+    };
+
+    fillCheckoutAddress();
+    renderPaymentMethods();
+    if (needsEmailVerification()) {
+        showVerifyStep();
+    } else {
+        showCheckoutStep('address');
+    }
+
+    document.getElementById('checkout-panel').classList.add('open');
+    document.getElementById('checkout-overlay').classList.add('show');
+    document.body.style.overflow = 'hidden';
+}
+
+function closeCheckout() {
+    document.getElementById('checkout-panel').classList.remove('open');
+    document.getElementById('checkout-overlay').classList.remove('show');
+    document.body.style.overflow = 'auto';
+}
+
+function needsEmailVerification() {
+    return Boolean(currentUser) && currentUser.emailVerified === false;
+}
+
+function showVerifyStep() {
+    document.getElementById('checkout-verify-email').textContent = currentUser ? currentUser.email : '';
+    showCheckoutStep('verify');
+}
+
+async function resendVerificationEmail() {
+    const resendBtn = document.getElementById('checkout-resend-verification');
+    resendBtn.disabled = true;
+
+    try {
+        await API.resendVerificationEmail();
+        showNotification('Email verifikasi telah dikirim ulang', 'success');
+    } catch (error) {
+        showNotification(error.message, 'error');
+    } finally {
+        resendBtn.disabled = false;
+    }
+}
+
+// The link may have been opened on another device - fresh tokens carry the current status
+async function recheckEmailVerification() {
+    const checkBtn = document.getElementById('checkout-verify-check');
+    checkBtn.disabled = true;
+
+    try {
+        await API.refreshSession();
+        API.cache.delete('currentUser');
+        currentUser = API.getCurrentUser();
+
+        if (needsEmailVerification()) {
+            showNotification('Email Anda belum terverifikasi', 'error');
+        } else {
+            showCheckoutStep('address');
+        }
+    } finally {
+        checkBtn.disabled = false;
+    }
+}
+
+function showCheckoutStep(step) {
+    document.querySelectorAll('.checkout-step').forEach(section => {
+        section.style.display = section.dataset.step === step ? 'block' : 'none';
+    });
+
+    // Confirmation has no indicator of its own - mark everything before it as done.
+    // The verify step comes before all of them, so nothing is marked.
+    const current = CHECKOUT_STEPS.indexOf(step);
+    document.querySelectorAll('.checkout-progress li').forEach(indicator => {
+        const index = CHECKOUT_STEPS.indexOf(indicator.dataset.step);
+        indicator.classList.toggle('active', index === current);
+        indicator.classList.toggle('done', index < current);
+    });
+}
+
+// Prefill from the last address used on this device
+function fillCheckoutAddress() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(CHECKOUT_ADDRESS_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+
+    if (!saved.fullName && currentUser) {
+        saved.fullName = currentUser.fullName || '';
+    }
+
+    CHECKOUT_ADDRESS_FIELDS.forEach(field => {
+        document.getElementById(`checkout-${field}`).value = saved[field] || '';
+    });
+}
+
+function renderPaymentMethods() {
+    const container = document.getElementById('checkout-payment-methods');
+    container.innerHTML = Object.entries(PAYMENT_METHOD_LABELS).map(([value, label]) => `
+        <label class="payment-option">
+            <input type="radio" name="paymentMethod" value="${value}" required>
+            <span>${escapeHtml(label)}</span>
+        </label>
+    `).join('');
+    document.getElementById('checkout-notes').value = '';
+}
+
+function handleCheckoutAddress(event) {
+    event.preventDefault();
+
+    const shippingAddress = {};
+    CHECKOUT_ADDRESS_FIELDS.forEach(field => {
+        shippingAddress[field] = document.getElementById(`checkout-${field}`).value.trim();
+    });
+
+    checkoutState.shippingAddress = shippingAddress;
+    localStorage.setItem(CHECKOUT_ADDRESS_KEY, JSON.stringify(shippingAddress));
+    showCheckoutStep('payment');
+}
+
+function handleCheckoutPayment(event) {
+    event.preventDefault();
+
+    const selected = document.querySelector('input[name="paymentMethod"]:checked');
+    if (!selected) {
+        showNotification('Pilih metode pembayaran', 'error');
+        return;
+    }
+
+    checkoutState.paymentMethod = selected.value;
+    checkoutState.notes = document.getElementById('checkout-notes').value.trim();
+    showCheckoutStep('review');
+    loadCheckoutReview();
+}
+
+// The totals shown here come from the server, not from the prices cached in the cart
+async function loadCheckoutReview() {
+    const review = document.getElementById('checkout-review');
+    const placeOrderBtn = document.getElementById('checkout-place-order');
+
+    review.innerHTML = '<p class="checkout-loading">Menghitung total pesanan...</p>';
+    placeOrderBtn.disabled = true;
+    checkoutState.quote = null;
+
+    try {
+        const result = await API.quoteOrder(cartToOrderItems());
+        checkoutState.quote = result.data.data.quote;
+        renderCheckoutReview();
+        placeOrderBtn.disabled = false;
+    } catch (error) {
+        review.innerHTML = `<p class="checkout-error">${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderCheckoutReview() {
+    const { quote, shippingAddress, paymentMethod, notes } = checkoutState;
+
+    const itemsHTML = quote.items.map(item => `
+        <div class="checkout-line">
+            <span>${escapeHtml(formatItemName(item))} × ${item.quantity}</span>
+            <span>${formatRupiah(item.subtotal)}</span>
+        </div>
+    `).join('');
+
+    document.getElementById('checkout-review').innerHTML = `
+        <div class="checkout-section">
+            <h4>Produk</h4>
+            ${itemsHTML}
+        </div>
+        <div class="checkout-section">
+            <div class="checkout-line">
+                <span>Subtotal</span>
+                <span>${formatRupiah(quote.subtotal)}</span>
+            </div>
+            <div class="checkout-line">
+                <span>Ongkos Kirim</span>
+                <span>${quote.shippingCost === 0 ? 'Gratis' : formatRupiah(quote.shippingCost)}</span>
+            </div>
+            <div class="checkout-line checkout-total">
+                <span>Total</span>
+                <span>${formatRupiah(quote.totalAmount)}</span>
+            </div>
+        </div>
+        <div class="checkout-section">
+            <h4>Alamat Pengiriman</h4>
+            <p>${escapeHtml(shippingAddress.fullName)} (${escapeHtml(shippingAddress.phone)})</p>
+            <p>${escapeHtml(shippingAddress.address)}, ${escapeHtml(shippingAddress.city)} ${escapeHtml(shippingAddress.postalCode)}</p>
+        </div>
+        <div class="checkout-section">
+            <h4>Metode Pembayaran</h4>
+            <p>${escapeHtml(PAYMENT_METHOD_LABELS[paymentMethod] || paymentMethod)}</p>
+            ${notes ? `<p class="checkout-notes">Catatan: ${escapeHtml(notes)}</p>` : ''}
+        </div>
+    `;
+}
+
+async function placeOrder() {
+    if (checkoutState.submitting || !checkoutState.quote) return;
+
+    const placeOrderBtn = document.getElementById('checkout-place-order');
+    checkoutState.submitting = true;
+    placeOrderBtn.disabled = true;
+
+    try {
+        const result = await API.createOrder({
+            items: cartToOrderItems(),
+            shippingAddress: checkoutState.shippingAddress,
+            paymentMethod: checkoutState.paymentMethod,
+            notes: checkoutState.notes
+        });
+        const order = result.data.data.order;
+
+        clearCart();
+
+        renderCheckoutConfirmation(order);
+        showCheckoutStep('confirmation');
+    } catch (error) {
+        if (error.code === 'EMAIL_NOT_VERIFIED') {
+            showVerifyStep();
+        } else {
+            showNotification(error.message, 'error');
+        }
+        placeOrderBtn.disabled = false;
+    } finally {
+        checkoutState.submitting = false;
+    }
+}
+
+function renderCheckoutConfirmation(order) {
+    document.getElementById('checkout-confirmation').innerHTML = `
+        <div class="checkout-success">
+            <i class="fas fa-check-circle"></i>
+            <h4>Pesanan Berhasil Dibuat</h4>
+            <p>Nomor pesanan Anda:</p>
+            <p class="checkout-order-number">${escapeHtml(order.orderNumber)}</p>
+            <div class="checkout-line checkout-total">
+                <span>Total Pembayaran</span>
+                <span>${formatRupiah(order.totalAmount)}</span>
+            </div>
+            <p>Metode pembayaran: ${escapeHtml(PAYMENT_METHOD_LABELS[order.paymentMethod] || order.paymentMethod)}</p>
+            <p>Estimasi tiba: ${formatOrderDate(order.estimatedDelivery)}</p>
+        </div>
+    `;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const addressForm = document.getElementById('checkout-address-form');
+    if (!addressForm) return;
+
+    addressForm.addEventListener('submit', handleCheckoutAddress);
+    document.getElementById('checkout-payment-form').addEventListener('submit', handleCheckoutPayment);
+    document.getElementById('checkout-place-order').addEventListener('click', placeOrder);
+    document.getElementById('checkout-resend-verification').addEventListener('click', resendVerificationEmail);
+    document.getElementById('checkout-verify-check').addEventListener('click', recheckEmailVerification);
+    document.getElementById('checkout-overlay').addEventListener('click', closeCheckout);
+});
@@ -15,18 +15,52 @@ const CONFIG = {
     // Authentication
     LOGIN: '/login',
     REGISTER: '/register',
+    LOGOUT: '/logout',
+    TOKEN_REFRESH: '/token-refresh',
+    PASSWORD_RESET_REQUEST: '/password-reset-request',
+    PASSWORD_RESET_CONFIRM: '/password-reset-confirm',
+    VERIFY_EMAIL: '/verify-email',
+    VERIFY_EMAIL_RESEND: '/verify-email-resend',
+    LOGIN_2FA: '/login-2fa',
+    LOGIN_2FA_SETUP: '/login-2fa/setup',
+    LOGIN_HISTORY: '/login-history',
+    ACCOUNT_2FA: '/account-2fa',
     
     // Products
     PRODUCTS: '/products',
+    PRODUCTS_SUGGEST: '/products/suggest',
+    PRODUCT_DETAIL: '/products/:id',
     PRODUCTS_CREATE: '/products-create',
     PRODUCTS_MANAGE: '/products-manage',
+    CATEGORIES: '/categories',
+    REVIEWS: '/reviews',
+    REVIEWS_MINE: '/reviews/mine',
+    WISHLIST: '/wishlist',
+    CART: '/cart',
+    CART_ITEMS: '/cart/items',
+    CART_MERGE: '/cart/merge',
     
     // Orders
     ORDERS: '/orders',
     ORDERS_CREATE: '/orders-create',
+    ORDERS_QUOTE: '/orders-quote',
     ORDERS_MANAGE: '/orders-manage'
   },
   
+  // Paths the Express server (development) serves under a different name than the Netlify function
+  EXPRESS_ENDPOINTS: {
+    TOKEN_REFRESH: '/token/refresh',
+    PASSWORD_RESET_REQUEST: '/password-reset/request',
+    PASSWORD_RESET_CONFIRM: '/password-reset/confirm',
+    VERIFY_EMAIL_RESEND: '/verify-email/resend',
+    LOGIN_2FA: '/login/2fa',
+    LOGIN_2FA_SETUP: '/login/2fa/setup',
+    LOGIN_HISTORY: '/account/login-history',
+    ACCOUNT_2FA: '/account/2fa',
+    ORDERS_CREATE: '/orders',
+    ORDERS_QUOTE: '/orders/quote'
+  },
+  
   // Request timeout settings
   TIMEOUT: {
     DEFAULT: 10000,    // 10 seconds
@@ -45,6 +79,7 @@ const CONFIG = {
   RATE_LIMITS: {
     LOGIN: { maxAttempts: 5, windowMs: 15 * 60 * 1000 },      // 5 per 15 min
     REGISTER: { maxAttempts: 3, windowMs: 60 * 60 * 1000 },   // 3 per hour
+    PASSWORD_RESET: { maxAttempts: 5, windowMs: 60 * 60 * 1000 }, // 5 per hour
     PRODUCTS: { maxAttempts: 100, windowMs: 60 * 1000 },      // 100 per min
     ORDERS: { maxAttempts: 50, windowMs: 60 * 1000 }          // 50 per min
   },
@@ -52,6 +87,8 @@ const CONFIG = {
   // Security settings
   SECURITY: {
     TOKEN_KEY: 'auth_token',
+    REFRESH_TOKEN_KEY: 'refresh_token',
+    REFRESH_LOCK: 'alandstore_token_refresh',
     TOKEN_PREFIX: 'Bearer ',
     CSRF_HEADER: 'X-CSRF-Token',
     CONTENT_TYPE: 'application/json'
@@ -60,12 +97,17 @@ const CONFIG = {
   // UI Configuration
   UI: {
     ITEMS_PER_PAGE: 20,
-    MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
+    MAX_FILE_SIZE: 5000000,           // 5MB, the server's MAX_FILE_SIZE default
     ALLOWED_FILE_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
     NOTIFICATION_DURATION: 5000,      // 5 seconds
     LOADING_DELAY: 300               // Delay before showing loading spinner
   },
   
+  // Guests keep their cart under this localStorage key until it is merged into the server cart at login
+  CART: {
+    STORAGE_KEY: 'cart'
+  },
+  
   // Cache settings
   CACHE: {
     PRODUCTS_TTL: 5 * 60 * 1000,     // 5 minutes
@@ -76,7 +118,8 @@ const CONFIG = {
 
 // Utility function to build full API URL
 CONFIG.buildApiUrl = function(endpoint, pathParams = {}) {
-  let url = this.API_BASE_URL + this.ENDPOINTS[endpoint];
+  const expressPath = this.ENV === 'development' ? this.EXPRESS_ENDPOINTS[endpoint] : null;
+  let url = this.API_BASE_URL + (expressPath || this.ENDPOINTS[endpoint]);
   
   // Replace path parameters (e.g., :id)
   Object.keys(pathParams).forEach(key => {
@@ -2,9 +2,16 @@
 let currentUser = null;
 let cart = [];
 let products = [];
-let displayedProducts = [];
+let productsTotal = 0;
 let productsPerPage = 8;
 let currentCategory = 'all';
+let categories = [];
+let categoryFacets = null;
+let currentSearch = '';
+// "sortBy:sortOrder" from the sort select; empty leaves the order to the server (name, or relevance when searching)
+let currentSort = '';
+// IDs of the products on the logged in customer's wishlist, for the heart buttons on product cards
+let wishlistIds = new Set();
 
 // ===== AUTHENTICATION =====
 function checkAuth() {
@@ -28,7 +35,7 @@ function updateNavigation() {
         userProfile.style.display = 'block';
         userName.textContent = currentUser.username;
         
-        if (currentUser.role === 'admin') {
+        if ((currentUser.permissions || []).length > 0) {
             adminLink.style.display = 'block';
         }
     } else {
@@ -53,8 +60,26 @@ function logout() {
 }
 
 // ===== CART FUNCTIONALITY =====
-function loadCart() {
-    const savedCart = localStorage.getItem('cart');
+// Guests keep the cart in localStorage. A logged in customer's cart lives on the server, which
+// answers every read and change with the cart checked against current prices and stock; the
+// guest cart is merged into it at login (API.mergeGuestCart).
+
+// Below this many left a cart line says how many are still available
+const CART_LOW_STOCK_THRESHOLD = 5;
+
+async function loadCart() {
+    if (currentUser) {
+        try {
+            // A guest cart still in localStorage means the merge at login didn't go through
+            const result = (await API.mergeGuestCart()) || (await API.getCart());
+            applyServerCart(result.data.data.cart);
+        } catch (error) {
+            console.error('Error loading cart:', error);
+        }
+        return;
+    }
+    
+    const savedCart = localStorage.getItem(CONFIG.CART.STORAGE_KEY);
     if (savedCart) {
         cart = JSON.parse(savedCart);
         updateCartCount();
@@ -62,22 +87,85 @@ function loadCart() {
     }
 }
 
+// A logged in customer's cart is saved by the server with every change
 function saveCart() {
-    localStorage.setItem('cart', JSON.stringify(cart));
+    if (currentUser) return;
+    localStorage.setItem(CONFIG.CART.STORAGE_KEY, JSON.stringify(cart));
+}
+
+// Take over the cart the server answered with; its lines carry stock and warnings besides the usual fields
+function applyServerCart(serverCart) {
+    cart = serverCart.items.map(line => ({
+        id: line.productId,
+        variantId: line.variantId,
+        variantLabel: line.variantLabel,
+        name: line.name,
+        price: line.price,
+        image: line.image,
+        quantity: line.quantity,
+        stock: line.stock,
+        warnings: line.warnings
+    }));
+    updateCartCount();
+    updateCartSidebar();
+}
+
+// Send a cart change to the server; resolves to whether it went through
+async function updateServerCart(request) {
+    try {
+        const result = await request;
+        applyServerCart(result.data.data.cart);
+        return true;
+    } catch (error) {
+        const messages = {
+            INSUFFICIENT_STOCK: 'Stok tidak mencukupi untuk jumlah tersebut',
+            OUT_OF_STOCK: 'Produk ini sedang habis',
+            PRODUCT_UNAVAILABLE: 'Produk ini sedang tidak tersedia',
+            VARIANT_NOT_FOUND: 'Varian ini sudah tidak tersedia',
+            QUANTITY_LIMIT: 'Jumlah maksimal per produk sudah tercapai',
+            CART_FULL: 'Keranjang Anda sudah penuh'
+        };
+        showNotification(messages[error.code] || error.message, 'error');
+        return false;
+    }
+}
+
+// Cart lines are per variant; products without variants have no variantId
+function cartKey(item) {
+    return item.variantId ? `${item.id}:${item.variantId}` : String(item.id);
 }
 
-function addToCart(product) {
-    const existingItem = cart.find(item => item.id === product.id);
+// Resolves to whether the product went into the cart
+async function addToCart(product, variant = null, quantity = 1) {
+    if (!variant && product.variants && product.variants.length > 0) {
+        showNotification('Pilih varian produk terlebih dahulu', 'error');
+        return false;
+    }
+    if (variant && variant.stock <= 0) {
+        showNotification('Varian ini sedang habis', 'error');
+        return false;
+    }
+    
+    if (currentUser) {
+        const added = await updateServerCart(API.addCartItem(product.id, variant ? variant.id : null, quantity));
+        if (added) showNotification('Produk berhasil ditambahkan ke keranjang', 'success');
+        return added;
+    }
+    
+    const key = cartKey({ id: product.id, variantId: variant ? variant.id : null });
+    const existingItem = cart.find(item => cartKey(item) === key);
     
     if (existingItem) {
-        existingItem.quantity += 1;
+        existingItem.quantity += quantity;
     } else {
         cart.push({
             id: product.id,
+            variantId: variant ? variant.id : null,
+            variantLabel: variant ? variant.label : null,
             name: product.name,
-            price: product.price,
+            price: variantPrice(product, variant),
             image: product.image,
-            quantity: 1
+            quantity
         });
     }
     
@@ -85,23 +173,36 @@ function addToCart(product) {
     updateCartCount();
     updateCartSidebar();
     showNotification('Produk berhasil ditambahkan ke keranjang', 'success');
+    return true;
 }
 
-function removeFromCart(productId) {
-    cart = cart.filter(item => item.id !== productId);
+async function removeFromCart(key) {
+    if (currentUser) {
+        if (await updateServerCart(API.removeCartItem(key))) {
+            showNotification('Produk berhasil dihapus dari keranjang', 'info');
+        }
+        return;
+    }
+    
+    cart = cart.filter(item => cartKey(item) !== String(key));
     saveCart();
     updateCartCount();
     updateCartSidebar();
     showNotification('Produk berhasil dihapus dari keranjang', 'info');
 }
 
-function updateQuantity(productId, newQuantity) {
+async function updateQuantity(key, newQuantity) {
     if (newQuantity <= 0) {
-        removeFromCart(productId);
+        removeFromCart(key);
         return;
     }
     
-    const item = cart.find(item => item.id === productId);
+    if (currentUser) {
+        await updateServerCart(API.updateCartItem(key, newQuantity));
+        return;
+    }
+    
+    const item = cart.find(item => cartKey(item) === String(key));
     if (item) {
         item.quantity = newQuantity;
         saveCart();
@@ -110,6 +211,51 @@ function updateQuantity(productId, newQuantity) {
     }
 }
 
+// Empty the cart once its order has been placed
+async function clearCart() {
+    cart = [];
+    saveCart();
+    updateCartCount();
+    updateCartSidebar();
+    
+    if (currentUser) {
+        try {
+            await API.clearCart();
+        } catch (error) {
+            console.error('Error clearing cart:', error);
+        }
+    }
+}
+
+// What the server found when it checked the line against the catalog; guest lines have no warnings
+function cartItemWarningsHtml(item) {
+    const messages = (item.warnings || []).map(warning => {
+        switch (warning.code) {
+            case 'UNAVAILABLE':
+                return 'Produk ini sudah tidak tersedia';
+            case 'OUT_OF_STOCK':
+                return 'Stok habis';
+            case 'LOW_STOCK':
+                return `Hanya tersisa ${warning.available}, kurangi jumlahnya`;
+            case 'PRICE_CHANGED':
+                return `Harga berubah dari ${formatRupiah(warning.previousPrice)}`;
+            default:
+                return null;
+        }
+    }).filter(Boolean);
+    
+    const lowStockNote = item.stock > 0 && item.stock <= CART_LOW_STOCK_THRESHOLD && messages.length === 0
+        ? `<div class="cart-item-note">Tinggal ${item.stock} lagi</div>`
+        : '';
+    
+    return messages.map(message => `<div class="cart-item-warning"><i class="fas fa-exclamation-circle"></i> ${message}</div>`).join('') + lowStockNote;
+}
+
+// Whether the server flagged the line as not buyable as it is - checkout has to wait until it's fixed
+function cartItemBlocked(item) {
+    return (item.warnings || []).some(warning => ['UNAVAILABLE', 'OUT_OF_STOCK', 'LOW_STOCK'].includes(warning.code));
+}
+
 function updateCartCount() {
     const cartCount = document.getElementById('cart-count');
     if (cartCount) {
@@ -142,21 +288,24 @@ function updateCartSidebar() {
     
     cart.forEach(item => {
         const itemTotal = item.price * item.quantity;
-        total += itemTotal;
+        // Sold out and vanished products aren't part of what checkout would charge
+        if (item.stock === undefined || item.stock > 0) total += itemTotal;
         
         itemsHTML += `
-            <div class="cart-item">
+            <div class="cart-item ${cartItemBlocked(item) ? 'cart-item-blocked' : ''}">
                 <div class="cart-item-image">
                     <img src="${item.image}" alt="${item.name}" onerror="this.src='/images/placeholder.jpg'">
                 </div>
                 <div class="cart-item-details">
                     <div class="cart-item-name">${item.name}</div>
+                    ${item.variantLabel ? `<div class="cart-item-variant">${item.variantLabel}</div>` : ''}
                     <div class="cart-item-price">${formatRupiah(item.price)}</div>
+                    ${cartItemWarningsHtml(item)}
                     <div class="cart-item-controls">
-                        <button class="quantity-btn" onclick="updateQuantity(${item.id}, ${item.quantity - 1})">-</button>
+                        <button class="quantity-btn" onclick="updateQuantity('${cartKey(item)}', ${item.quantity - 1})">-</button>
                         <span class="cart-item-quantity">${item.quantity}</span>
-                        <button class="quantity-btn" onclick="updateQuantity(${item.id}, ${item.quantity + 1})">+</button>
-                        <button class="remove-item" onclick="removeFromCart(${item.id})">
+                        <button class="quantity-btn" onclick="updateQuantity('${cartKey(item)}', ${item.quantity + 1})" ${item.stock !== undefined && item.quantity >= item.stock ? 'disabled' : ''}>+</button>
+                        <button class="remove-item" onclick="removeFromCart('${cartKey(item)}')">
                             <i class="fas fa-trash"></i>
                         </button>
                     </div>
@@ -177,6 +326,11 @@ function openCart() {
     cartSidebar.classList.add('open');
     cartOverlay.classList.add('show');
     document.body.style.overflow = 'hidden';
+    
+    // Prices and stock may have moved since the page loaded
+    if (currentUser) {
+        updateServerCart(API.getCart());
+    }
 }
 
 function closeCart() {
@@ -189,15 +343,28 @@ function closeCart() {
 }
 
 // ===== PRODUCTS =====
-async function loadProducts() {
+// Filtering and paging happen on the server; append=true fetches the next page of the current category
+async function loadProducts(append = false) {
+    const params = { limit: productsPerPage, offset: append ? products.length : 0 };
+    if (currentCategory !== 'all') {
+        params.category = currentCategory;
+    }
+    if (currentSearch) {
+        params.search = currentSearch;
+    }
+    if (currentSort) {
+        [params.sortBy, params.sortOrder] = currentSort.split(':');
+    }
+    
     try {
-        const result = await API.getProducts();
+        const result = await API.getProducts(params);
+        const page = result.success && result.data && result.data.data;
         
-        if (result.success && result.data && result.data.products) {
-            products = result.data.products;
-            // Initially show first page of products
-            displayedProducts = products.slice(0, productsPerPage);
-            displayProducts(displayedProducts);
+        if (page && page.products) {
+            products = append ? products.concat(page.products) : page.products;
+            productsTotal = page.pagination.total;
+            displayProducts(page.products, append);
+            updateCategoryCounts(page.facets);
         } else {
             throw new Error('Invalid response format');
         }
@@ -234,17 +401,20 @@ function displayProducts(productsToShow, append = false) {
     
     const productsHTML = productsToShow.map(product => `
         <div class="product-card fade-in" data-category="${product.category}">
-            <div class="product-image">
-                <img src="${product.image}" alt="${product.name}" onerror="handleImageError(this)" onload="handleImageLoad(this)" loading="lazy">
+            ${wishlistButtonHtml(product)}
+            <a class="product-image" href="${productUrl(product)}">
+                ${productImageHtml(product, { sizes: PRODUCT_CARD_SIZES })}
                 ${product.featured ? '<div class="product-badge">Unggulan</div>' : ''}
-            </div>
+            </a>
             <div class="product-content">
                 <div class="product-category">${product.category}</div>
-                <h3 class="product-name">${product.name}</h3>
+                <h3 class="product-name"><a href="${productUrl(product)}">${product.name}</a></h3>
+                ${productRatingHtml(product)}
                 <p class="product-description">${product.description}</p>
+                ${renderVariantSelect(product)}
                 <div class="product-footer">
-                    <div class="product-price">${formatRupiah(product.price)}</div>
-                    <button class="add-to-cart-btn" onclick="addToCart(${JSON.stringify(product).replace(/"/g, '&quot;')})">
+                    <div class="product-price">${formatRupiah(variantPrice(product, defaultVariant(product)))}</div>
+                    <button class="add-to-cart-btn" onclick="addProductToCart(${product.id}, this)">
                         <i class="fas fa-plus"></i>
                         Tambah
                     </button>
@@ -261,33 +431,276 @@ function displayProducts(productsToShow, append = false) {
     
     // Update load more button visibility
     if (loadMoreBtn) {
-        const filteredProducts = currentCategory === 'all' 
-            ? products 
-            : products.filter(product => product.category === currentCategory);
-        
-        if (displayedProducts.length >= filteredProducts.length) {
-            loadMoreBtn.style.display = 'none';
-        } else {
-            loadMoreBtn.style.display = 'inline-flex';
-        }
+        loadMoreBtn.style.display = products.length < productsTotal ? 'inline-flex' : 'none';
     }
 }
 
+// Detail page of a product (pages/product.html)
+function productUrl(product) {
+    return `/product/${product.id}`;
+}
+
+function sortProducts(sort) {
+    currentSort = sort;
+    loadProducts();
+}
+
 function filterProducts(category) {
     currentCategory = category;
-    const filteredProducts = category === 'all' 
-        ? products 
-        : products.filter(product => product.category === category);
+    renderCategoryFilters();
+    loadProducts();
+}
+
+// ===== CATEGORIES =====
+async function loadCategories() {
+    try {
+        const result = await API.getCategories();
+        if (result.success && result.data && result.data.data) {
+            categories = result.data.data.categories;
+            renderCategoryFilters();
+        }
+    } catch (error) {
+        console.error('Error loading categories:', error);
+    }
+}
+
+// The categories from the top of the tree down to slug, empty when it isn't in the tree
+function findCategoryPath(slug, nodes = categories) {
+    for (const category of nodes) {
+        if (category.slug === slug) return [category];
+        const path = findCategoryPath(slug, category.children);
+        if (path.length > 0) return [category, ...path];
+    }
+    return [];
+}
+
+function renderFilterButton(slug, label, icon = null) {
+    const isActive = slug === currentCategory;
+    return `
+        <button class="filter-btn ${isActive ? 'active' : ''}" data-category="${escapeHtml(slug)}">
+            ${icon ? `<i class="${escapeHtml(icon)}"></i>` : ''}
+            ${escapeHtml(label)}
+        </button>
+    `;
+}
+
+// Top-level categories on the first row; below it the subcategories of each selected level
+function renderCategoryFilters() {
+    const topRow = document.getElementById('category-filters');
+    const subRows = document.getElementById('category-subfilters');
+    if (!topRow) return;
+    
+    topRow.innerHTML = renderFilterButton('all', 'Semua') +
+        categories.map(category => renderFilterButton(category.slug, category.name, category.icon)).join('');
     
-    // Reset displayed products and show first page
-    displayedProducts = filteredProducts.slice(0, productsPerPage);
-    displayProducts(displayedProducts);
+    if (subRows) {
+        subRows.innerHTML = findCategoryPath(currentCategory)
+            .filter(category => category.children.length > 0)
+            .map(category => `
+                <div class="products-filter products-subfilter">
+                    ${renderFilterButton(category.slug, `Semua ${category.name}`)}
+                    ${category.children.map(child => renderFilterButton(child.slug, child.name, child.icon)).join('')}
+                </div>
+            `).join('');
+    }
     
-    // Update filter buttons
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.classList.remove('active');
+    updateCategoryCounts(categoryFacets);
+}
+
+// Show how many products each category button leads to
+function updateCategoryCounts(facets) {
+    if (!facets) return;
+    categoryFacets = facets;
+    
+    document.querySelectorAll('.products-filter .filter-btn[data-category]').forEach(btn => {
+        const category = btn.getAttribute('data-category');
+        const count = category === 'all' ? facets.total : (facets.categories[category] || 0);
+        
+        let badge = btn.querySelector('.filter-count');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'filter-count';
+            btn.appendChild(badge);
+        }
+        badge.textContent = count;
     });
-    document.querySelector(`[data-category="${category}"]`).classList.add('active');
+}
+
+// ===== PRODUCT IMAGES =====
+// Uploaded images come with thumb, card and full renditions, each as WebP plus a JPEG/PNG
+// fallback; the browser picks the size from srcset. Products that only have an image URL
+// (the seeded catalog) get a plain <img>.
+
+// Rendered width of a card image: one column on phones, two on tablets, ~300px on desktops
+const PRODUCT_CARD_SIZES = '(max-width: 480px) 100vw, (max-width: 768px) 50vw, 300px';
+
+function primaryImage(product) {
+    const images = product.images || [];
+    return images.find(image => image.primary) || images[0] || null;
+}
+
+// "a-thumb.webp 160w, a-card.webp 480w, ..." - small originals give equal widths, listed once
+function renditionSrcset(image, format) {
+    const widths = new Set();
+    return Object.values(image.renditions)
+        .filter(rendition => !widths.has(rendition.width) && widths.add(rendition.width))
+        .map(rendition => `${escapeHtml(rendition[format])} ${rendition.width}w`)
+        .join(', ');
+}
+
+// image is one entry of product.images; rendition is what browsers without srcset load
+function renderPicture(image, { alt = '', sizes = '100vw', rendition = 'card', loading = 'lazy' } = {}) {
+    return `
+        <picture>
+            <source type="image/webp" srcset="${renditionSrcset(image, 'webp')}" sizes="${sizes}">
+            <img src="${escapeHtml(image.renditions[rendition].fallback)}" srcset="${renditionSrcset(image, 'fallback')}" sizes="${sizes}"
+                 width="${image.width}" height="${image.height}" alt="${escapeHtml(alt)}" loading="${loading}" onload="handleImageLoad(this)">
+        </picture>
+    `;
+}
+
+// The product's primary image as a responsive <picture>, or its image URL for products without uploads
+function productImageHtml(product, options = {}) {
+    const image = primaryImage(product);
+    if (image) {
+        return renderPicture(image, { alt: product.name, ...options });
+    }
+    return `<img src="${escapeHtml(product.image)}" alt="${escapeHtml(product.name)}" onerror="handleImageError(this)" onload="handleImageLoad(this)" loading="${options.loading || 'lazy'}">`;
+}
+
+// ===== RATINGS =====
+// Five stars filled up to the rating, rounded to the nearest half star
+function ratingStars(rating) {
+    const rounded = Math.round((rating || 0) * 2) / 2;
+    return [1, 2, 3, 4, 5].map(star => {
+        if (star <= rounded) return '<i class="fas fa-star"></i>';
+        if (star - 0.5 === rounded) return '<i class="fas fa-star-half-alt"></i>';
+        return '<i class="far fa-star"></i>';
+    }).join('');
+}
+
+// Average stars and review count of a product; nothing until a review has been approved
+function productRatingHtml(product) {
+    if (!product.reviewCount) return '';
+    return `
+        <div class="product-rating" title="${product.rating.toFixed(1)} dari 5">
+            <span class="rating-stars">${ratingStars(product.rating)}</span>
+            <span class="rating-value">${product.rating.toFixed(1)}</span>
+            <span class="rating-count">(${product.reviewCount} ulasan)</span>
+        </div>
+    `;
+}
+
+// ===== VARIANTS =====
+function variantPrice(product, variant) {
+    return variant && variant.price ? variant.price : product.price;
+}
+
+// The first variant still in stock, so the card opens on something that can be bought
+function defaultVariant(product) {
+    const variants = product.variants || [];
+    return variants.find(variant => variant.stock > 0) || variants[0] || null;
+}
+
+function renderVariantSelect(product) {
+    const variants = product.variants || [];
+    if (variants.length === 0) return '';
+    
+    const selected = defaultVariant(product);
+    return `
+        <select class="variant-select" aria-label="Pilih varian" onchange="selectVariant(${product.id}, this)">
+            ${variants.map(variant => `
+                <option value="${variant.id}" ${variant.stock > 0 ? '' : 'disabled'} ${variant === selected ? 'selected' : ''}>
+                    ${variant.label}${variant.stock > 0 ? '' : ' (habis)'}
+                </option>
+            `).join('')}
+        </select>
+    `;
+}
+
+function findSelectedVariant(product, select) {
+    if (!select) return null;
+    return (product.variants || []).find(variant => variant.id === parseInt(select.value)) || null;
+}
+
+function selectVariant(productId, select) {
+    const product = products.find(p => p.id === productId);
+    if (!product) return;
+    
+    const price = select.closest('.product-card').querySelector('.product-price');
+    price.textContent = formatRupiah(variantPrice(product, findSelectedVariant(product, select)));
+}
+
+// Resolves to whether the product went into the cart
+function addProductToCart(productId, button) {
+    const product = products.find(p => p.id === productId);
+    if (!product) return Promise.resolve(false);
+    
+    const select = button.closest('.product-card').querySelector('.variant-select');
+    return addToCart(product, findSelectedVariant(product, select));
+}
+
+// ===== WISHLIST =====
+async function loadWishlistIds() {
+    if (!currentUser) return;
+    
+    try {
+        const result = await API.getWishlist();
+        wishlistIds = new Set(result.data.data.items.map(item => item.productId));
+        updateWishlistButtons();
+    } catch (error) {
+        console.error('Error loading wishlist:', error);
+    }
+}
+
+function wishlistButtonHtml(product) {
+    const saved = wishlistIds.has(product.id);
+    return `
+        <button class="wishlist-btn ${saved ? 'active' : ''}" data-wishlist-id="${product.id}" onclick="toggleWishlist(${product.id})"
+                aria-pressed="${saved}" title="${saved ? 'Hapus dari wishlist' : 'Simpan ke wishlist'}">
+            <i class="${saved ? 'fas' : 'far'} fa-heart"></i>
+        </button>
+    `;
+}
+
+// Fill in every heart on the page from wishlistIds
+function updateWishlistButtons() {
+    document.querySelectorAll('.wishlist-btn[data-wishlist-id]').forEach(button => {
+        const saved = wishlistIds.has(parseInt(button.getAttribute('data-wishlist-id')));
+        button.classList.toggle('active', saved);
+        button.setAttribute('aria-pressed', saved);
+        button.title = saved ? 'Hapus dari wishlist' : 'Simpan ke wishlist';
+        button.querySelector('i').className = `${saved ? 'fas' : 'far'} fa-heart`;
+    });
+}
+
+async function toggleWishlist(productId) {
+    if (!currentUser) {
+        showNotification('Silakan login terlebih dahulu untuk menyimpan produk', 'error');
+        setTimeout(() => {
+            window.location.href = '/login';
+        }, 1500);
+        return;
+    }
+    
+    const saved = wishlistIds.has(productId);
+    try {
+        if (saved) {
+            await API.removeFromWishlist(productId);
+            wishlistIds.delete(productId);
+        } else {
+            await API.addToWishlist(productId);
+            wishlistIds.add(productId);
+        }
+        updateWishlistButtons();
+        showNotification(saved ? 'Produk dihapus dari wishlist' : 'Produk disimpan ke wishlist', saved ? 'info' : 'success');
+    } catch (error) {
+        const messages = {
+            WISHLIST_FULL: 'Wishlist Anda sudah penuh, hapus beberapa produk terlebih dahulu',
+            PRODUCT_UNAVAILABLE: 'Produk ini sedang tidak tersedia'
+        };
+        showNotification(messages[error.code] || error.message, 'error');
+    }
 }
 
 // ===== UTILITY FUNCTIONS =====
@@ -332,16 +745,8 @@ function scrollToAbout() {
 }
 
 function loadMoreProducts() {
-    const filteredProducts = currentCategory === 'all' 
-        ? products 
-        : products.filter(product => product.category === currentCategory);
-    
-    const currentLength = displayedProducts.length;
-    const nextProducts = filteredProducts.slice(currentLength, currentLength + productsPerPage);
-    
-    if (nextProducts.length > 0) {
-        displayedProducts = displayedProducts.concat(nextProducts);
-        displayProducts(nextProducts, true); // append = true
+    if (products.length < productsTotal) {
+        loadProducts(true);
     }
 }
 
@@ -364,11 +769,19 @@ document.addEventListener('DOMContentLoaded', function() {
     // Load cart
     loadCart();
     
-    // Load products if on main page
+    // Load categories and products if on main page
     if (document.getElementById('products-grid')) {
+        loadCategories();
         loadProducts();
     }
     
+    // Hearts on product cards; the wishlist page loads the full list itself
+    if (!document.getElementById('wishlist-grid')) {
+        loadWishlistIds();
+    }
+    
+    initSearch();
+    
     // Navigation toggle for mobile
     const navToggle = document.getElementById('nav-toggle');
     const navMenu = document.getElementById('nav-menu');
@@ -428,14 +841,22 @@ document.addEventListener('DOMContentLoaded', function() {
         });
     }
     
-    // Product filter buttons
-    document.querySelectorAll('.filter-btn').forEach(btn => {
-        btn.addEventListener('click', () => {
-            const category = btn.getAttribute('data-category');
-            filterProducts(category);
+    // Product filter buttons - rendered from the category tree, so listen on their rows
+    ['category-filters', 'category-subfilters'].forEach(id => {
+        const row = document.getElementById(id);
+        if (!row) return;
+        row.addEventListener('click', (e) => {
+            const btn = e.target.closest('.filter-btn');
+            if (btn) filterProducts(btn.getAttribute('data-category'));
         });
     });
     
+    // Sort select
+    const sortSelect = document.getElementById('product-sort');
+    if (sortSelect) {
+        sortSelect.addEventListener('change', () => sortProducts(sortSelect.value));
+    }
+    
     // Load more button
     const loadMoreBtn = document.getElementById('load-more-btn');
     if (loadMoreBtn) {
@@ -497,8 +918,13 @@ function handleCheckout() {
         return;
     }
     
-    // Simulate checkout process
-    showNotification('Fitur checkout sedang dalam pengembangan', 'info');
+    if (cart.some(cartItemBlocked)) {
+        showNotification('Perbarui keranjang dulu: ada produk yang habis, stoknya kurang atau tidak tersedia lagi', 'error');
+        return;
+    }
+    
+    closeCart();
+    openCheckout();
 }
 
 // ===== API HELPERS =====
@@ -561,19 +987,115 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 // ===== SEARCH FUNCTIONALITY =====
+// The server ranks the results; an empty query shows the whole catalog again
 function searchProducts(query) {
-    if (!query.trim()) {
-        displayProducts(products);
-        return;
+    currentSearch = query.trim();
+    hideSuggestions();
+    
+    if (document.getElementById('products-grid')) {
+        loadProducts();
+        scrollToProducts();
+    }
+}
+
+let suggestTimer = null;
+let suggestions = [];
+let activeSuggestion = -1;
+
+function initSearch() {
+    const form = document.getElementById('nav-search');
+    const input = document.getElementById('search-input');
+    if (!form || !input) return;
+    
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const chosen = suggestions[activeSuggestion];
+        if (chosen) input.value = chosen.name;
+        searchProducts(input.value);
+    });
+    
+    // Wait for a pause in typing before asking the server
+    input.addEventListener('input', () => {
+        clearTimeout(suggestTimer);
+        const query = input.value.trim();
+        
+        if (!query) {
+            hideSuggestions();
+            if (currentSearch) searchProducts('');
+            return;
+        }
+        suggestTimer = setTimeout(() => loadSuggestions(query), 200);
+    });
+    
+    input.addEventListener('keydown', (e) => {
+        if (!suggestions.length) return;
+        
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            // -1 is the typed text itself, so the selection wraps through it
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            const positions = suggestions.length + 1;
+            activeSuggestion = (activeSuggestion + 1 + step + positions) % positions - 1;
+            renderSuggestions();
+        } else if (e.key === 'Escape') {
+            hideSuggestions();
+        }
+    });
+    
+    document.addEventListener('click', (e) => {
+        if (!form.contains(e.target)) hideSuggestions();
+    });
+}
+
+async function loadSuggestions(query) {
+    try {
+        const result = await API.suggestProducts(query);
+        // Ignore answers for text the user has typed past
+        if (document.getElementById('search-input').value.trim() !== query) return;
+        
+        suggestions = result.data.data.suggestions;
+        activeSuggestion = -1;
+        renderSuggestions();
+    } catch (error) {
+        console.error('Error loading suggestions:', error);
+        hideSuggestions();
     }
+}
+
+function renderSuggestions() {
+    const list = document.getElementById('search-suggestions');
     
-    const filteredProducts = products.filter(product => 
-        product.name.toLowerCase().includes(query.toLowerCase()) ||
-        product.description.toLowerCase().includes(query.toLowerCase()) ||
-        product.category.toLowerCase().includes(query.toLowerCase())
-    );
+    if (suggestions.length === 0) {
+        list.innerHTML = '<li class="search-suggestion">Tidak ada produk yang cocok</li>';
+    } else {
+        list.innerHTML = suggestions.map((product, index) => `
+            <li class="search-suggestion ${index === activeSuggestion ? 'active' : ''}" data-index="${index}">
+                <span>
+                    ${escapeHtml(product.name)}
+                    <span class="search-suggestion-category">${escapeHtml(product.category)}</span>
+                </span>
+                <span class="search-suggestion-price">${formatRupiah(product.price)}</span>
+            </li>
+        `).join('');
+        
+        list.querySelectorAll('[data-index]').forEach(item => {
+            item.addEventListener('click', () => {
+                const product = suggestions[parseInt(item.getAttribute('data-index'))];
+                document.getElementById('search-input').value = product.name;
+                searchProducts(product.name);
+            });
+        });
+    }
+    list.classList.add('show');
+}
+
+function hideSuggestions() {
+    clearTimeout(suggestTimer);
+    suggestions = [];
+    activeSuggestion = -1;
     
-    displayProducts(filteredProducts);
+    const list = document.getElementById('search-suggestions');
+    if (list) list.classList.remove('show');
 }
 
 // ===== RESPONSIVE NAVIGATION =====
@@ -0,0 +1,112 @@
+// ===== ORDER DISPLAY HELPERS =====
+// Shared by the storefront (customer orders) and the admin panel
+
+const ORDER_STATUS_LABELS = {
+    pending: 'Menunggu Konfirmasi',
+    confirmed: 'Dikonfirmasi',
+    processing: 'Diproses',
+    shipped: 'Dikirim',
+    delivered: 'Diterima',
+    cancelled: 'Dibatalkan'
+};
+
+const PAYMENT_STATUS_LABELS = {
+    pending: 'Menunggu Pembayaran',
+    paid: 'Lunas',
+    failed: 'Gagal',
+    refunded: 'Dikembalikan'
+};
+
+const PAYMENT_METHOD_LABELS = {
+    bank_transfer: 'Transfer Bank',
+    e_wallet: 'E-Wallet',
+    credit_card: 'Kartu Kredit',
+    debit_card: 'Kartu Debit',
+    cash_on_delivery: 'Bayar di Tempat (COD)'
+};
+
+// Mirrors STATUS_TRANSITIONS in shared/services/order-service.js - only used to offer valid choices,
+// the server enforces the rules
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: []
+};
+
+const HISTORY_ACTOR_LABELS = {
+    customer: 'Pelanggan',
+    admin: 'Admin',
+    system: 'Sistem'
+};
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// "Sepatu Lari (42 / Hitam)" for a line item ordered as a variant
+function formatItemName(item) {
+    return item.variantLabel ? `${item.productName} (${item.variantLabel})` : item.productName;
+}
+
+function formatOrderDate(isoString) {
+    if (!isoString) return '-';
+    return new Date(isoString).toLocaleString('id-ID', {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+function renderStatusBadge(status) {
+    const label = ORDER_STATUS_LABELS[status] || status;
+    return `<span class="status-badge status-${escapeHtml(status)}">${escapeHtml(label)}</span>`;
+}
+
+function describeHistoryEntry(entry) {
+    switch (entry.type) {
+        case 'status':
+            return entry.from
+                ? `Status: ${ORDER_STATUS_LABELS[entry.from] || entry.from} → ${ORDER_STATUS_LABELS[entry.to] || entry.to}`
+                : `Status: ${ORDER_STATUS_LABELS[entry.to] || entry.to}`;
+        case 'payment':
+            return `Pembayaran: ${PAYMENT_STATUS_LABELS[entry.to] || entry.to}`;
+        case 'tracking':
+            return entry.to ? `Nomor resi: ${entry.to}` : 'Nomor resi dihapus';
+        case 'stock':
+            return 'Stok produk dikembalikan';
+        default:
+            return entry.type;
+    }
+}
+
+// Newest entry first; admins get the acting user's name when the history carries it
+function renderOrderTimeline(history) {
+    if (!history || history.length === 0) {
+        return '<p class="order-timeline-empty">Belum ada riwayat</p>';
+    }
+
+    const entries = [...history].reverse().map(entry => {
+        const actor = HISTORY_ACTOR_LABELS[entry.actor?.type] || 'Sistem';
+        const actorName = entry.actor?.name ? ` (${escapeHtml(entry.actor.name)})` : '';
+
+        return `
+            <li class="order-timeline-item timeline-${escapeHtml(entry.type)}">
+                <div class="order-timeline-title">${escapeHtml(describeHistoryEntry(entry))}</div>
+                <div class="order-timeline-meta">${formatOrderDate(entry.at)} · ${actor}${actorName}</div>
+                ${entry.note ? `<div class="order-timeline-note">${escapeHtml(entry.note)}</div>` : ''}
+            </li>
+        `;
+    }).join('');
+
+    return `<ul class="order-timeline">${entries}</ul>`;
+}
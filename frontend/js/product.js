@@ -0,0 +1,469 @@
+// ===== PRODUCT DETAIL =====
+// pages/product.html, served at /product/:id. Gallery, full description, stock, quantity and
+// related products. The navbar, cart and checkout come from main.js and checkout.js.
+
+// Below this many left the stock line warns that the product is running out
+const LOW_STOCK_THRESHOLD = 5;
+
+const REVIEWS_PER_PAGE = 5;
+// Same limit as the server's (MAX_REVIEW_IMAGES in shared/services/review-service.js)
+const MAX_REVIEW_PHOTOS = 5;
+
+// The main gallery image fills the left column: full width on phones, up to ~600px otherwise
+const PRODUCT_GALLERY_SIZES = '(max-width: 768px) 100vw, 600px';
+
+let detailProduct = null;
+let detailVariant = null;
+let detailImage = 0;
+let detailReviews = [];
+let reviewRating = 0;
+
+// /product/12, or pages/product.html?id=12 when the page is opened directly
+function productIdFromUrl() {
+    const match = window.location.pathname.match(/\/product\/(\d+)/);
+    if (match) return parseInt(match[1]);
+    return parseInt(new URLSearchParams(window.location.search).get('id')) || null;
+}
+
+async function loadProductDetail() {
+    const productId = productIdFromUrl();
+    if (!productId) {
+        renderProductNotFound();
+        return;
+    }
+
+    try {
+        const result = await API.getProduct(productId);
+        const { product, related } = result.data.data;
+
+        detailProduct = product;
+        detailVariant = defaultVariant(product);
+        // Open on the primary image
+        detailImage = Math.max(0, productImages(product).findIndex(image => image.primary));
+
+        document.title = `${product.name} - AlandStore`;
+        renderProductDetail();
+        renderRelatedProducts(related);
+        loadReviewForm();
+        await loadReviews();
+
+        // The section only appears once loaded, so the browser couldn't jump to /product/12#reviews itself
+        if (window.location.hash === '#reviews') {
+            document.getElementById('reviews').scrollIntoView();
+        }
+    } catch (error) {
+        if (error.status === 404) {
+            renderProductNotFound();
+            return;
+        }
+        console.error('Error loading product:', error);
+        document.getElementById('product-detail').innerHTML = `
+            <div class="loading-spinner">
+                <i class="fas fa-exclamation-triangle"></i>
+                <p>Error memuat produk: ${escapeHtml(error.message)}</p>
+            </div>
+        `;
+    }
+}
+
+function renderProductNotFound() {
+    document.getElementById('product-detail').innerHTML = `
+        <div class="loading-spinner">
+            <i class="fas fa-search"></i>
+            <p>Produk tidak ditemukan.</p>
+            <a href="/#products" class="btn btn-primary">Lihat Semua Produk</a>
+        </div>
+    `;
+}
+
+// Uploaded images in their set order; products without uploads show their image URL alone
+function productImages(product) {
+    if ((product.images || []).length > 0) return product.images;
+    return [{ url: product.image || '/images/placeholder.jpg' }];
+}
+
+function galleryImageHtml(image, options) {
+    if (image.renditions) {
+        return renderPicture(image, options);
+    }
+    return `<img src="${escapeHtml(image.url)}" alt="${escapeHtml(options.alt)}" onerror="this.src='/images/placeholder.jpg'">`;
+}
+
+// Stock of what would be added to the cart - the selected variant when the product has variants
+function detailStock() {
+    if (detailVariant) return detailVariant.stock || 0;
+    return detailProduct.stock || 0;
+}
+
+function canBuyDetail() {
+    const hasVariants = (detailProduct.variants || []).length > 0;
+    return detailProduct.isActive !== false && (!hasVariants || detailVariant) && detailStock() > 0;
+}
+
+function renderProductDetail() {
+    const product = detailProduct;
+    const variants = product.variants || [];
+
+    document.getElementById('product-breadcrumb-category').textContent = product.category;
+    document.getElementById('product-breadcrumb-name').textContent = product.name;
+
+    document.getElementById('product-detail').innerHTML = `
+        <div class="product-gallery" id="product-gallery"></div>
+        <div class="product-info">
+            <div class="product-category">${escapeHtml(product.category)}</div>
+            <h1 class="product-detail-name">${escapeHtml(product.name)}</h1>
+            <a class="product-detail-rating" href="#reviews">
+                ${productRatingHtml(product) || '<div class="product-rating">Belum ada ulasan</div>'}
+            </a>
+            <div class="product-detail-price" id="product-detail-price"></div>
+            ${variants.length > 0 ? `
+                <div class="product-variants">
+                    <span class="product-detail-label">Varian</span>
+                    <div class="variant-options" id="variant-options"></div>
+                </div>
+            ` : ''}
+            <div class="product-stock" id="product-stock"></div>
+            <div class="product-purchase">
+                <div class="quantity-selector">
+                    <button type="button" class="quantity-btn" onclick="changeDetailQuantity(-1)" aria-label="Kurangi jumlah">-</button>
+                    <input type="number" id="detail-quantity" value="1" min="1" aria-label="Jumlah">
+                    <button type="button" class="quantity-btn" onclick="changeDetailQuantity(1)" aria-label="Tambah jumlah">+</button>
+                </div>
+                <button class="btn btn-primary" id="detail-add-to-cart" onclick="addDetailToCart()">
+                    <i class="fas fa-cart-plus"></i>
+                    Tambah ke Keranjang
+                </button>
+            </div>
+            <div class="product-detail-description">
+                <span class="product-detail-label">Deskripsi</span>
+                <p>${escapeHtml(product.description)}</p>
+            </div>
+        </div>
+    `;
+
+    document.getElementById('detail-quantity').addEventListener('change', () => changeDetailQuantity(0));
+
+    renderGallery();
+    renderVariantOptions();
+    renderPurchaseState();
+}
+
+function renderGallery() {
+    const images = productImages(detailProduct);
+
+    document.getElementById('product-gallery').innerHTML = `
+        <div class="product-gallery-main">
+            ${galleryImageHtml(images[detailImage], { alt: detailProduct.name, sizes: PRODUCT_GALLERY_SIZES, rendition: 'full', loading: 'eager' })}
+            ${detailProduct.featured ? '<div class="product-badge">Unggulan</div>' : ''}
+        </div>
+        ${images.length > 1 ? `
+            <div class="product-gallery-thumbs">
+                ${images.map((image, index) => `
+                    <button type="button" class="product-gallery-thumb ${index === detailImage ? 'active' : ''}" onclick="selectDetailImage(${index})" aria-label="Gambar ${index + 1}">
+                        ${galleryImageHtml(image, { alt: '', sizes: '72px', rendition: 'thumb' })}
+                    </button>
+                `).join('')}
+            </div>
+        ` : ''}
+    `;
+}
+
+function selectDetailImage(index) {
+    detailImage = index;
+    renderGallery();
+}
+
+function renderVariantOptions() {
+    const container = document.getElementById('variant-options');
+    if (!container) return;
+
+    container.innerHTML = detailProduct.variants.map(variant => `
+        <button type="button" class="variant-option ${variant === detailVariant ? 'active' : ''}"
+                onclick="chooseDetailVariant(${variant.id})" ${variant.stock > 0 ? '' : 'disabled'}>
+            ${escapeHtml(variant.label)}${variant.stock > 0 ? '' : ' (habis)'}
+        </button>
+    `).join('');
+}
+
+function chooseDetailVariant(variantId) {
+    detailVariant = detailProduct.variants.find(variant => variant.id === variantId) || null;
+    renderVariantOptions();
+    renderPurchaseState();
+}
+
+// Price, stock line, quantity limit and the add button for the current selection
+function renderPurchaseState() {
+    const stock = detailStock();
+    const stockEl = document.getElementById('product-stock');
+
+    document.getElementById('product-detail-price').textContent = formatRupiah(variantPrice(detailProduct, detailVariant));
+
+    if (detailProduct.isActive === false) {
+        stockEl.className = 'product-stock out';
+        stockEl.innerHTML = '<i class="fas fa-ban"></i> Produk ini sedang tidak dijual';
+    } else if (stock <= 0) {
+        stockEl.className = 'product-stock out';
+        stockEl.innerHTML = '<i class="fas fa-times-circle"></i> Stok habis';
+    } else if (stock <= LOW_STOCK_THRESHOLD) {
+        stockEl.className = 'product-stock low';
+        stockEl.innerHTML = `<i class="fas fa-exclamation-circle"></i> Stok terbatas, tinggal ${stock}`;
+    } else {
+        stockEl.className = 'product-stock in';
+        stockEl.innerHTML = `<i class="fas fa-check-circle"></i> Stok tersedia (${stock})`;
+    }
+
+    const quantityInput = document.getElementById('detail-quantity');
+    quantityInput.max = Math.max(1, stock);
+    changeDetailQuantity(0);
+
+    const canBuy = canBuyDetail();
+    quantityInput.disabled = !canBuy;
+    document.getElementById('detail-add-to-cart').disabled = !canBuy;
+}
+
+// step 0 just brings a typed value back within 1..stock
+function changeDetailQuantity(step) {
+    const input = document.getElementById('detail-quantity');
+    const quantity = (parseInt(input.value) || 1) + step;
+    input.value = Math.max(1, Math.min(Math.max(1, detailStock()), quantity));
+}
+
+function addDetailToCart() {
+    if (!canBuyDetail()) return;
+
+    const quantity = parseInt(document.getElementById('detail-quantity').value) || 1;
+    const key = cartKey({ id: detailProduct.id, variantId: detailVariant ? detailVariant.id : null });
+    const inCart = cart.find(item => cartKey(item) === key);
+    const inCartQuantity = inCart ? inCart.quantity : 0;
+
+    // The server checks stock again when the order is placed; this just avoids an obvious failure
+    if (inCartQuantity + quantity > detailStock()) {
+        showNotification(`Stok tidak mencukupi: tersisa ${detailStock()}, ${inCartQuantity} sudah di keranjang`, 'error');
+        return;
+    }
+
+    addToCart(detailProduct, detailVariant, quantity);
+}
+
+function renderRelatedProducts(related) {
+    const section = document.getElementById('related-section');
+    const grid = document.getElementById('related-grid');
+
+    if (!related || related.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+
+    grid.innerHTML = related.map(product => `
+        <div class="product-card">
+            ${wishlistButtonHtml(product)}
+            <a class="product-image" href="${productUrl(product)}">
+                ${productImageHtml(product, { sizes: PRODUCT_CARD_SIZES })}
+                ${product.featured ? '<div class="product-badge">Unggulan</div>' : ''}
+            </a>
+            <div class="product-content">
+                <div class="product-category">${escapeHtml(product.category)}</div>
+                <h3 class="product-name"><a href="${productUrl(product)}">${escapeHtml(product.name)}</a></h3>
+                ${productRatingHtml(product)}
+                <div class="product-footer">
+                    <div class="product-price">${formatRupiah(variantPrice(product, defaultVariant(product)))}</div>
+                    <a class="add-to-cart-btn" href="${productUrl(product)}">Lihat</a>
+                </div>
+            </div>
+        </div>
+    `).join('');
+    section.style.display = 'block';
+}
+
+// ===== REVIEWS =====
+// Approved reviews, a page at a time; append=true adds the next page
+async function loadReviews(append = false) {
+    try {
+        const result = await API.getProductReviews(detailProduct.id, {
+            limit: REVIEWS_PER_PAGE,
+            offset: append ? detailReviews.length : 0
+        });
+        const { reviews, summary, pagination } = result.data.data;
+
+        detailReviews = append ? detailReviews.concat(reviews) : reviews;
+        renderReviewSummary(summary);
+        document.getElementById('reviews-list').innerHTML = detailReviews.map(reviewHtml).join('');
+        document.getElementById('reviews-more').style.display = pagination.hasMore ? 'inline-flex' : 'none';
+        document.getElementById('reviews').style.display = 'block';
+    } catch (error) {
+        console.error('Error loading reviews:', error);
+    }
+}
+
+function renderReviewSummary(summary) {
+    const container = document.getElementById('reviews-summary');
+
+    if (!summary.reviewCount) {
+        container.innerHTML = '<p class="reviews-summary-count">Belum ada ulasan untuk produk ini.</p>';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="reviews-average">${summary.rating.toFixed(1)}</div>
+        <span class="rating-stars">${ratingStars(summary.rating)}</span>
+        <p class="reviews-summary-count">${summary.reviewCount} ulasan</p>
+        ${[5, 4, 3, 2, 1].map(star => {
+            const count = summary.distribution[star] || 0;
+            return `
+                <div class="reviews-bar">
+                    <span>${star} <i class="fas fa-star"></i></span>
+                    <div class="reviews-bar-track">
+                        <div class="reviews-bar-fill" style="width: ${Math.round((count / summary.reviewCount) * 100)}%"></div>
+                    </div>
+                    <span>${count}</span>
+                </div>
+            `;
+        }).join('')}
+    `;
+}
+
+function reviewHtml(review) {
+    return `
+        <div class="review-item">
+            <div class="review-item-header">
+                <span class="review-author">${escapeHtml(review.authorName)}</span>
+                <span class="rating-stars">${ratingStars(review.rating)}</span>
+                <span class="review-date">${formatOrderDate(review.createdAt)}</span>
+            </div>
+            <p class="review-text">${escapeHtml(review.text)}</p>
+            ${(review.images || []).length > 0 ? `
+                <div class="review-photos">
+                    ${review.images.map(image => `
+                        <a href="${escapeHtml(image.renditions.full.fallback)}" target="_blank" rel="noopener">
+                            ${renderPicture(image, { alt: 'Foto ulasan', sizes: '80px', rendition: 'thumb' })}
+                        </a>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// The form for customers with a delivered order of this product, or why there is none
+async function loadReviewForm() {
+    const container = document.getElementById('review-form-container');
+
+    if (!API.isAuthenticated()) {
+        container.innerHTML = '<div class="review-notice"><a href="/login">Masuk</a> untuk mengulas produk yang sudah Anda terima.</div>';
+        return;
+    }
+
+    try {
+        const result = await API.getMyReview(detailProduct.id);
+        const { canReview, review } = result.data.data;
+
+        if (review) {
+            container.innerHTML = ownReviewNotice(review);
+        } else if (canReview) {
+            renderReviewForm();
+        } else {
+            container.innerHTML = '<div class="review-notice">Ulasan bisa ditulis setelah pesanan berisi produk ini Anda terima.</div>';
+        }
+    } catch (error) {
+        console.error('Error loading review status:', error);
+        container.innerHTML = '';
+    }
+}
+
+function ownReviewNotice(review) {
+    const messages = {
+        pending: 'Ulasan Anda sedang diperiksa dan akan tampil setelah disetujui.',
+        approved: 'Terima kasih, ulasan Anda sudah tampil.',
+        rejected: 'Ulasan Anda tidak lolos moderasi.'
+    };
+
+    return `
+        <div class="review-notice">
+            <span class="rating-stars">${ratingStars(review.rating)}</span>
+            <p>${messages[review.status] || ''}</p>
+        </div>
+    `;
+}
+
+function renderReviewForm() {
+    reviewRating = 0;
+    document.getElementById('review-form-container').innerHTML = `
+        <form class="review-form" id="review-form">
+            <span class="product-detail-label">Tulis Ulasan</span>
+            <div class="form-group">
+                <div class="review-star-input" id="review-star-input" role="group" aria-label="Rating"></div>
+            </div>
+            <div class="form-group">
+                <textarea id="review-text" rows="4" minlength="10" maxlength="2000" placeholder="Ceritakan pengalaman Anda dengan produk ini (min. 10 karakter)" required></textarea>
+            </div>
+            <div class="form-group">
+                <label class="product-detail-label" for="review-photos">Foto (opsional, maks. ${MAX_REVIEW_PHOTOS})</label>
+                <input type="file" id="review-photos" accept="${CONFIG.UI.ALLOWED_FILE_TYPES.join(',')}" multiple>
+            </div>
+            <button type="submit" class="btn btn-primary" id="review-submit">
+                <i class="fas fa-paper-plane"></i>
+                Kirim Ulasan
+            </button>
+        </form>
+    `;
+
+    renderStarInput();
+    document.getElementById('review-form').addEventListener('submit', submitReview);
+}
+
+function renderStarInput() {
+    document.getElementById('review-star-input').innerHTML = [1, 2, 3, 4, 5].map(star => `
+        <button type="button" onclick="setReviewRating(${star})" aria-label="${star} bintang" aria-pressed="${star === reviewRating}">
+            <i class="${star <= reviewRating ? 'fas' : 'far'} fa-star"></i>
+        </button>
+    `).join('');
+}
+
+function setReviewRating(rating) {
+    reviewRating = rating;
+    renderStarInput();
+}
+
+async function submitReview(e) {
+    e.preventDefault();
+
+    const text = document.getElementById('review-text').value.trim();
+    const photos = [...document.getElementById('review-photos').files];
+
+    // The server checks all of this again
+    if (reviewRating < 1) {
+        showNotification('Pilih rating 1 sampai 5 bintang', 'error');
+        return;
+    }
+    if (text.length < 10) {
+        showNotification('Ulasan minimal 10 karakter', 'error');
+        return;
+    }
+    if (photos.length > MAX_REVIEW_PHOTOS) {
+        showNotification(`Maksimal ${MAX_REVIEW_PHOTOS} foto per ulasan`, 'error');
+        return;
+    }
+    if (photos.some(photo => !CONFIG.UI.ALLOWED_FILE_TYPES.includes(photo.type) || photo.size > CONFIG.UI.MAX_FILE_SIZE)) {
+        showNotification('Foto harus JPEG, PNG atau WebP dan maksimal 5 MB', 'error');
+        return;
+    }
+
+    const submitButton = document.getElementById('review-submit');
+    submitButton.disabled = true;
+
+    try {
+        const result = await API.submitReview(detailProduct.id, { rating: reviewRating, text }, photos);
+        document.getElementById('review-form-container').innerHTML = ownReviewNotice(result.data.data.review);
+        showNotification(result.data.message || 'Ulasan terkirim', 'success');
+    } catch (error) {
+        const messages = {
+            REVIEW_EXISTS: 'Anda sudah mengulas produk ini',
+            REVIEW_NOT_ALLOWED: 'Ulasan bisa ditulis setelah pesanan berisi produk ini Anda terima',
+            UPLOADS_NOT_SUPPORTED: 'Upload foto belum tersedia di server ini, kirim ulasan tanpa foto'
+        };
+        showNotification(messages[error.code] || error.message, 'error');
+        submitButton.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', loadProductDetail);
@@ -0,0 +1,127 @@
+// ===== WISHLIST PAGE =====
+// pages/wishlist.html, served at /wishlist. Products the customer saved for later, flagged when
+// they are out of stock or gone from the catalog. The navbar, cart and checkout come from
+// main.js and checkout.js.
+
+let wishlistItems = [];
+
+async function loadWishlist() {
+    const grid = document.getElementById('wishlist-grid');
+
+    if (!currentUser) {
+        grid.innerHTML = `
+            <div class="loading-spinner">
+                <i class="fas fa-heart"></i>
+                <p>Login untuk melihat produk yang Anda simpan.</p>
+                <a href="/login" class="btn btn-primary">Login</a>
+            </div>
+        `;
+        return;
+    }
+
+    try {
+        const result = await API.getWishlist();
+        wishlistItems = result.data.data.items;
+        wishlistIds = new Set(wishlistItems.map(item => item.productId));
+        // The cards reuse main.js's variant select and addProductToCart, which look products up here
+        products = wishlistItems.filter(item => item.product).map(item => item.product);
+        renderWishlist();
+    } catch (error) {
+        console.error('Error loading wishlist:', error);
+        grid.innerHTML = `
+            <div class="loading-spinner">
+                <i class="fas fa-exclamation-triangle"></i>
+                <p>Error memuat wishlist: ${escapeHtml(error.message)}</p>
+            </div>
+        `;
+    }
+}
+
+function renderWishlist() {
+    const grid = document.getElementById('wishlist-grid');
+    const count = document.getElementById('wishlist-count');
+
+    count.textContent = wishlistItems.length > 0 ? `${wishlistItems.length} produk tersimpan` : '';
+
+    if (wishlistItems.length === 0) {
+        grid.innerHTML = `
+            <div class="loading-spinner">
+                <i class="far fa-heart"></i>
+                <p>Wishlist Anda masih kosong. Tekan ikon hati pada produk untuk menyimpannya.</p>
+                <a href="/#products" class="btn btn-primary">Lihat Produk</a>
+            </div>
+        `;
+        return;
+    }
+
+    grid.innerHTML = wishlistItems.map(wishlistItemHtml).join('');
+}
+
+function wishlistItemHtml(item) {
+    const product = item.product;
+    const flags = {
+        out_of_stock: '<div class="wishlist-flag">Stok habis</div>',
+        unavailable: `<div class="wishlist-flag">${product ? 'Tidak dijual lagi' : 'Produk sudah dihapus'}</div>`
+    };
+    // A deleted product only has what was saved with it: name, image and price
+    const media = (product
+        ? productImageHtml(product, { sizes: PRODUCT_CARD_SIZES })
+        : `<img src="${escapeHtml(item.image)}" alt="${escapeHtml(item.name)}" onerror="handleImageError(this)" loading="lazy">`
+    ) + (flags[item.availability] || '');
+    const imageBox = product
+        ? `<a class="product-image" href="${productUrl(product)}">${media}</a>`
+        : `<div class="product-image">${media}</div>`;
+    const name = product
+        ? `<a href="${productUrl(product)}">${escapeHtml(item.name)}</a>`
+        : escapeHtml(item.name);
+
+    return `
+        <div class="product-card ${item.availability === 'in_stock' ? '' : 'wishlist-card-unavailable'}">
+            ${imageBox}
+            <div class="product-content">
+                ${product ? `<div class="product-category">${escapeHtml(product.category)}</div>` : ''}
+                <h3 class="product-name">${name}</h3>
+                ${item.availability === 'in_stock' ? renderVariantSelect(product) : ''}
+                <div class="product-footer">
+                    <div class="product-price">${formatRupiah(product ? variantPrice(product, defaultVariant(product)) : item.price)}</div>
+                    <button class="btn btn-outline wishlist-remove" onclick="removeWishlistItem(${item.productId})" title="Hapus dari wishlist">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+                <button class="btn btn-primary btn-full wishlist-move" onclick="moveToCart(${item.productId}, this)" ${item.availability === 'in_stock' ? '' : 'disabled'}>
+                    <i class="fas fa-cart-plus"></i>
+                    Pindah ke Keranjang
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+async function removeWishlistItem(productId, { notify = true } = {}) {
+    try {
+        await API.removeFromWishlist(productId);
+    } catch (error) {
+        // Already gone, e.g. removed in another tab - the list is updated all the same
+        if (error.status !== 404) {
+            showNotification(error.message, 'error');
+            return;
+        }
+    }
+
+    wishlistItems = wishlistItems.filter(item => item.productId !== productId);
+    wishlistIds.delete(productId);
+    renderWishlist();
+    if (notify) {
+        showNotification('Produk dihapus dari wishlist', 'info');
+    }
+}
+
+// Add the selected variant to the cart and take the product off the wishlist
+async function moveToCart(productId, button) {
+    // addToCart explains itself when it refuses (no variant chosen, sold out); the product stays saved then
+    if (!(await addProductToCart(productId, button))) return;
+
+    await removeWishlistItem(productId, { notify: false });
+}
+
+document.addEventListener('DOMContentLoaded', loadWishlist);
@@ -0,0 +1,117 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  verifyToken,
+  getServices
+} = require('./utils');
+
+// Two-factor settings of the logged-in user:
+//   GET  /account-2fa                   { enabled, required, recoveryCodesRemaining }
+//   POST /account-2fa/setup             start enrolment - secret, otpauth URI and QR code
+//   POST /account-2fa/enable            { code } - finish enrolment, answers with recovery codes
+//   POST /account-2fa/disable           { code } - turn it off (not allowed for staff)
+//   POST /account-2fa/recovery-codes    { code } - replace the recovery codes
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for two-factor settings - codes are checked here too
+    if (!checkRateLimit(clientIP, 'account-2fa', 20, 15 * 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for two-factor settings', { ip: clientIP });
+      return createErrorResponse(429, 'Too many requests, please try again later.');
+    }
+
+    // Verify JWT token
+    const token = event.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded.success) {
+      return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+
+    const userId = decoded.payload.id;
+    const pathSegments = (event.path || '').split('/').filter(Boolean);
+    const [action] = pathSegments.slice(pathSegments.lastIndexOf('account-2fa') + 1);
+
+    const { userService, twoFactorService } = await getServices();
+
+    if (event.httpMethod === 'GET') {
+      const user = await userService.getById(userId);
+      return createResponse(200, {
+        message: 'Two-factor status fetched successfully',
+        data: twoFactorService.status(user)
+      });
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    if (action === 'setup') {
+      const setup = await twoFactorService.setup(userId);
+      return createResponse(200, {
+        message: 'Two-factor setup started',
+        data: setup
+      });
+    }
+
+    if (action === 'enable') {
+      const { user, recoveryCodes } = await twoFactorService.enable(userId, body.code);
+      logSecurityEvent(event, 'Two-factor authentication enabled', { userId });
+
+      return createResponse(200, {
+        message: 'Two-factor authentication enabled',
+        data: { ...twoFactorService.status(user), recoveryCodes }
+      });
+    }
+
+    if (action === 'disable') {
+      const user = await twoFactorService.disable(userId, body.code);
+      logSecurityEvent(event, 'Two-factor authentication disabled', { userId });
+
+      return createResponse(200, {
+        message: 'Two-factor authentication disabled',
+        data: twoFactorService.status(user)
+      });
+    }
+
+    if (action === 'recovery-codes') {
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(userId, body.code);
+      logSecurityEvent(event, 'Two-factor recovery codes regenerated', { userId });
+
+      return createResponse(200, {
+        message: 'Recovery codes regenerated',
+        data: { recoveryCodes }
+      });
+    }
+
+    return createErrorResponse(404, 'Unknown two-factor action');
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Two-factor settings error:', error);
+    logSecurityEvent(event, 'Two-factor settings function error', { error: error.message });
+    return createErrorResponse(500, 'Internal server error while updating two-factor settings', 'TWO_FACTOR_ERROR');
+  }
+};
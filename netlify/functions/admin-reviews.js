@@ -0,0 +1,144 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  verifyToken,
+  checkPermission,
+  getServices
+} = require('./utils');
+
+// Review moderation:
+//   GET    /admin-reviews        the queue (status=pending|approved|rejected or empty for all, productId, limit, offset)
+//   PUT    /admin-reviews/:id    approve or reject: { status, note } - updates the product's rating (PATCH too, as on Express)
+//   DELETE /admin-reviews/:id    remove a review
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (!['GET', 'PUT', 'PATCH', 'DELETE'].includes(event.httpMethod)) {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for review moderation
+    if (!checkRateLimit(clientIP, 'review-manage', 50, 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for review moderation', { ip: clientIP });
+      return createErrorResponse(429, 'Too many review moderation requests, please try again later.');
+    }
+
+    // Verify JWT token
+    const token = event.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded.success) {
+      logSecurityEvent(event, 'Invalid token for review moderation', {
+        ip: clientIP,
+        error: decoded.error
+      });
+      return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+
+    if (!checkPermission(decoded.payload, 'reviews:moderate')) {
+      logSecurityEvent(event, 'User without reviews:moderate attempted review moderation', {
+        userId: decoded.payload.id,
+        role: decoded.payload.role,
+        method: event.httpMethod
+      });
+      return createErrorResponse(403, 'Permission reviews:moderate required', 'PERMISSION_DENIED');
+    }
+
+    const pathSegments = (event.path || '').split('/').filter(Boolean);
+    const [reviewId] = pathSegments.slice(pathSegments.lastIndexOf('admin-reviews') + 1);
+
+    const { reviewService } = await getServices();
+
+    if (event.httpMethod === 'GET') {
+      const queryParams = event.queryStringParameters || {};
+      const limit = parseInt(queryParams.limit) || 10;
+      const offset = parseInt(queryParams.offset) || 0;
+      const { reviews, total } = await reviewService.listForModeration({
+        status: queryParams.status === undefined ? 'pending' : queryParams.status,
+        productId: queryParams.productId,
+        limit,
+        offset
+      });
+
+      return createResponse(200, {
+        message: 'Reviews fetched successfully',
+        data: {
+          reviews,
+          pagination: {
+            total,
+            limit,
+            offset,
+            hasMore: offset + reviews.length < total
+          }
+        }
+      });
+    }
+
+    if (!reviewId || isNaN(parseInt(reviewId))) {
+      return createErrorResponse(400, 'Valid review ID required');
+    }
+
+    const numReviewId = parseInt(reviewId);
+
+    if (event.httpMethod === 'DELETE') {
+      const review = await reviewService.remove(numReviewId);
+
+      logSecurityEvent(event, 'Review deleted by admin', {
+        adminId: decoded.payload.id,
+        reviewId: review.id,
+        productId: review.productId
+      });
+
+      return createResponse(200, {
+        message: 'Review deleted successfully',
+        data: { reviewId: review.id }
+      });
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const { review, product } = await reviewService.moderate(numReviewId, {
+      status: body.status,
+      note: body.note
+    }, { id: decoded.payload.id });
+
+    logSecurityEvent(event, 'Review moderated', {
+      adminId: decoded.payload.id,
+      reviewId: review.id,
+      status: review.status
+    });
+
+    return createResponse(200, {
+      message: 'Review moderated successfully',
+      data: { review, product }
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Review moderation error:', error);
+    logSecurityEvent(event, 'Review moderation function error', {
+      error: error.message
+    });
+    return createErrorResponse(500, 'Internal server error during review moderation', 'REVIEW_MANAGE_ERROR');
+  }
+};
@@ -0,0 +1,186 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  verifyToken,
+  checkPermission,
+  getServices
+} = require('./utils');
+
+// Admin user management:
+//   GET  /admin-users                       list and search (search, role, status, limit, offset)
+//   GET  /admin-users/:id/login-history     recent login attempts on the account (limit, offset)
+//   PUT  /admin-users/:id                   change role and/or isActive (PATCH too, as on Express)
+//   POST /admin-users/:id/reset-password    block password logins and email the user a reset link
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (!['GET', 'PUT', 'PATCH', 'POST'].includes(event.httpMethod)) {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for user management
+    if (!checkRateLimit(clientIP, 'user-manage', 50, 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for user management', { ip: clientIP });
+      return createErrorResponse(429, 'Too many user management requests, please try again later.');
+    }
+
+    // Verify JWT token
+    const token = event.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded.success) {
+      logSecurityEvent(event, 'Invalid token for user management', {
+        ip: clientIP,
+        error: decoded.error
+      });
+      return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+
+    // Reading accounts, forcing a password reset and changing them are separate permissions
+    const permission = { GET: 'users:read', POST: 'users:reset-password' }[event.httpMethod] || 'users:manage';
+    if (!checkPermission(decoded.payload, permission)) {
+      logSecurityEvent(event, 'User without permission attempted user management', {
+        userId: decoded.payload.id,
+        role: decoded.payload.role,
+        permission,
+        method: event.httpMethod
+      });
+      return createErrorResponse(403, `Permission ${permission} required`, 'PERMISSION_DENIED');
+    }
+
+    // Path segments after the function name: [userId, action]
+    const pathSegments = (event.path || '').split('/').filter(Boolean);
+    const [userId, action] = pathSegments.slice(pathSegments.lastIndexOf('admin-users') + 1);
+
+    const { userService, passwordResetService } = await getServices();
+
+    if (event.httpMethod === 'GET' && userId) {
+      if (action !== 'login-history') {
+        return createErrorResponse(404, 'Unknown user action');
+      }
+
+      const queryParams = event.queryStringParameters || {};
+      const limit = parseInt(queryParams.limit) || 20;
+      const offset = parseInt(queryParams.offset) || 0;
+      const { history, total } = await userService.listLoginHistory(userId, { limit, offset });
+
+      return createResponse(200, {
+        message: 'Login history fetched successfully',
+        data: {
+          history,
+          pagination: {
+            total,
+            limit,
+            offset,
+            hasMore: offset + history.length < total
+          }
+        }
+      });
+    }
+
+    if (event.httpMethod === 'GET') {
+      const queryParams = event.queryStringParameters || {};
+      const limit = parseInt(queryParams.limit) || 20;
+      const offset = parseInt(queryParams.offset) || 0;
+      const { users, total } = await userService.list({
+        search: queryParams.search,
+        role: queryParams.role,
+        status: queryParams.status,
+        limit,
+        offset
+      });
+
+      return createResponse(200, {
+        message: 'Users fetched successfully',
+        data: {
+          users,
+          pagination: {
+            total,
+            limit,
+            offset,
+            hasMore: offset + users.length < total
+          }
+        }
+      });
+    }
+
+    if (!userId || isNaN(parseInt(userId))) {
+      return createErrorResponse(400, 'Valid user ID required');
+    }
+
+    const numUserId = parseInt(userId);
+    const actor = { id: decoded.payload.id, role: decoded.payload.role };
+
+    if (event.httpMethod === 'POST') {
+      if (action !== 'reset-password') {
+        return createErrorResponse(404, 'Unknown user action');
+      }
+
+      const user = await userService.requirePasswordReset(numUserId, actor);
+
+      // The account can't log in until the user follows this link
+      await passwordResetService.request(user.email, { ip: clientIP });
+
+      logSecurityEvent(event, 'Password reset forced by admin', {
+        adminId: decoded.payload.id,
+        userId: user.id
+      });
+
+      return createResponse(200, {
+        message: 'Password reset required for user',
+        data: {
+          user: userService.toPublic(user)
+        }
+      });
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const { user, changes } = await userService.update(numUserId, {
+      role: body.role,
+      isActive: body.isActive
+    }, actor);
+
+    logSecurityEvent(event, 'User updated successfully by admin', {
+      adminId: decoded.payload.id,
+      userId: user.id,
+      changes
+    });
+
+    return createResponse(200, {
+      message: 'User updated successfully',
+      data: {
+        user: userService.toPublic(user),
+        changes
+      }
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('User management error:', error);
+    logSecurityEvent(event, 'User management function error', {
+      error: error.message
+    });
+    return createErrorResponse(500, 'Internal server error during user management', 'USER_MANAGE_ERROR');
+  }
+};
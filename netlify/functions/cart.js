@@ -0,0 +1,114 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  verifyToken,
+  getServices
+} = require('./utils');
+
+// The logged in customer's cart. Every response carries the whole cart, checked against
+// current prices and stock:
+//   GET    /cart              the cart
+//   DELETE /cart              empty the cart
+//   POST   /cart/items        add a product: { productId, variantId, quantity }
+//   PUT    /cart/items/:key   set a line's quantity: { quantity } (0 removes it)
+//   DELETE /cart/items/:key   remove a line
+//   POST   /cart/merge        merge the cart built before logging in: { items }
+// :key is "productId" or "productId:variantId".
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(event.httpMethod)) {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for cart requests
+    if (!checkRateLimit(clientIP, 'cart', 100, 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for cart', { ip: clientIP });
+      return createErrorResponse(429, 'Too many requests, please try again later.');
+    }
+
+    // Verify JWT token
+    const token = event.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded.success) {
+      logSecurityEvent(event, 'Invalid token for cart', {
+        ip: clientIP,
+        error: decoded.error
+      });
+      return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+
+    const userId = decoded.payload.id;
+    const pathSegments = (event.path || '').split('/').filter(Boolean);
+    const [action, key] = pathSegments.slice(pathSegments.lastIndexOf('cart') + 1);
+    const lineKey = key === undefined ? undefined : decodeURIComponent(key);
+
+    const { cartService } = await getServices();
+
+    if (!action && event.httpMethod === 'GET') {
+      const cart = await cartService.get(userId);
+      return createResponse(200, { message: 'Cart fetched successfully', data: { cart } });
+    }
+
+    if (!action && event.httpMethod === 'DELETE') {
+      const cart = await cartService.clear(userId);
+      return createResponse(200, { message: 'Cart emptied', data: { cart } });
+    }
+
+    if (action === 'items' && lineKey && event.httpMethod === 'DELETE') {
+      const cart = await cartService.removeItem(userId, lineKey);
+      return createResponse(200, { message: 'Product removed from cart', data: { cart } });
+    }
+
+    const knownWrite = (action === 'items' && !lineKey && event.httpMethod === 'POST') ||
+      (action === 'items' && lineKey && event.httpMethod === 'PUT') ||
+      (action === 'merge' && !lineKey && event.httpMethod === 'POST');
+    if (!knownWrite) {
+      return createErrorResponse(404, 'Unknown cart action');
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    if (action === 'merge') {
+      const { cart, skipped } = await cartService.merge(userId, body.items);
+      return createResponse(200, { message: 'Cart merged', data: { cart, skipped } });
+    }
+
+    if (lineKey) {
+      const cart = await cartService.updateItem(userId, lineKey, body);
+      return createResponse(200, { message: 'Cart updated', data: { cart } });
+    }
+
+    const cart = await cartService.addItem(userId, body);
+    return createResponse(200, { message: 'Product added to cart', data: { cart } });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Cart function error:', error);
+    logSecurityEvent(event, 'Cart function error', {
+      error: error.message
+    });
+    return createErrorResponse(500, 'Internal server error while handling the cart', 'CART_ERROR');
+  }
+};
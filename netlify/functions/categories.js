@@ -0,0 +1,152 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  verifyToken,
+  checkPermission,
+  getServices
+} = require('./utils');
+
+// Product categories:
+//   GET    /categories        the category tree with product counts (public)
+//   GET    /categories/:id    one category (public)
+//   POST   /categories        add a category (products:write)
+//   PUT    /categories/:id    rename, move, reorder or change the icon (products:write)
+//   DELETE /categories/:id    remove a category without products or subcategories (products:write)
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (!['GET', 'POST', 'PUT', 'DELETE'].includes(event.httpMethod)) {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for category requests
+    if (!checkRateLimit(clientIP, 'categories', 100, 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for categories', { ip: clientIP });
+      return createErrorResponse(429, 'Too many requests, please try again later.');
+    }
+
+    const pathSegments = (event.path || '').split('/').filter(Boolean);
+    const [categoryId] = pathSegments.slice(pathSegments.lastIndexOf('categories') + 1);
+
+    if (categoryId !== undefined && isNaN(parseInt(categoryId))) {
+      return createErrorResponse(400, 'Valid category ID required');
+    }
+
+    const { categoryService } = await getServices();
+
+    if (event.httpMethod === 'GET') {
+      if (categoryId) {
+        const category = await categoryService.getById(parseInt(categoryId));
+        return createResponse(200, {
+          message: 'Category fetched successfully',
+          data: { category }
+        });
+      }
+
+      const categories = await categoryService.tree();
+      return createResponse(200, {
+        message: 'Categories fetched successfully',
+        data: { categories }
+      });
+    }
+
+    // Verify JWT token
+    const token = event.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded.success) {
+      logSecurityEvent(event, 'Invalid token for category management', {
+        ip: clientIP,
+        error: decoded.error
+      });
+      return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+
+    // Categories belong to the catalog, so the same permission as products
+    if (!checkPermission(decoded.payload, 'products:write')) {
+      logSecurityEvent(event, 'User without products:write attempted category management', {
+        userId: decoded.payload.id,
+        role: decoded.payload.role,
+        method: event.httpMethod
+      });
+      return createErrorResponse(403, 'Permission products:write required', 'PERMISSION_DENIED');
+    }
+
+    if (event.httpMethod !== 'POST' && !categoryId) {
+      return createErrorResponse(400, 'Valid category ID required');
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const category = await categoryService.remove(parseInt(categoryId));
+
+      logSecurityEvent(event, 'Category deleted successfully', {
+        adminId: decoded.payload.id,
+        categoryId: category.id,
+        slug: category.slug
+      });
+
+      return createResponse(200, {
+        message: 'Category deleted successfully',
+        data: { categoryId: category.id }
+      });
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    if (event.httpMethod === 'POST') {
+      const category = await categoryService.create(body);
+
+      logSecurityEvent(event, 'Category created successfully', {
+        adminId: decoded.payload.id,
+        categoryId: category.id,
+        slug: category.slug
+      });
+
+      return createResponse(201, {
+        message: 'Category created successfully',
+        data: { category }
+      });
+    }
+
+    const { category, changes } = await categoryService.update(parseInt(categoryId), body);
+
+    logSecurityEvent(event, 'Category updated successfully', {
+      adminId: decoded.payload.id,
+      categoryId: category.id,
+      changes
+    });
+
+    return createResponse(200, {
+      message: 'Category updated successfully',
+      data: { category, changes }
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Categories function error:', error);
+    logSecurityEvent(event, 'Categories function error', {
+      error: error.message
+    });
+    return createErrorResponse(500, 'Internal server error while handling categories', 'CATEGORIES_ERROR');
+  }
+};
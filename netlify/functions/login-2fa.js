@@ -0,0 +1,82 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  createLoginResponse,
+  logSecurityEvent,
+  getServices
+} = require('./utils');
+
+// Second login step, with the challengeToken login.js hands out instead of a session:
+//   POST /login-2fa          { challengeToken, code } - TOTP or recovery code; answers like login.js
+//   POST /login-2fa/setup    { challengeToken } - authenticator setup for staff enrolling at login
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for code attempts - 10 attempts per 15 minutes
+    if (!checkRateLimit(clientIP, 'login-2fa', 10, 15 * 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for two-factor login', { ip: clientIP });
+      return createErrorResponse(429, 'Terlalu banyak percobaan kode. Silakan coba lagi dalam 15 menit.');
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const pathSegments = (event.path || '').split('/').filter(Boolean);
+    const [action] = pathSegments.slice(pathSegments.lastIndexOf('login-2fa') + 1);
+
+    const { twoFactorService } = await getServices();
+
+    if (action === 'setup') {
+      const setup = await twoFactorService.startLoginEnrollment(body.challengeToken);
+      return createResponse(200, setup);
+    }
+
+    if (action) {
+      return createErrorResponse(404, 'Unknown two-factor action');
+    }
+
+    const { user, recoveryCodes } = await twoFactorService.completeLogin(body.challengeToken, body.code, {
+      ip: clientIP,
+      userAgent: event.headers['user-agent']
+    });
+
+    if (recoveryCodes) {
+      logSecurityEvent(event, 'Two-factor authentication enabled during login', { userId: user.id });
+    }
+
+    // recoveryCodes is only set when this login enrolled the user
+    return createLoginResponse(event, user, recoveryCodes ? { recoveryCodes } : {});
+
+  } catch (error) {
+    if (error.code === 'INVALID_TWO_FACTOR_CODE') {
+      logSecurityEvent(event, 'Invalid two-factor code');
+    } else if (error.code === 'LOGIN_DELAYED' || error.code === 'ACCOUNT_LOCKED') {
+      logSecurityEvent(event, 'Blocked two-factor attempt', { code: error.code });
+    }
+
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Two-factor login error:', error);
+    logSecurityEvent(event, 'Two-factor login function error', { error: error.message });
+    return createErrorResponse(500, 'Internal server error during two-factor login', 'LOGIN_ERROR');
+  }
+};
@@ -0,0 +1,71 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  verifyToken,
+  getServices
+} = require('./utils');
+
+// Recent login attempts on the logged-in user's account (limit, offset)
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  // Only allow GET requests
+  if (event.httpMethod !== 'GET') {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for login history requests
+    if (!checkRateLimit(clientIP, 'login-history', 50, 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for login history', { ip: clientIP });
+      return createErrorResponse(429, 'Too many requests, please try again later.');
+    }
+
+    // Verify JWT token
+    const token = event.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded.success) {
+      return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+
+    const queryParams = event.queryStringParameters || {};
+    const limit = parseInt(queryParams.limit) || 20;
+    const offset = parseInt(queryParams.offset) || 0;
+
+    const { userService } = await getServices();
+    const { history, total } = await userService.listLoginHistory(decoded.payload.id, { limit, offset });
+
+    return createResponse(200, {
+      message: 'Login history fetched successfully',
+      data: {
+        history,
+        pagination: {
+          total,
+          limit,
+          offset,
+          hasMore: offset + history.length < total
+        }
+      }
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Login history error:', error);
+    logSecurityEvent(event, 'Login history function error', { error: error.message });
+    return createErrorResponse(500, 'Internal server error while fetching login history', 'LOGIN_HISTORY_ERROR');
+  }
+};
@@ -1,17 +1,14 @@
 const {
   handleCORS,
   checkRateLimit,
-  validateEmail,
-  sanitizeInput,
   createResponse,
   createErrorResponse,
+  createServiceErrorResponse,
+  createLoginResponse,
   logSecurityEvent,
-  mockDB,
-  bcrypt,
-  jwt,
-  JWT_SECRET,
-  JWT_EXPIRE
+  getServices
 } = require('./utils');
+const { requiresTwoFactor } = require('../../shared/services');
 
 exports.handler = async (event, context) => {
   // Handle CORS preflight
@@ -23,9 +20,11 @@ exports.handler = async (event, context) => {
     return createErrorResponse(405, 'Method not allowed');
   }
 
+  let email;
+
   try {
     const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
-    
+
     // Rate limiting for login attempts - 10 attempts per 15 minutes
     if (!checkRateLimit(clientIP, 'login', 10, 15 * 60 * 1000)) {
       logSecurityEvent(event, 'Rate limit exceeded for login', { ip: clientIP });
@@ -40,78 +39,42 @@ exports.handler = async (event, context) => {
       return createErrorResponse(400, 'Invalid JSON body');
     }
 
-    const { email, password } = body;
+    email = body.email;
 
-    // Validation
-    if (!email || !password) {
-      return createErrorResponse(400, 'Email and password are required');
-    }
-
-    if (!validateEmail(email)) {
-      return createErrorResponse(400, 'Invalid email format');
-    }
-
-    // Sanitize email
-    const sanitizedEmail = sanitizeInput(email.toLowerCase());
+    // Credential checks, the account lockout and the lastLogin update live in UserService
+    const { userService, twoFactorService } = await getServices();
+    const user = await userService.authenticate(body.email, body.password, {
+      ip: clientIP,
+      userAgent: event.headers['user-agent']
+    });
 
-    // Find user
-    const user = mockDB.users.find(u => u.email.toLowerCase() === sanitizedEmail);
-    
-    if (!user) {
-      logSecurityEvent(event, 'Login attempt with non-existent email', { email: sanitizedEmail });
-      return createErrorResponse(401, 'Invalid email or password', 'INVALID_CREDENTIALS');
-    }
+    // The password alone isn't enough - continue at login-2fa.js
+    if (requiresTwoFactor(user)) {
+      logSecurityEvent(event, 'Two-factor challenge issued', { userId: user.id });
 
-    // Check if user is active
-    if (user.isActive === false) {
-      logSecurityEvent(event, 'Login attempt on deactivated account', { userId: user.id });
-      return createErrorResponse(403, 'Account is deactivated', 'ACCOUNT_DEACTIVATED');
-    }
-
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    
-    if (!isValidPassword) {
-      logSecurityEvent(event, 'Failed login attempt - wrong password', { 
-        email: sanitizedEmail,
-        userId: user.id 
+      return createResponse(200, {
+        message: 'Two-factor code required',
+        twoFactorRequired: true,
+        // Staff without a second factor set it up now, see login-2fa.js /setup
+        enrollmentRequired: !user.twoFactorEnabled,
+        challengeToken: twoFactorService.createChallenge(user)
       });
-      return createErrorResponse(401, 'Invalid email or password', 'INVALID_CREDENTIALS');
     }
 
-    // Update last login
-    user.lastLogin = new Date().toISOString();
-
-    // Create JWT token
-    const tokenPayload = {
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      role: user.role,
-      iat: Math.floor(Date.now() / 1000)
-    };
+    return createLoginResponse(event, user);
 
-    const token = jwt.sign(tokenPayload, JWT_SECRET, { expiresIn: JWT_EXPIRE });
-
-    logSecurityEvent(event, 'Successful login', { 
-      userId: user.id, 
-      email: sanitizedEmail 
-    });
+  } catch (error) {
+    if (error.code === 'INVALID_CREDENTIALS') {
+      logSecurityEvent(event, 'Failed login attempt', { email });
+    } else if (error.code === 'ACCOUNT_DEACTIVATED') {
+      logSecurityEvent(event, 'Login attempt on deactivated account', { email });
+    } else if (error.code === 'LOGIN_DELAYED' || error.code === 'ACCOUNT_LOCKED') {
+      logSecurityEvent(event, 'Blocked login attempt', { email, code: error.code });
+    }
 
-    return createResponse(200, {
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        fullName: user.fullName,
-        role: user.role,
-        lastLogin: user.lastLogin
-      }
-    });
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
 
-  } catch (error) {
     console.error('Login error:', error);
     logSecurityEvent(event, 'Login function error', { error: error.message });
     return createErrorResponse(500, 'Internal server error during login', 'LOGIN_ERROR');
@@ -0,0 +1,43 @@
+const {
+  handleCORS,
+  createResponse,
+  createErrorResponse,
+  logSecurityEvent,
+  getServices
+} = require('./utils');
+
+// Revoke the session behind a refresh token, so its access tokens stop working too
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const { sessionService } = await getServices();
+    const session = await sessionService.revoke(body.refreshToken);
+
+    if (session) {
+      logSecurityEvent(event, 'Session revoked on logout', { userId: session.userId });
+    }
+
+    return createResponse(200, { message: 'Logout successful' });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    logSecurityEvent(event, 'Logout function error', { error: error.message });
+    return createErrorResponse(500, 'Internal server error during logout', 'LOGOUT_ERROR');
+  }
+};
@@ -0,0 +1,73 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  verifyToken,
+  getServices
+} = require('./utils');
+
+// Checkout review: prices the cart with the same rules as orders-create, without placing the order
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for order quotes
+    if (!checkRateLimit(clientIP, 'order-quote', 30, 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for order quote', { ip: clientIP });
+      return createErrorResponse(429, 'Too many requests, please try again later.');
+    }
+
+    // Verify JWT token
+    const token = event.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded.success) {
+      logSecurityEvent(event, 'Invalid token for order quote', {
+        ip: clientIP,
+        error: decoded.error
+      });
+      return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const { orderService } = await getServices();
+    const quote = await orderService.quote(body.items);
+
+    return createResponse(200, {
+      message: 'Order quote calculated',
+      data: {
+        quote
+      }
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Order quote error:', error);
+    logSecurityEvent(event, 'Order quote function error', { error: error.message });
+    return createErrorResponse(500, 'Internal server error during order quote', 'ORDER_QUOTE_ERROR');
+  }
+};
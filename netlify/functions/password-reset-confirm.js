@@ -0,0 +1,56 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  getServices
+} = require('./utils');
+
+// Set a new password with an emailed reset token. Every open session of the account is ended.
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for reset attempts
+    if (!checkRateLimit(clientIP, 'password-reset-confirm', 10, 15 * 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for password reset', { ip: clientIP });
+      return createErrorResponse(429, 'Too many password reset attempts, please try again later.');
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const { passwordResetService } = await getServices();
+    const user = await passwordResetService.confirm(body.token, body.password);
+
+    logSecurityEvent(event, 'Password reset completed', { userId: user.id });
+
+    return createResponse(200, {
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Password reset confirm error:', error);
+    logSecurityEvent(event, 'Password reset confirm function error', { error: error.message });
+    return createErrorResponse(500, 'Internal server error during password reset', 'PASSWORD_RESET_ERROR');
+  }
+};
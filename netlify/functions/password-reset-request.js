@@ -0,0 +1,56 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  getServices
+} = require('./utils');
+
+// Forgot password - emails a single-use reset link. Unknown emails get the same answer.
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for reset emails - 5 per hour
+    if (!checkRateLimit(clientIP, 'password-reset-request', 5, 60 * 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for password reset request', { ip: clientIP });
+      return createErrorResponse(429, 'Too many password reset requests, please try again later.');
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const { passwordResetService } = await getServices();
+    await passwordResetService.request(body.email, { ip: clientIP });
+
+    logSecurityEvent(event, 'Password reset requested', { email: body.email });
+
+    return createResponse(200, {
+      message: 'If the email is registered, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Password reset request error:', error);
+    logSecurityEvent(event, 'Password reset request function error', { error: error.message });
+    return createErrorResponse(500, 'Internal server error during password reset', 'PASSWORD_RESET_ERROR');
+  }
+};
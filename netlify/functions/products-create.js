@@ -1,13 +1,13 @@
 const {
   handleCORS,
   checkRateLimit,
-  sanitizeInput,
   createResponse,
   createErrorResponse,
+  createServiceErrorResponse,
   logSecurityEvent,
   verifyToken,
-  checkAdminRole,
-  mockDB
+  checkPermission,
+  getServices
 } = require('./utils');
 
 exports.handler = async (event, context) => {
@@ -35,7 +35,7 @@ exports.handler = async (event, context) => {
       return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded.success) {
       logSecurityEvent(event, 'Invalid token for product creation', { 
         ip: clientIP,
@@ -44,13 +44,13 @@ exports.handler = async (event, context) => {
       return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
     }
 
-    // Check admin role
-    if (!checkAdminRole(decoded.payload)) {
-      logSecurityEvent(event, 'Non-admin attempted product creation', {
+    // Check staff permission
+    if (!checkPermission(decoded.payload, 'products:write')) {
+      logSecurityEvent(event, 'User without products:write attempted product creation', {
         userId: decoded.payload.id,
         role: decoded.payload.role
       });
-      return createErrorResponse(403, 'Admin access required', 'ADMIN_REQUIRED');
+      return createErrorResponse(403, 'Permission products:write required', 'PERMISSION_DENIED');
     }
 
     // Parse request body
@@ -61,76 +61,9 @@ exports.handler = async (event, context) => {
       return createErrorResponse(400, 'Invalid JSON body');
     }
 
-    const { name, description, price, category, image, stock = 0 } = body;
-
-    // Validation
-    if (!name || !description || !price || !category) {
-      return createErrorResponse(400, 'Required fields: name, description, price, category');
-    }
-
-    // Sanitize inputs
-    const sanitizedName = sanitizeInput(name);
-    const sanitizedDescription = sanitizeInput(description);
-    const sanitizedCategory = sanitizeInput(category);
-    const sanitizedImage = sanitizeInput(image || '');
-
-    // Validate lengths
-    if (sanitizedName.length < 2 || sanitizedName.length > 100) {
-      return createErrorResponse(400, 'Product name must be between 2-100 characters');
-    }
-
-    if (sanitizedDescription.length < 10 || sanitizedDescription.length > 500) {
-      return createErrorResponse(400, 'Product description must be between 10-500 characters');
-    }
-
-    if (sanitizedCategory.length < 2 || sanitizedCategory.length > 50) {
-      return createErrorResponse(400, 'Category must be between 2-50 characters');
-    }
-
-    // Validate price
-    const numPrice = parseFloat(price);
-    if (isNaN(numPrice) || numPrice < 0) {
-      return createErrorResponse(400, 'Price must be a valid positive number');
-    }
-
-    // Validate stock
-    const numStock = parseInt(stock);
-    if (isNaN(numStock) || numStock < 0) {
-      return createErrorResponse(400, 'Stock must be a valid non-negative number');
-    }
-
-    // Check for duplicate product name
-    const existingProduct = mockDB.products.find(
-      p => p.name.toLowerCase() === sanitizedName.toLowerCase()
-    );
-
-    if (existingProduct) {
-      logSecurityEvent(event, 'Attempt to create duplicate product', {
-        adminId: decoded.payload.id,
-        productName: sanitizedName
-      });
-      return createErrorResponse(409, 'Product with this name already exists', 'PRODUCT_EXISTS');
-    }
-
-    // Create new product
-    const newProduct = {
-      id: mockDB.products.length + 1,
-      name: sanitizedName,
-      description: sanitizedDescription,
-      price: numPrice,
-      category: sanitizedCategory,
-      image: sanitizedImage || `https://picsum.photos/400/300?random=${Date.now()}`,
-      stock: numStock,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString(),
-      createdBy: decoded.payload.id,
-      isActive: true,
-      rating: 0,
-      reviewCount: 0
-    };
-
-    // Add product to mock database
-    mockDB.products.push(newProduct);
+    // Validation and the duplicate-name check live in ProductService
+    const { productService } = await getServices();
+    const newProduct = await productService.create(body, { createdBy: decoded.payload.id });
 
     logSecurityEvent(event, 'New product created successfully', {
       adminId: decoded.payload.id,
@@ -148,6 +81,13 @@ exports.handler = async (event, context) => {
     });
 
   } catch (error) {
+    if (error.code === 'PRODUCT_EXISTS') {
+      logSecurityEvent(event, 'Attempt to create duplicate product');
+    }
+
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
     console.error('Product creation error:', error);
     logSecurityEvent(event, 'Product creation function error', { error: error.message });
     return createErrorResponse(500, 'Internal server error during product creation', 'PRODUCT_CREATE_ERROR');
@@ -1,13 +1,13 @@
 const {
   handleCORS,
   checkRateLimit,
-  sanitizeInput,
   createResponse,
   createErrorResponse,
+  createServiceErrorResponse,
   logSecurityEvent,
   verifyToken,
-  checkAdminRole,
-  mockDB
+  checkPermission,
+  getServices
 } = require('./utils');
 
 exports.handler = async (event, context) => {
@@ -35,7 +35,7 @@ exports.handler = async (event, context) => {
       return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
     }
 
-    const decoded = verifyToken(token);
+    const decoded = await verifyToken(token);
     if (!decoded.success) {
       logSecurityEvent(event, 'Invalid token for product management', { 
         ip: clientIP,
@@ -44,14 +44,14 @@ exports.handler = async (event, context) => {
       return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
     }
 
-    // Check admin role
-    if (!checkAdminRole(decoded.payload)) {
-      logSecurityEvent(event, 'Non-admin attempted product management', {
+    // Check staff permission
+    if (!checkPermission(decoded.payload, 'products:write')) {
+      logSecurityEvent(event, 'User without products:write attempted product management', {
         userId: decoded.payload.id,
         role: decoded.payload.role,
         method: event.httpMethod
       });
-      return createErrorResponse(403, 'Admin access required', 'ADMIN_REQUIRED');
+      return createErrorResponse(403, 'Permission products:write required', 'PERMISSION_DENIED');
     }
 
     // Extract product ID from path
@@ -64,36 +64,24 @@ exports.handler = async (event, context) => {
 
     const numProductId = parseInt(productId);
 
-    // Find existing product
-    const productIndex = mockDB.products.findIndex(p => p.id === numProductId);
-    
-    if (productIndex === -1) {
-      logSecurityEvent(event, 'Attempt to manage non-existent product', {
-        adminId: decoded.payload.id,
-        productId: numProductId,
-        method: event.httpMethod
-      });
-      return createErrorResponse(404, 'Product not found', 'PRODUCT_NOT_FOUND');
-    }
-
-    const existingProduct = mockDB.products[productIndex];
+    const { productService, reviewService } = await getServices();
 
     if (event.httpMethod === 'DELETE') {
-      // Delete product
-      mockDB.products.splice(productIndex, 1);
+      const deletedProduct = await productService.remove(numProductId);
+      await reviewService.removeForProduct(deletedProduct.id);
 
       logSecurityEvent(event, 'Product deleted successfully', {
         adminId: decoded.payload.id,
         productId: numProductId,
-        productName: existingProduct.name
+        productName: deletedProduct.name
       });
 
       return createResponse(200, {
         message: 'Product deleted successfully',
         data: {
           deletedProduct: {
-            id: existingProduct.id,
-            name: existingProduct.name
+            id: deletedProduct.id,
+            name: deletedProduct.name
           }
         }
       });
@@ -108,104 +96,32 @@ exports.handler = async (event, context) => {
         return createErrorResponse(400, 'Invalid JSON body');
       }
 
-      const { name, description, price, category, image, stock, isActive } = body;
-
-      // Create updated product object
-      const updatedProduct = { ...existingProduct };
-      let hasChanges = false;
-
-      // Update fields if provided
-      if (name !== undefined) {
-        const sanitizedName = sanitizeInput(name);
-        if (sanitizedName.length < 2 || sanitizedName.length > 100) {
-          return createErrorResponse(400, 'Product name must be between 2-100 characters');
-        }
-        
-        // Check for duplicate name (excluding current product)
-        const duplicateName = mockDB.products.find(
-          p => p.id !== numProductId && p.name.toLowerCase() === sanitizedName.toLowerCase()
-        );
-        
-        if (duplicateName) {
-          return createErrorResponse(409, 'Product with this name already exists', 'PRODUCT_NAME_EXISTS');
-        }
-        
-        updatedProduct.name = sanitizedName;
-        hasChanges = true;
-      }
-
-      if (description !== undefined) {
-        const sanitizedDescription = sanitizeInput(description);
-        if (sanitizedDescription.length < 10 || sanitizedDescription.length > 500) {
-          return createErrorResponse(400, 'Product description must be between 10-500 characters');
-        }
-        updatedProduct.description = sanitizedDescription;
-        hasChanges = true;
-      }
-
-      if (price !== undefined) {
-        const numPrice = parseFloat(price);
-        if (isNaN(numPrice) || numPrice < 0) {
-          return createErrorResponse(400, 'Price must be a valid positive number');
-        }
-        updatedProduct.price = numPrice;
-        hasChanges = true;
-      }
-
-      if (category !== undefined) {
-        const sanitizedCategory = sanitizeInput(category);
-        if (sanitizedCategory.length < 2 || sanitizedCategory.length > 50) {
-          return createErrorResponse(400, 'Category must be between 2-50 characters');
-        }
-        updatedProduct.category = sanitizedCategory;
-        hasChanges = true;
-      }
-
-      if (image !== undefined) {
-        updatedProduct.image = sanitizeInput(image) || updatedProduct.image;
-        hasChanges = true;
-      }
-
-      if (stock !== undefined) {
-        const numStock = parseInt(stock);
-        if (isNaN(numStock) || numStock < 0) {
-          return createErrorResponse(400, 'Stock must be a valid non-negative number');
-        }
-        updatedProduct.stock = numStock;
-        hasChanges = true;
-      }
-
-      if (isActive !== undefined) {
-        updatedProduct.isActive = Boolean(isActive);
-        hasChanges = true;
-      }
-
-      if (!hasChanges) {
-        return createErrorResponse(400, 'No valid fields provided for update');
-      }
-
-      // Update timestamp
-      updatedProduct.updatedAt = new Date().toISOString();
-
-      // Save updated product
-      mockDB.products[productIndex] = updatedProduct;
+      // Only the fields present in the body are validated and changed
+      const { product, changes } = await productService.update(numProductId, body);
 
       logSecurityEvent(event, 'Product updated successfully', {
         adminId: decoded.payload.id,
         productId: numProductId,
-        productName: updatedProduct.name,
-        changes: Object.keys(body).filter(key => body[key] !== undefined)
+        productName: product.name,
+        changes
       });
 
       return createResponse(200, {
         message: 'Product updated successfully',
         data: {
-          product: updatedProduct
+          product
         }
       });
     }
 
   } catch (error) {
+    if (error.code === 'PRODUCT_NOT_FOUND') {
+      logSecurityEvent(event, 'Attempt to manage non-existent product', { method: event.httpMethod });
+    }
+
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
     console.error('Product management error:', error);
     logSecurityEvent(event, 'Product management function error', { 
       error: error.message,
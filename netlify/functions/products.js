@@ -1,13 +1,20 @@
 const {
   handleCORS,
   checkRateLimit,
-  sanitizeInput,
   createResponse,
   createErrorResponse,
+  createServiceErrorResponse,
   logSecurityEvent,
-  mockDB
+  verifyToken,
+  checkPermission,
+  getServices
 } = require('./utils');
 
+// Catalog listing - filters, sorting and facets come from ProductService.search, shared with Express:
+//   GET /products            ?category&search&minPrice&maxPrice&inStock&featured&sortBy&sortOrder&limit&offset
+//   GET /products/suggest    ?q&limit - autocomplete for the navbar search box
+//   GET /products/:id        ?related - one product for its detail page, with related products
+// Deactivated products are left out; staff with products:write can ask for them with includeInactive=true.
 exports.handler = async (event, context) => {
   // Handle CORS preflight
   const corsResponse = handleCORS(event);
@@ -27,126 +34,77 @@ exports.handler = async (event, context) => {
       return createErrorResponse(429, 'Too many requests, please try again later.');
     }
 
-    // Parse query parameters
+    const pathSegments = (event.path || '').split('/').filter(Boolean);
+    const [action] = pathSegments.slice(pathSegments.lastIndexOf('products') + 1);
     const queryParams = event.queryStringParameters || {};
-    const { 
-      category = '', 
-      search = '', 
-      limit = '20', 
-      offset = '0',
-      sortBy = 'name',
-      sortOrder = 'asc'
-    } = queryParams;
+    const includeInactive = queryParams.includeInactive === 'true';
 
-    // Sanitize inputs
-    const sanitizedCategory = sanitizeInput(category.toLowerCase());
-    const sanitizedSearch = sanitizeInput(search.toLowerCase());
-    const sanitizedSortBy = sanitizeInput(sortBy.toLowerCase());
-    const sanitizedSortOrder = sanitizeInput(sortOrder.toLowerCase());
-
-    // Validate numeric parameters
-    let numLimit, numOffset;
-    try {
-      numLimit = Math.max(1, Math.min(100, parseInt(limit) || 20));
-      numOffset = Math.max(0, parseInt(offset) || 0);
-    } catch (error) {
-      return createErrorResponse(400, 'Invalid numeric parameters');
-    }
-
-    // Validate sort parameters
-    const allowedSortFields = ['name', 'price', 'category', 'createdAt'];
-    const allowedSortOrders = ['asc', 'desc'];
-    
-    if (!allowedSortFields.includes(sanitizedSortBy)) {
-      return createErrorResponse(400, 'Invalid sort field');
-    }
-    
-    if (!allowedSortOrders.includes(sanitizedSortOrder)) {
-      return createErrorResponse(400, 'Invalid sort order');
+    if (includeInactive) {
+      const decoded = await verifyToken(event.headers.authorization);
+      if (!decoded.success) {
+        return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+      }
+      if (!checkPermission(decoded.payload, 'products:write')) {
+        logSecurityEvent(event, 'User without products:write asked for inactive products', {
+          userId: decoded.payload.id,
+          role: decoded.payload.role
+        });
+        return createErrorResponse(403, 'Permission products:write required for inactive products', 'PERMISSION_DENIED');
+      }
     }
 
-    // Get all products
-    let products = [...mockDB.products];
+    const { productService } = await getServices();
 
-    // Filter by category if specified
-    if (sanitizedCategory) {
-      products = products.filter(product => 
-        product.category.toLowerCase().includes(sanitizedCategory)
-      );
+    if (action === 'suggest') {
+      const suggestions = await productService.suggest(queryParams.q, { limit: queryParams.limit });
+      return createResponse(200, {
+        message: 'Suggestions fetched successfully',
+        data: { suggestions }
+      });
     }
 
-    // Filter by search term if specified
-    if (sanitizedSearch) {
-      products = products.filter(product =>
-        product.name.toLowerCase().includes(sanitizedSearch) ||
-        product.description.toLowerCase().includes(sanitizedSearch) ||
-        product.category.toLowerCase().includes(sanitizedSearch)
-      );
+    if (action && /^\d+$/.test(action)) {
+      const product = await productService.getVisible(parseInt(action), { includeInactive });
+      const related = await productService.related(product, { limit: queryParams.related });
+      return createResponse(200, {
+        message: 'Product fetched successfully',
+        data: { product, related }
+      });
     }
 
-    // Sort products
-    products.sort((a, b) => {
-      let aValue = a[sanitizedSortBy];
-      let bValue = b[sanitizedSortBy];
-
-      // Handle different data types
-      if (sanitizedSortBy === 'price') {
-        aValue = parseFloat(aValue);
-        bValue = parseFloat(bValue);
-      } else if (sanitizedSortBy === 'createdAt') {
-        aValue = new Date(aValue);
-        bValue = new Date(bValue);
-      } else {
-        aValue = String(aValue).toLowerCase();
-        bValue = String(bValue).toLowerCase();
-      }
-
-      if (sanitizedSortOrder === 'desc') {
-        return aValue < bValue ? 1 : aValue > bValue ? -1 : 0;
-      } else {
-        return aValue > bValue ? 1 : aValue < bValue ? -1 : 0;
-      }
-    });
-
-    // Get total count before pagination
-    const totalProducts = products.length;
-
-    // Apply pagination
-    const paginatedProducts = products.slice(numOffset, numOffset + numLimit);
+    if (action) {
+      return createErrorResponse(404, 'Unknown products action');
+    }
 
-    // Get unique categories for filter options
-    const categories = [...new Set(mockDB.products.map(p => p.category))].sort();
+    const result = await productService.search(queryParams, { includeInactive });
 
     logSecurityEvent(event, 'Products fetched successfully', {
-      totalResults: totalProducts,
-      returnedResults: paginatedProducts.length,
-      category: sanitizedCategory,
-      search: sanitizedSearch
+      totalResults: result.total,
+      returnedResults: result.products.length,
+      categories: result.filters.categories,
+      search: result.filters.search
     });
 
     return createResponse(200, {
       message: 'Products fetched successfully',
       data: {
-        products: paginatedProducts,
+        products: result.products,
         pagination: {
-          total: totalProducts,
-          limit: numLimit,
-          offset: numOffset,
-          hasMore: (numOffset + numLimit) < totalProducts
+          total: result.total,
+          limit: result.limit,
+          offset: result.offset,
+          hasMore: result.offset + result.products.length < result.total
         },
-        filters: {
-          categories: categories,
-          appliedCategory: sanitizedCategory,
-          appliedSearch: sanitizedSearch
-        },
-        sorting: {
-          sortBy: sanitizedSortBy,
-          sortOrder: sanitizedSortOrder
-        }
+        filters: result.filters,
+        facets: result.facets,
+        sorting: result.sorting
       }
     });
 
   } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
     console.error('Products fetch error:', error);
     logSecurityEvent(event, 'Products function error', { error: error.message });
     return createErrorResponse(500, 'Internal server error while fetching products', 'PRODUCTS_FETCH_ERROR');
@@ -1,15 +1,11 @@
 const {
   handleCORS,
   checkRateLimit,
-  validateEmail,
-  validatePassword,
-  sanitizeInput,
   createResponse,
   createErrorResponse,
+  createServiceErrorResponse,
   logSecurityEvent,
-  mockDB,
-  bcrypt,
-  BCRYPT_SALT_ROUNDS
+  getServices
 } = require('./utils');
 
 exports.handler = async (event, context) => {
@@ -24,7 +20,7 @@ exports.handler = async (event, context) => {
 
   try {
     const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
-    
+
     // Rate limiting for registration attempts - 10 attempts per 15 minutes
     if (!checkRateLimit(clientIP, 'register', 10, 15 * 60 * 1000)) {
       logSecurityEvent(event, 'Rate limit exceeded for registration', { ip: clientIP });
@@ -39,92 +35,40 @@ exports.handler = async (event, context) => {
       return createErrorResponse(400, 'Invalid JSON body');
     }
 
-    const { username, email, password, fullName } = body;
-
-    // Validation
-    if (!username || !email || !password || !fullName) {
-      return createErrorResponse(400, 'All fields are required: username, email, password, fullName');
-    }
-
-    if (!validateEmail(email)) {
-      return createErrorResponse(400, 'Invalid email format');
-    }
-
-    const passwordValidation = validatePassword(password);
-    if (!passwordValidation.isValid) {
-      return createErrorResponse(400, passwordValidation.error);
-    }
-
-    // Sanitize inputs
-    const sanitizedUsername = sanitizeInput(username.toLowerCase());
-    const sanitizedEmail = sanitizeInput(email.toLowerCase());
-    const sanitizedFullName = sanitizeInput(fullName);
-
-    // Length validation
-    if (sanitizedUsername.length < 3 || sanitizedUsername.length > 30) {
-      return createErrorResponse(400, 'Username must be between 3-30 characters');
-    }
-
-    if (sanitizedFullName.length < 2 || sanitizedFullName.length > 100) {
-      return createErrorResponse(400, 'Full name must be between 2-100 characters');
-    }
-
-    // Check for existing user
-    const existingUser = mockDB.users.find(
-      u => u.email.toLowerCase() === sanitizedEmail || u.username.toLowerCase() === sanitizedUsername
-    );
-
-    if (existingUser) {
-      logSecurityEvent(event, 'Registration attempt with existing email/username', {
-        email: sanitizedEmail,
-        username: sanitizedUsername,
-        existingField: existingUser.email.toLowerCase() === sanitizedEmail ? 'email' : 'username'
-      });
-      return createErrorResponse(409, 'User already exists with this email or username', 'USER_EXISTS');
-    }
-
-    // Hash password
-    const hashedPassword = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
-
-    // Create new user
-    const newUser = {
-      id: mockDB.users.length + 1,
-      username: sanitizedUsername,
-      email: sanitizedEmail,
-      password: hashedPassword,
-      fullName: sanitizedFullName,
-      role: 'customer',
-      isActive: true,
-      createdAt: new Date().toISOString(),
-      lastLogin: null,
-      emailVerified: false, // In real app, you'd send verification email
-      twoFactorEnabled: false
-    };
-
-    // Add user to mock database
-    mockDB.users.push(newUser);
+    // Validation, duplicate check and hashing live in UserService
+    const { userService, emailVerificationService } = await getServices();
+    const newUser = await userService.register(body);
 
     logSecurityEvent(event, 'New user registered successfully', {
       userId: newUser.id,
-      username: sanitizedUsername,
-      email: sanitizedEmail
+      username: newUser.username,
+      email: newUser.email
     });
 
+    // The account exists either way - a lost email can be resent after logging in
+    let emailVerificationSent = true;
+    try {
+      await emailVerificationService.send(newUser);
+    } catch (error) {
+      emailVerificationSent = false;
+      console.error('Verification email error:', error);
+    }
+
     // Return success response (without password)
     return createResponse(201, {
       message: 'Registration successful',
-      user: {
-        id: newUser.id,
-        username: newUser.username,
-        email: newUser.email,
-        fullName: newUser.fullName,
-        role: newUser.role,
-        createdAt: newUser.createdAt,
-        emailVerified: newUser.emailVerified
-      }
+      user: userService.toPublic(newUser),
+      emailVerificationSent
     });
 
   } catch (error) {
+    if (error.code === 'USER_EXISTS') {
+      logSecurityEvent(event, 'Registration attempt with existing email/username');
+    }
+
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
     console.error('Registration error:', error);
     logSecurityEvent(event, 'Registration function error', { error: error.message });
     return createErrorResponse(500, 'Internal server error during registration', 'REGISTRATION_ERROR');
@@ -0,0 +1,129 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  verifyToken,
+  getServices
+} = require('./utils');
+
+// Product reviews:
+//   GET  /reviews?productId=       approved reviews with the rating summary (limit, offset) (public)
+//   GET  /reviews/mine?productId=  whether the customer can review the product, and their own review
+//   POST /reviews                  review a product from a delivered order: { productId, rating, text }
+// Review photos are only accepted by the Express server, which processes multipart uploads.
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for review requests; submitting has its own, tighter limit below
+    if (!checkRateLimit(clientIP, 'reviews', 100, 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for reviews', { ip: clientIP });
+      return createErrorResponse(429, 'Too many requests, please try again later.');
+    }
+
+    const pathSegments = (event.path || '').split('/').filter(Boolean);
+    const [action] = pathSegments.slice(pathSegments.lastIndexOf('reviews') + 1);
+
+    if (action !== undefined && !(action === 'mine' && event.httpMethod === 'GET')) {
+      return createErrorResponse(404, 'Unknown reviews action');
+    }
+
+    const queryParams = event.queryStringParameters || {};
+    const { reviewService } = await getServices();
+
+    if (event.httpMethod === 'GET' && !action) {
+      const limit = parseInt(queryParams.limit) || 10;
+      const offset = parseInt(queryParams.offset) || 0;
+      const { reviews, total, summary } = await reviewService.listForProduct(queryParams.productId, { limit, offset });
+
+      return createResponse(200, {
+        message: 'Reviews fetched successfully',
+        data: {
+          reviews,
+          summary,
+          pagination: {
+            total,
+            limit,
+            offset,
+            hasMore: offset + reviews.length < total
+          }
+        }
+      });
+    }
+
+    // Verify JWT token
+    const token = event.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded.success) {
+      logSecurityEvent(event, 'Invalid token for reviews', {
+        ip: clientIP,
+        error: decoded.error
+      });
+      return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+
+    if (event.httpMethod === 'GET') {
+      const eligibility = await reviewService.eligibility(decoded.payload.id, queryParams.productId);
+      return createResponse(200, {
+        message: 'Review status fetched successfully',
+        data: eligibility
+      });
+    }
+
+    if (!checkRateLimit(clientIP, 'review-create', 10, 60 * 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for review creation', { ip: clientIP });
+      return createErrorResponse(429, 'Too many reviews, please try again later.');
+    }
+
+    const contentType = event.headers['content-type'] || event.headers['Content-Type'] || '';
+    if (contentType.startsWith('multipart/')) {
+      return createErrorResponse(415, 'Review photos can only be uploaded to the Express server', 'UPLOADS_NOT_SUPPORTED');
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const review = await reviewService.create(decoded.payload.id, body);
+
+    logSecurityEvent(event, 'Review submitted', {
+      userId: decoded.payload.id,
+      reviewId: review.id,
+      productId: review.productId
+    });
+
+    return createResponse(201, {
+      message: 'Review submitted and awaiting moderation',
+      data: { review: reviewService.toOwn(review) }
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Reviews function error:', error);
+    logSecurityEvent(event, 'Reviews function error', {
+      error: error.message
+    });
+    return createErrorResponse(500, 'Internal server error while handling reviews', 'REVIEWS_ERROR');
+  }
+};
@@ -0,0 +1,64 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  getServices
+} = require('./utils');
+
+// Exchange a refresh token for a new access token. The refresh token is rotated on every use.
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for token refresh
+    if (!checkRateLimit(clientIP, 'token-refresh', 30, 15 * 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for token refresh', { ip: clientIP });
+      return createErrorResponse(429, 'Too many requests, please try again later.');
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const { sessionService } = await getServices();
+    const { accessToken, refreshToken, refreshTokenExpiresAt } = await sessionService.refresh(body.refreshToken, {
+      ip: clientIP,
+      userAgent: event.headers['user-agent']
+    });
+
+    return createResponse(200, {
+      message: 'Token refreshed',
+      token: accessToken,
+      refreshToken,
+      refreshTokenExpiresAt
+    });
+
+  } catch (error) {
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      logSecurityEvent(event, 'Refresh token reuse detected, session revoked');
+    }
+
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Token refresh error:', error);
+    logSecurityEvent(event, 'Token refresh function error', { error: error.message });
+    return createErrorResponse(500, 'Internal server error during token refresh', 'TOKEN_REFRESH_ERROR');
+  }
+};
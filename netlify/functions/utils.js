@@ -1,16 +1,22 @@
+const os = require('os');
+const path = require('path');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { getDatabase } = require('../../shared/db');
+const { createServices, ServiceError, hasPermission } = require('../../shared/services');
+const { createMailer } = require('../../shared/mailer');
 
 // Environment variables untuk Netlify
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret_change_in_production';
-const JWT_EXPIRE = process.env.JWT_EXPIRE || '24h';
+// Access tokens are short-lived; the session's refresh token renews them (see token-refresh.js)
+const JWT_EXPIRE = process.env.JWT_EXPIRE || '15m';
 const BCRYPT_SALT_ROUNDS = parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
 
 // CORS headers
 const headers = {
   'Access-Control-Allow-Origin': '*',
   'Access-Control-Allow-Headers': 'Origin, X-Requested-With, Content-Type, Accept, Authorization',
-  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
   'Content-Type': 'application/json',
   'X-Content-Type-Options': 'nosniff',
   'X-Frame-Options': 'DENY',
@@ -18,87 +24,60 @@ const headers = {
   'Referrer-Policy': 'strict-origin-when-cross-origin'
 };
 
-// Mock database (in production, you might want to use external DB)
-let mockDB = {
-  users: [
-    {
-      id: 1,
-      username: 'admin',
-      email: 'admin@alandstore.com',
-      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LtVNNSqk.hGx0/Y.a', // admin123
-      fullName: 'Administrator',
-      role: 'admin',
-      createdAt: new Date().toISOString(),
-      lastLogin: null,
-      isActive: true
-    },
-    {
-      id: 2,
-      username: 'user',
-      email: 'user@alandstore.com',
-      password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LtVNNSqk.hGx0/Y.a', // user123
-      fullName: 'Demo User',
-      role: 'user',
-      createdAt: new Date().toISOString(),
-      lastLogin: null,
-      isActive: true
-    }
-  ],
-  products: [
-    {
-      id: 1,
-      name: "Smartphone Samsung Galaxy S24",
-      price: 5999000,
-      description: "Smartphone flagship dengan kamera terbaik dan performa tinggi",
-      image: "https://images.pexels.com/photos/788946/pexels-photo-788946.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
-      category: "Electronics",
-      stock: 10,
-      featured: true
-    },
-    {
-      id: 2,
-      name: "Laptop Gaming ASUS ROG",
-      price: 15999000,
-      description: "Laptop gaming dengan spesifikasi tinggi untuk para gamer",
-      image: "https://images.pexels.com/photos/2047905/pexels-photo-2047905.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
-      category: "Electronics",
-      stock: 5,
-      featured: true
-    },
-    {
-      id: 3,
-      name: "Sepatu Sneakers Nike Air",
-      price: 899000,
-      description: "Sepatu sneakers dengan kualitas premium dan design modern",
-      image: "https://images.pexels.com/photos/2529148/pexels-photo-2529148.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
-      category: "Fashion",
-      stock: 20,
-      featured: false
-    },
-    {
-      id: 4,
-      name: "Apple Watch Series 9",
-      price: 2499000,
-      description: "Smart watch dengan fitur kesehatan dan notifikasi lengkap",
-      image: "https://images.pexels.com/photos/437037/pexels-photo-437037.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
-      category: "Electronics",
-      stock: 15,
-      featured: true
-    },
-    {
-      id: 5,
-      name: "iPhone 15 Pro Max",
-      price: 18999000,
-      description: "iPhone terbaru dengan kamera pro dan performa maksimal",
-      image: "https://picsum.photos/400/400?random=5",
-      category: "Electronics",
-      stock: 8,
-      featured: true
-    },
-    // Add more products as needed...
-  ],
-  orders: []
-};
+/**
+ * The function temp dir only lives as long as one container, so orders and outgoing mail kept
+ * there are lost on every cold start. Outside production it is a convenient default; production
+ * has to name persistent storage (DB_DATA_DIR or DB_SQLITE_FILE) and send mail over SMTP or to
+ * a persistent MAIL_OUTBOX_DIR, and refuses to start otherwise.
+ */
+function requirePersistentStorage(env = process.env) {
+  if (env.NODE_ENV !== 'production') return;
+
+  const missing = [];
+  if (!env.DB_DATA_DIR && !env.DB_SQLITE_FILE) {
+    missing.push('DB_DATA_DIR or DB_SQLITE_FILE (persistent database location)');
+  }
+  if ((env.MAIL_TRANSPORT || 'outbox').toLowerCase() === 'outbox' && !env.MAIL_OUTBOX_DIR) {
+    missing.push('MAIL_TRANSPORT=smtp or MAIL_OUTBOX_DIR (persistent mail delivery)');
+  }
+
+  if (missing.length > 0) {
+    throw new Error(`Production functions need persistent storage, not the container temp dir. Set ${missing.join(' and ')}.`);
+  }
+}
+
+requirePersistentStorage();
+
+// Shared database (see shared/db). The temp dir default is for local and preview runs only.
+const db = getDatabase({ dataDir: path.join(os.tmpdir(), 'alandstore-data') });
+
+// Seed demo data once per container, before the first query
+let seeded = null;
+function getDB() {
+  if (!seeded) {
+    seeded = db.seed().then(() => db).catch(error => {
+      seeded = null;
+      throw error;
+    });
+  }
+  return seeded;
+}
+
+// Outgoing email. Set MAIL_TRANSPORT=smtp in production - the outbox default is only for local testing.
+const mailer = createMailer({ outboxDir: path.join(os.tmpdir(), 'alandstore-outbox') });
+
+// Product, order and user rules shared with the Express server (see shared/services)
+const services = createServices(db, {
+  saltRounds: BCRYPT_SALT_ROUNDS,
+  jwtSecret: JWT_SECRET,
+  accessTokenExpiry: JWT_EXPIRE,
+  mailer
+});
+
+async function getServices() {
+  await getDB();
+  return services;
+}
 
 // Rate limiting (simple in-memory store)
 const rateLimitStore = new Map();
@@ -114,28 +93,6 @@ function validateEmail(email) {
   return re.test(email);
 }
 
-function validatePassword(password) {
-  if (!password || typeof password !== 'string') {
-    return { isValid: false, error: 'Password is required' };
-  }
-
-  if (password.length < 6) {
-    return { isValid: false, error: 'Password must be at least 6 characters long' };
-  }
-
-  if (password.length > 128) {
-    return { isValid: false, error: 'Password must be less than 128 characters' };
-  }
-
-  // Check for at least one number or special character
-  const hasNumberOrSpecial = /[0-9!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(password);
-  if (!hasNumberOrSpecial) {
-    return { isValid: false, error: 'Password must contain at least one number or special character' };
-  }
-
-  return { isValid: true };
-}
-
 function checkRateLimit(clientIP, endpoint, maxRequests = 5, windowMs = 15 * 60 * 1000) {
   // Skip rate limiting in development or for localhost
   const isDevelopment = process.env.NODE_ENV === 'development' || 
@@ -194,25 +151,29 @@ function handleCORS(event) {
   return null;
 }
 
-function verifyToken(token) {
+// Accepts the raw token or the full "Bearer <token>" header value. Resolves to
+// { success, payload } - tokens of revoked sessions fail like expired ones.
+async function verifyToken(token) {
   try {
-    if (!token || !token.startsWith('Bearer ')) {
-      throw new Error('Invalid token format');
+    if (!token) {
+      return { success: false, error: 'Token required' };
     }
     
     const actualToken = token.replace('Bearer ', '').trim();
-    const decoded = jwt.verify(actualToken, JWT_SECRET);
-    
-    if (!decoded.id || !decoded.email) {
-      throw new Error('Invalid token payload');
-    }
+    const { sessionService } = await getServices();
+    const decoded = await sessionService.verifyAccessToken(actualToken);
     
-    return decoded;
+    return { success: true, payload: decoded };
   } catch (error) {
-    throw new Error('Token verification failed');
+    return { success: false, error: error.message, code: error.code };
   }
 }
 
+// Staff access is granted per permission (see shared/services/permissions.js), not per role
+function checkPermission(payload, permission) {
+  return Boolean(payload) && hasPermission(payload.role, permission);
+}
+
 function createResponse(statusCode, body, additionalHeaders = {}) {
   return {
     statusCode,
@@ -228,6 +189,52 @@ function createErrorResponse(statusCode, message, code = null) {
   return createResponse(statusCode, body);
 }
 
+// Response for a ServiceError, or null when the error didn't come from a service
+function createServiceErrorResponse(error) {
+  if (!(error instanceof ServiceError)) return null;
+  return createResponse(error.status, error.toJSON());
+}
+
+// Start a session for a user who passed every login step (login.js, login-2fa.js)
+async function createLoginResponse(event, user, extra = {}) {
+  const { userService, sessionService } = await getServices();
+  const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+  // Short-lived access token plus a refresh token for token-refresh.js
+  const { accessToken, refreshToken, refreshTokenExpiresAt } = await sessionService.issue(user, {
+    ip: clientIP,
+    userAgent: event.headers['user-agent']
+  });
+
+  logSecurityEvent(event, 'Successful login', {
+    userId: user.id,
+    email: user.email
+  });
+
+  const profile = userService.toPublic(user);
+
+  return createResponse(200, {
+    message: 'Login successful',
+    token: accessToken,
+    refreshToken,
+    refreshTokenExpiresAt,
+    user: {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      fullName: user.fullName,
+      role: profile.role,
+      permissions: profile.permissions,
+      lastLogin: user.lastLogin,
+      emailVerified: profile.emailVerified,
+      twoFactorEnabled: profile.twoFactorEnabled
+    },
+    // Unverified accounts can browse but not check out
+    emailVerificationRequired: !profile.emailVerified,
+    ...extra
+  });
+}
+
 function logSecurityEvent(event, message, metadata = {}) {
   console.log(`[SECURITY] ${message}`, {
     timestamp: new Date().toISOString(),
@@ -241,20 +248,23 @@ function logSecurityEvent(event, message, metadata = {}) {
 
 module.exports = {
   headers,
-  mockDB,
+  getDB,
+  getServices,
   JWT_SECRET,
   JWT_EXPIRE,
   BCRYPT_SALT_ROUNDS,
   sanitizeInput,
   validateEmail,
-  validatePassword,
   checkRateLimit,
   clearRateLimit,
   clearAllRateLimits,
   handleCORS,
   verifyToken,
+  checkPermission,
   createResponse,
   createErrorResponse,
+  createServiceErrorResponse,
+  createLoginResponse,
   logSecurityEvent,
   bcrypt,
   jwt
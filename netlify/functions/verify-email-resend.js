@@ -0,0 +1,60 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  verifyToken,
+  getServices
+} = require('./utils');
+
+// Send the logged-in user a new email verification link
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for verification emails - 5 per hour
+    if (!checkRateLimit(clientIP, 'verify-email-resend', 5, 60 * 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for verification resend', { ip: clientIP });
+      return createErrorResponse(429, 'Too many verification emails requested, please try again later.');
+    }
+
+    // Verify JWT token
+    const token = event.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded.success) {
+      return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+
+    const { emailVerificationService } = await getServices();
+    await emailVerificationService.resend(decoded.payload.id);
+
+    logSecurityEvent(event, 'Verification email resent', { userId: decoded.payload.id });
+
+    return createResponse(200, {
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Verification resend error:', error);
+    logSecurityEvent(event, 'Verification resend function error', { error: error.message });
+    return createErrorResponse(500, 'Internal server error while sending verification email', 'EMAIL_VERIFICATION_ERROR');
+  }
+};
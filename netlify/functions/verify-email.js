@@ -0,0 +1,57 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  getServices
+} = require('./utils');
+
+// Open an email verification link. No login needed - the signed token names the account.
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for verification attempts
+    if (!checkRateLimit(clientIP, 'verify-email', 10, 15 * 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for email verification', { ip: clientIP });
+      return createErrorResponse(429, 'Too many verification attempts, please try again later.');
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const { emailVerificationService, userService } = await getServices();
+    const user = await emailVerificationService.verify(body.token);
+
+    logSecurityEvent(event, 'Email address verified', { userId: user.id });
+
+    return createResponse(200, {
+      message: 'Email verified successfully',
+      user: userService.toPublic(user)
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Email verification error:', error);
+    logSecurityEvent(event, 'Email verification function error', { error: error.message });
+    return createErrorResponse(500, 'Internal server error during email verification', 'EMAIL_VERIFICATION_ERROR');
+  }
+};
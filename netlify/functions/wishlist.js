@@ -0,0 +1,99 @@
+const {
+  handleCORS,
+  checkRateLimit,
+  createResponse,
+  createErrorResponse,
+  createServiceErrorResponse,
+  logSecurityEvent,
+  verifyToken,
+  getServices
+} = require('./utils');
+
+// The logged in customer's wishlist:
+//   GET    /wishlist             saved products, each flagged with whether it can be bought now
+//   POST   /wishlist             save a product: { productId } (saving it again is not an error)
+//   DELETE /wishlist/:productId  take a product off the wishlist
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  const corsResponse = handleCORS(event);
+  if (corsResponse) return corsResponse;
+
+  if (!['GET', 'POST', 'DELETE'].includes(event.httpMethod)) {
+    return createErrorResponse(405, 'Method not allowed');
+  }
+
+  try {
+    const clientIP = event.headers['client-ip'] || event.headers['x-forwarded-for'] || 'unknown';
+
+    // Rate limiting for wishlist requests
+    if (!checkRateLimit(clientIP, 'wishlist', 100, 60 * 1000)) {
+      logSecurityEvent(event, 'Rate limit exceeded for wishlist', { ip: clientIP });
+      return createErrorResponse(429, 'Too many requests, please try again later.');
+    }
+
+    // Verify JWT token
+    const token = event.headers.authorization?.replace('Bearer ', '');
+    if (!token) {
+      return createErrorResponse(401, 'Access token required', 'TOKEN_REQUIRED');
+    }
+
+    const decoded = await verifyToken(token);
+    if (!decoded.success) {
+      logSecurityEvent(event, 'Invalid token for wishlist', {
+        ip: clientIP,
+        error: decoded.error
+      });
+      return createErrorResponse(401, 'Invalid access token', 'INVALID_TOKEN');
+    }
+
+    const pathSegments = (event.path || '').split('/').filter(Boolean);
+    const [productId] = pathSegments.slice(pathSegments.lastIndexOf('wishlist') + 1);
+
+    if ((event.httpMethod === 'DELETE') !== (productId !== undefined)) {
+      return createErrorResponse(404, 'Unknown wishlist action');
+    }
+
+    const userId = decoded.payload.id;
+    const { wishlistService } = await getServices();
+
+    if (event.httpMethod === 'GET') {
+      const items = await wishlistService.list(userId);
+      return createResponse(200, {
+        message: 'Wishlist fetched successfully',
+        data: { items }
+      });
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      await wishlistService.remove(userId, productId);
+      return createResponse(200, {
+        message: 'Product removed from wishlist'
+      });
+    }
+
+    // Parse request body
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (error) {
+      return createErrorResponse(400, 'Invalid JSON body');
+    }
+
+    const { item, created } = await wishlistService.add(userId, body);
+
+    return createResponse(created ? 201 : 200, {
+      message: 'Product saved to wishlist',
+      data: { item }
+    });
+
+  } catch (error) {
+    const serviceResponse = createServiceErrorResponse(error);
+    if (serviceResponse) return serviceResponse;
+
+    console.error('Wishlist function error:', error);
+    logSecurityEvent(event, 'Wishlist function error', {
+      error: error.message
+    });
+    return createErrorResponse(500, 'Internal server error while handling the wishlist', 'WISHLIST_ERROR');
+  }
+};
@@ -29,7 +29,7 @@ const envVariables = {
     
     // Security - Generate fresh secrets
     JWT_SECRET: generateSecret(32),
-    JWT_EXPIRE: '7d',
+    JWT_EXPIRE: '15m',
     BCRYPT_SALT_ROUNDS: '12',
     
     // API Configuration
@@ -41,6 +41,8 @@ const envVariables = {
     
     // Upload Configuration
     MAX_FILE_SIZE: '5000000',          // 5MB
+    MAX_UPLOAD_FILES: '10',
+    MAX_IMAGE_PIXELS: '40000000',      // e.g. 8000 x 5000
     
     // Logging
     LOG_LEVEL: 'info',
@@ -55,7 +57,6 @@ const envVariables = {
 const devVariables = {
     ...envVariables,
     NODE_ENV: 'development',
-    JWT_EXPIRE: '24h',
     BCRYPT_SALT_ROUNDS: '10',
     LOG_LEVEL: 'debug'
 };
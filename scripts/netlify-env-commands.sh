@@ -6,7 +6,7 @@ echo "Setting up Netlify environment variables..."
 
 netlify env:set NODE_ENV "production"
 netlify env:set JWT_SECRET "mfrmQKEZg9rjVc5WglEMlH+/1DJNvIhK+/Sr2E2mL28="
-netlify env:set JWT_EXPIRE "7d"
+netlify env:set JWT_EXPIRE "15m"
 netlify env:set BCRYPT_SALT_ROUNDS "12"
 netlify env:set API_TIMEOUT "10000"
 netlify env:set RATE_LIMIT_WINDOW_MS "900000"
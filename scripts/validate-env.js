@@ -48,7 +48,7 @@ const VALIDATION_RULES = {
     JWT_EXPIRE: {
         required: true,
         pattern: /^(\d+[dhm]|never)$/,
-        description: 'JWT expiration time (e.g., 7d, 24h, 30m)'
+        description: 'Access token lifetime (e.g., 15m, 1h)'
     },
     BCRYPT_SALT_ROUNDS: {
         required: true,
@@ -84,10 +84,126 @@ const VALIDATION_RULES = {
         max: 10000000,
         description: 'Maximum file upload size in bytes'
     },
+    MAX_UPLOAD_FILES: {
+        required: false,
+        type: 'number',
+        min: 1,
+        max: 10,
+        description: 'Maximum product images in one upload request (capped at 10, the per-product limit)'
+    },
+    MAX_IMAGE_PIXELS: {
+        required: false,
+        type: 'number',
+        min: 1000000,
+        max: 100000000,
+        description: 'Largest image (width x height in pixels) the server will decode'
+    },
     LOG_LEVEL: {
         required: false,
         allowedValues: ['error', 'warn', 'info', 'debug'],
         description: 'Logging level'
+    },
+    DB_ADAPTER: {
+        required: false,
+        allowedValues: ['json', 'sqlite'],
+        description: 'Persistence adapter for users, products and orders'
+    },
+    DB_DATA_DIR: {
+        required: false,
+        type: 'string',
+        description: 'Directory for the JSON data files (and default SQLite file)'
+    },
+    DB_SQLITE_FILE: {
+        required: false,
+        type: 'string',
+        description: 'SQLite database file path when DB_ADAPTER=sqlite'
+    },
+    DB_BACKUP_DIR: {
+        required: false,
+        type: 'string',
+        description: 'Directory for JSON backups (defaults to <DB_DATA_DIR>/backups)'
+    },
+    REFRESH_TOKEN_DAYS: {
+        required: false,
+        type: 'number',
+        min: 1,
+        max: 90,
+        description: 'Days a refresh token stays valid without being used'
+    },
+    LOGIN_MAX_ATTEMPTS: {
+        required: false,
+        type: 'number',
+        min: 3,
+        max: 100,
+        description: 'Failed logins before an account is temporarily locked'
+    },
+    LOGIN_LOCKOUT_MINUTES: {
+        required: false,
+        type: 'number',
+        min: 1,
+        max: 1440,
+        description: 'Minutes an account stays locked after too many failed logins'
+    },
+    APP_URL: {
+        required: false,
+        pattern: /^https?:\/\/\S+$/,
+        description: 'Public site URL used in emailed links (Netlify sets URL automatically)'
+    },
+    PASSWORD_RESET_TTL_MINUTES: {
+        required: false,
+        type: 'number',
+        min: 5,
+        max: 1440,
+        description: 'Minutes a password reset link stays valid'
+    },
+    EMAIL_VERIFICATION_TTL_HOURS: {
+        required: false,
+        type: 'number',
+        min: 1,
+        max: 168,
+        description: 'Hours an email verification link stays valid'
+    },
+    MAIL_TRANSPORT: {
+        required: false,
+        allowedValues: ['outbox', 'smtp'],
+        description: 'Mail delivery: outbox (writes files, development) or smtp'
+    },
+    MAIL_FROM: {
+        required: false,
+        type: 'string',
+        description: 'Sender address of outgoing email'
+    },
+    MAIL_OUTBOX_DIR: {
+        required: false,
+        type: 'string',
+        description: 'Directory the outbox transport writes messages to'
+    },
+    SMTP_HOST: {
+        required: false,
+        type: 'string',
+        description: 'SMTP server host when MAIL_TRANSPORT=smtp'
+    },
+    SMTP_PORT: {
+        required: false,
+        type: 'number',
+        min: 1,
+        max: 65535,
+        description: 'SMTP server port (default 587, or 465 with SMTP_SECURE)'
+    },
+    SMTP_SECURE: {
+        required: false,
+        allowedValues: ['true', 'false'],
+        description: 'Use TLS from the start of the SMTP connection'
+    },
+    SMTP_USER: {
+        required: false,
+        type: 'string',
+        description: 'SMTP username'
+    },
+    SMTP_PASS: {
+        required: false,
+        type: 'string',
+        description: 'SMTP password'
     }
 };
 
@@ -265,6 +381,19 @@ function validateEnvironment(envVars, environment = 'current') {
         }
     }
     
+    // The Netlify functions refuse to start without these (see netlify/functions/utils.js)
+    if (envVars.NODE_ENV === 'production') {
+        if (!envVars.DB_DATA_DIR && !envVars.DB_SQLITE_FILE) {
+            totalErrors++;
+            console.log(colorize(`❌ DB_DATA_DIR or DB_SQLITE_FILE must point at persistent storage in production`, 'red'));
+        }
+        
+        if ((envVars.MAIL_TRANSPORT || 'outbox').toLowerCase() === 'outbox' && !envVars.MAIL_OUTBOX_DIR) {
+            totalErrors++;
+            console.log(colorize(`❌ MAIL_TRANSPORT should be 'smtp' in production (or MAIL_OUTBOX_DIR set to persistent storage)`, 'red'));
+        }
+    }
+    
     // Summary
     console.log('\n' + '='.repeat(50));
     if (totalErrors === 0 && totalWarnings === 0) {
@@ -286,7 +415,7 @@ function showRecommendations(environment) {
     console.log(colorize(`\n💡 Recommendations untuk ${environment}:`, 'blue'));
     
     if (environment === 'development') {
-        console.log('- JWT_EXPIRE can be longer (24h) untuk easier development');
+        console.log('- JWT_EXPIRE stays short (15m); the frontend renews it with the refresh token');
         console.log('- BCRYPT_SALT_ROUNDS can be lower (10) untuk faster testing');
         console.log('- LOG_LEVEL should be "debug" untuk detailed logging');
     } else if (environment === 'production') {
@@ -0,0 +1,190 @@
+const path = require('path');
+const { JsonFileAdapter } = require('./json-adapter');
+const { SqliteAdapter } = require('./sqlite-adapter');
+const { defaultUsers, defaultCategories, defaultProducts } = require('./seed');
+
+// Collections shared by the Express server and the Netlify functions
+const COLLECTIONS = ['users', 'categories', 'products', 'orders', 'sessions', 'passwordResets', 'loginHistory', 'failedLogins', 'reviews', 'wishlists', 'carts'];
+
+const ADAPTERS = {
+    json: options => new JsonFileAdapter({ dataDir: options.dataDir, backupDir: options.backupDir }),
+    sqlite: options => new SqliteAdapter({ filename: options.sqliteFile })
+};
+
+// Repository for a single collection. Every method is async so adapters are free to do I/O.
+class Collection {
+    constructor(adapter, name) {
+        this.adapter = adapter;
+        this.name = name;
+    }
+
+    findAll() {
+        return this.adapter.all(this.name);
+    }
+
+    async findOne(predicate) {
+        const records = await this.findAll();
+        return records.find(predicate) || null;
+    }
+
+    async filter(predicate) {
+        const records = await this.findAll();
+        return records.filter(predicate);
+    }
+
+    findById(id) {
+        return this.adapter.get(this.name, parseInt(id));
+    }
+
+    async count() {
+        const records = await this.findAll();
+        return records.length;
+    }
+
+    // Assigns the next numeric id when the record doesn't carry one
+    insert(record) {
+        return this.adapter.insert(this.name, record);
+    }
+
+    // Shallow-merges changes into the stored record; resolves to null when the id doesn't exist
+    update(id, changes) {
+        return this.adapter.update(this.name, parseInt(id), changes);
+    }
+
+    remove(id) {
+        return this.adapter.remove(this.name, parseInt(id));
+    }
+
+    replaceAll(records) {
+        return this.adapter.replaceAll(this.name, records);
+    }
+}
+
+class Database {
+    constructor(adapter) {
+        this.adapter = adapter;
+        COLLECTIONS.forEach(name => {
+            this[name] = new Collection(adapter, name);
+        });
+    }
+
+    init() {
+        this.adapter.init(COLLECTIONS);
+    }
+
+    // Resolves to one { collection, status, problem?, source? } entry per collection
+    checkIntegrity() {
+        return this.adapter.checkIntegrity(COLLECTIONS);
+    }
+
+    // Snapshot every collection; resolves to the backup files written
+    backup(options) {
+        return this.adapter.backup(COLLECTIONS, options);
+    }
+
+    /**
+     * Run fn with the listed collections locked against other writers. Writes made through
+     * this database inside fn are committed when it resolves and discarded when it rejects.
+     */
+    transaction(collections, fn) {
+        return this.adapter.transaction([].concat(collections), fn);
+    }
+
+    // Fill empty collections with the demo catalog and accounts
+    async seed() {
+        if (await this.users.count() === 0) {
+            await this.users.replaceAll(defaultUsers);
+        }
+
+        if (await this.categories.count() === 0) {
+            await this.categories.replaceAll(defaultCategories);
+        }
+
+        if (await this.products.count() === 0) {
+            await this.products.replaceAll(defaultProducts);
+        }
+
+        await this.linkProductCategories();
+    }
+
+    /**
+     * Products saved before categories were records (and the seed catalog) only name their
+     * category. Point each at the category with that name or slug, creating it if there is none.
+     */
+    linkProductCategories() {
+        return this.transaction(['categories', 'products'], async () => {
+            const unlinked = await this.products.filter(product => !product.categoryId);
+
+            for (const product of unlinked) {
+                const name = String(product.category || 'Uncategorized').trim();
+                const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'uncategorized';
+
+                let category = await this.categories.findOne(existing =>
+                    existing.slug === slug || existing.name.toLowerCase() === name.toLowerCase());
+
+                if (!category) {
+                    const now = new Date().toISOString();
+                    category = await this.categories.insert({
+                        name,
+                        slug,
+                        parentId: null,
+                        sortOrder: await this.categories.count() + 1,
+                        icon: 'fas fa-tag',
+                        createdAt: now,
+                        updatedAt: now
+                    });
+                }
+
+                await this.products.update(product.id, { categoryId: category.id, category: category.name });
+            }
+        });
+    }
+
+    close() {
+        return this.adapter.close();
+    }
+}
+
+/**
+ * Create a database. Environment variables take precedence over the caller's defaults:
+ *   DB_ADAPTER     - "json" (default) or "sqlite"
+ *   DB_DATA_DIR    - directory holding the JSON files
+ *   DB_SQLITE_FILE - path of the SQLite database file (defaults to <dataDir>/alandstore.db)
+ *   DB_BACKUP_DIR  - where the JSON adapter keeps its snapshots. Defaults to options.backupDir,
+ *                    or <DB_DATA_DIR>/backups when DB_DATA_DIR moves the data, so a file is
+ *                    never restored from another directory's backups.
+ */
+function createDatabase(options = {}) {
+    const adapterName = (process.env.DB_ADAPTER || options.adapter || 'json').toLowerCase();
+    const dataDir = process.env.DB_DATA_DIR || options.dataDir;
+    const sqliteFile = process.env.DB_SQLITE_FILE || options.sqliteFile || (dataDir && path.join(dataDir, 'alandstore.db'));
+    const backupDir = process.env.DB_BACKUP_DIR
+        || (process.env.DB_DATA_DIR ? path.join(dataDir, 'backups') : options.backupDir);
+
+    const createAdapter = ADAPTERS[adapterName];
+    if (!createAdapter) {
+        throw new Error(`Unknown DB_ADAPTER "${adapterName}". Allowed: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+
+    const db = new Database(createAdapter({ dataDir, sqliteFile, backupDir }));
+    db.init();
+    return db;
+}
+
+// One database per process - Netlify reuses it across warm invocations
+let instance = null;
+
+function getDatabase(options = {}) {
+    if (!instance) {
+        instance = createDatabase(options);
+    }
+    return instance;
+}
+
+module.exports = {
+    COLLECTIONS,
+    Collection,
+    Database,
+    createDatabase,
+    getDatabase
+};
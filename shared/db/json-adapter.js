@@ -0,0 +1,352 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { KeyedLock } = require('./lock');
+
+// JSON file adapter - one pretty-printed file per collection (users.json, products.json, ...)
+// Writes go to a temp file that is renamed into place, and each file has a .sha256 sidecar
+// so a damaged file can be detected at startup and replaced by its .backup copy (the version
+// before the last write) or the newest snapshot backup() made in backupDir.
+class JsonFileAdapter {
+    constructor(options = {}) {
+        this.dataDir = options.dataDir;
+        this.backupDir = options.backupDir || null;
+        this.lock = new KeyedLock();
+        this.pending = new AsyncLocalStorage(); // writes staged by the current transaction
+
+        if (!this.dataDir) {
+            throw new Error('JsonFileAdapter requires a dataDir');
+        }
+    }
+
+    init(collections) {
+        if (!fs.existsSync(this.dataDir)) {
+            fs.mkdirSync(this.dataDir, { recursive: true });
+        }
+
+        collections.forEach(name => {
+            if (!fs.existsSync(this.filePath(name))) {
+                this.write(name, []);
+            }
+        });
+    }
+
+    filePath(name) {
+        return path.join(this.dataDir, `${name}.json`);
+    }
+
+    checksumPath(name) {
+        return `${this.filePath(name)}.sha256`;
+    }
+
+    read(name) {
+        const staged = this.pending.getStore();
+        if (staged && staged.records.has(name)) {
+            return staged.records.get(name);
+        }
+
+        const filePath = this.filePath(name);
+
+        try {
+            if (!fs.existsSync(filePath)) {
+                return [];
+            }
+            const content = fs.readFileSync(filePath, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            console.error(`Error reading file ${filePath}:`, error.message);
+            return [];
+        }
+    }
+
+    write(name, records) {
+        const staged = this.pending.getStore();
+        if (staged) {
+            if (!staged.names.includes(name)) {
+                throw new Error(`Collection "${name}" is not part of the current transaction`);
+            }
+            staged.records.set(name, records);
+            return;
+        }
+
+        this.writeFile(name, records);
+    }
+
+    writeFile(name, records) {
+        const filePath = this.filePath(name);
+        const content = JSON.stringify(records, null, 2);
+
+        const previous = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+
+        // Keep the previous version next to the file
+        if (previous !== null) {
+            writeFileAtomic(`${filePath}.backup`, previous);
+        }
+
+        // The sidecar is replaced first and lists both the new and the current checksum, so a
+        // crash before the data file is renamed still leaves a file that matches its sidecar
+        const checksums = [checksum(content), previous !== null && checksum(previous)].filter(Boolean);
+        writeFileAtomic(this.checksumPath(name), checksums.join('\n'));
+        writeFileAtomic(filePath, content);
+    }
+
+    // Serialized read-modify-write of one collection
+    modify(name, fn) {
+        return this.lock.run(name, () => {
+            const records = this.read(name);
+            const result = fn(records);
+            this.write(name, records);
+            return result;
+        });
+    }
+
+    /**
+     * Run fn with the given collections locked. Writes made inside are kept in memory and
+     * only written out once fn resolves, so a rejected fn leaves the files untouched.
+     * Each file is still replaced on its own - a crash mid-commit can land between two files.
+     */
+    transaction(names, fn) {
+        if (this.pending.getStore()) {
+            return fn(); // nested transactions join the outer one
+        }
+
+        return this.lock.run(names, async () => {
+            const staged = { names: [].concat(names), records: new Map() };
+            const result = await this.pending.run(staged, fn);
+
+            staged.records.forEach((records, name) => this.writeFile(name, records));
+            return result;
+        });
+    }
+
+    /**
+     * Copy every collection file into backupDir as <ISO timestamp>-<collection>.json and
+     * drop all but the newest `keep` snapshots of each collection. Resolves to the new paths.
+     */
+    async backup(collections, { keep = 10 } = {}) {
+        if (!this.backupDir) {
+            return [];
+        }
+
+        fs.mkdirSync(this.backupDir, { recursive: true });
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const created = [];
+
+        for (const name of collections) {
+            await this.lock.run(name, () => {
+                if (!fs.existsSync(this.filePath(name))) return;
+
+                const backupPath = path.join(this.backupDir, `${timestamp}-${name}.json`);
+                fs.copyFileSync(this.filePath(name), backupPath);
+                created.push(backupPath);
+
+                this.listBackups(name).slice(keep).forEach(file => fs.rmSync(file, { force: true }));
+            });
+        }
+
+        return created;
+    }
+
+    /**
+     * Verify every collection file against its checksum. Missing checksums are recorded
+     * (files written by older versions). A missing, unreadable or mismatching file is
+     * replaced by its .backup copy when that matches the sidecar, else by the newest
+     * snapshot that parses. The damaged file is kept as <name>.json.corrupt-<time> so
+     * changes made outside the adapter can still be recovered by hand.
+     */
+    async checkIntegrity(collections) {
+        const report = [];
+
+        for (const name of collections) {
+            await this.lock.run(name, () => {
+                report.push({ collection: name, ...this.verifyCollection(name) });
+            });
+        }
+
+        return report;
+    }
+
+    verifyCollection(name) {
+        const filePath = this.filePath(name);
+        const content = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+        const expected = this.expectedChecksums(name);
+
+        let problem = null;
+        if (content === null) {
+            problem = 'file missing';
+        } else if (expected.length > 0 && !expected.includes(checksum(content))) {
+            problem = 'checksum mismatch';
+        } else if (!isRecordArray(content)) {
+            problem = 'invalid JSON';
+        }
+
+        if (!problem) {
+            if (expected.length === 0) {
+                writeFileAtomic(this.checksumPath(name), checksum(content));
+                return { status: 'ok', note: 'checksum created' };
+            }
+            return { status: 'ok' };
+        }
+
+        const source = this.findRestoreSource(name, expected);
+        let movedTo;
+
+        if (content !== null) {
+            movedTo = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, movedTo);
+        }
+
+        if (!source) {
+            this.write(name, []);
+            return { status: 'reset', problem, movedTo };
+        }
+
+        const restored = fs.readFileSync(source, 'utf8');
+        writeFileAtomic(this.checksumPath(name), checksum(restored));
+        writeFileAtomic(filePath, restored);
+        return { status: 'restored', problem, source, movedTo };
+    }
+
+    // Checksums the sidecar accepts - the last write's, and the one before it in case a crash
+    // interrupted that write between the sidecar and the data file
+    expectedChecksums(name) {
+        if (!fs.existsSync(this.checksumPath(name))) {
+            return [];
+        }
+        return fs.readFileSync(this.checksumPath(name), 'utf8').split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Pick the freshest trustworthy copy: a snapshot of exactly the last write, then the
+     * .backup copy (the version before the last write) when the sidecar vouches for it,
+     * then the newest snapshot that parses.
+     */
+    findRestoreSource(name, expected) {
+        const readable = file => {
+            const content = fs.readFileSync(file, 'utf8');
+            return isRecordArray(content) ? checksum(content) : null;
+        };
+
+        const snapshots = this.listBackups(name);
+        const exact = expected.length > 0 && snapshots.find(file => readable(file) === expected[0]);
+        if (exact) {
+            return exact;
+        }
+
+        const previousPath = `${this.filePath(name)}.backup`;
+        if (fs.existsSync(previousPath)) {
+            const previous = readable(previousPath);
+            if (previous && (expected.length === 0 || expected.includes(previous))) {
+                return previousPath;
+            }
+        }
+
+        return this.findLatestBackup(name);
+    }
+
+    // Backups are named <ISO timestamp>-<collection>.json, so name order is time order (newest first here)
+    listBackups(name) {
+        if (!this.backupDir || !fs.existsSync(this.backupDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.backupDir)
+            .filter(file => file.endsWith(`-${name}.json`))
+            .sort()
+            .reverse()
+            .map(file => path.join(this.backupDir, file));
+    }
+
+    findLatestBackup(name) {
+        return this.listBackups(name).find(file => isRecordArray(fs.readFileSync(file, 'utf8'))) || null;
+    }
+
+    async all(name) {
+        return this.read(name);
+    }
+
+    async get(name, id) {
+        return this.read(name).find(record => record.id === id) || null;
+    }
+
+    insert(name, record) {
+        return this.modify(name, records => {
+            const { id = nextId(records), ...data } = record;
+            const newRecord = { id, ...data };
+
+            records.push(newRecord);
+            return newRecord;
+        });
+    }
+
+    update(name, id, changes) {
+        return this.modify(name, records => {
+            const index = records.findIndex(record => record.id === id);
+
+            if (index === -1) {
+                return null;
+            }
+
+            records[index] = { ...records[index], ...changes, id };
+            return records[index];
+        });
+    }
+
+    remove(name, id) {
+        return this.modify(name, records => {
+            const index = records.findIndex(record => record.id === id);
+
+            if (index === -1) {
+                return false;
+            }
+
+            records.splice(index, 1);
+            return true;
+        });
+    }
+
+    replaceAll(name, records) {
+        return this.lock.run(name, () => this.write(name, records));
+    }
+
+    async close() {}
+}
+
+function nextId(records) {
+    return records.length > 0 ? Math.max(...records.map(record => record.id)) + 1 : 1;
+}
+
+function checksum(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function isRecordArray(content) {
+    try {
+        return Array.isArray(JSON.parse(content));
+    } catch (error) {
+        return false;
+    }
+}
+
+// Write to a temp file in the same directory, flush it, then rename over the target.
+// A crash leaves either the old file or the new one, never a truncated mix.
+function writeFileAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    try {
+        const fd = fs.openSync(tempPath, 'w');
+        try {
+            fs.writeSync(fd, content);
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tempPath, filePath);
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+module.exports = { JsonFileAdapter, nextId, writeFileAtomic };
@@ -0,0 +1,54 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-key async mutex. Callers queue behind the previous holder of the same key, so
+// read-modify-write sequences on one collection never interleave inside this process.
+// Re-entrant: code already running under a key (e.g. inside a transaction) isn't blocked by it.
+class KeyedLock {
+    constructor() {
+        this.tails = new Map();
+        this.held = new AsyncLocalStorage();
+    }
+
+    async run(keys, fn) {
+        const heldKeys = this.held.getStore() || new Set();
+        const needed = [...new Set([].concat(keys))]
+            .filter(key => !heldKeys.has(key))
+            .sort(); // fixed order so two multi-key callers can't deadlock
+
+        if (needed.length === 0) {
+            return fn();
+        }
+
+        const releases = [];
+        for (const key of needed) {
+            releases.push(await this.acquire(key));
+        }
+
+        try {
+            return await this.held.run(new Set([...heldKeys, ...needed]), fn);
+        } finally {
+            releases.forEach(release => release());
+        }
+    }
+
+    async acquire(key) {
+        const previous = this.tails.get(key) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => {
+            release = resolve;
+        });
+        const tail = previous.then(() => current);
+
+        this.tails.set(key, tail);
+        await previous;
+
+        return () => {
+            release();
+            if (this.tails.get(key) === tail) {
+                this.tails.delete(key);
+            }
+        };
+    }
+}
+
+module.exports = { KeyedLock };
@@ -0,0 +1,296 @@
+// Seed data used when a store is empty (first run, fresh SQLite file, new Netlify data dir)
+
+const defaultUsers = [
+    {
+        id: 1,
+        username: 'admin',
+        email: 'admin@alandstore.com',
+        password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LtVNNSqk.hGx0/Y.a', // admin123
+        fullName: 'Administrator',
+        role: 'owner',
+        createdAt: new Date().toISOString(),
+        lastLogin: null,
+        isActive: true,
+        emailVerified: true
+    },
+    {
+        id: 2,
+        username: 'user',
+        email: 'user@alandstore.com',
+        password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LtVNNSqk.hGx0/Y.a', // user123
+        fullName: 'Demo User',
+        role: 'user',
+        createdAt: new Date().toISOString(),
+        lastLogin: null,
+        isActive: true,
+        emailVerified: true
+    }
+];
+
+const defaultCategories = [
+    { id: 1, name: 'Electronics', slug: 'electronics', parentId: null, sortOrder: 1, icon: 'fas fa-laptop' },
+    { id: 2, name: 'Fashion', slug: 'fashion', parentId: null, sortOrder: 2, icon: 'fas fa-tshirt' },
+    { id: 3, name: 'Home & Living', slug: 'home', parentId: null, sortOrder: 3, icon: 'fas fa-couch' },
+    { id: 4, name: 'Sports', slug: 'sports', parentId: null, sortOrder: 4, icon: 'fas fa-dumbbell' }
+].map(category => ({ ...category, createdAt: new Date().toISOString(), updatedAt: new Date().toISOString() }));
+
+// Products name their category; Database.seed links them to the category records by id
+const defaultProducts = [
+    {
+        id: 1,
+        name: "Smartphone Samsung Galaxy S24",
+        price: 5999000,
+        description: "Smartphone flagship dengan kamera terbaik dan performa tinggi",
+        image: "https://images.pexels.com/photos/788946/pexels-photo-788946.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
+        category: "Electronics",
+        stock: 10,
+        featured: true
+    },
+    {
+        id: 2,
+        name: "Laptop Gaming ASUS ROG",
+        price: 15999000,
+        description: "Laptop gaming dengan spesifikasi tinggi untuk para gamer",
+        image: "https://images.pexels.com/photos/2047905/pexels-photo-2047905.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
+        category: "Electronics",
+        stock: 5,
+        featured: true
+    },
+    {
+        id: 3,
+        name: "Sepatu Sneakers Nike Air",
+        price: 899000,
+        description: "Sepatu sneakers dengan kualitas premium dan design modern",
+        image: "https://images.pexels.com/photos/2529148/pexels-photo-2529148.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
+        category: "Fashion",
+        stock: 20,
+        variants: [
+            { id: 1, sku: "NIKE-AIR-40", options: { size: "40" }, label: "40", price: null, stock: 6 },
+            { id: 2, sku: "NIKE-AIR-41", options: { size: "41" }, label: "41", price: null, stock: 6 },
+            { id: 3, sku: "NIKE-AIR-42", options: { size: "42" }, label: "42", price: null, stock: 5 },
+            { id: 4, sku: "NIKE-AIR-43", options: { size: "43" }, label: "43", price: null, stock: 3 }
+        ],
+        featured: false
+    },
+    {
+        id: 4,
+        name: "Apple Watch Series 9",
+        price: 2499000,
+        description: "Smart watch dengan fitur kesehatan dan notifikasi lengkap",
+        image: "https://images.pexels.com/photos/437037/pexels-photo-437037.jpeg?auto=compress&cs=tinysrgb&w=400&h=400&dpr=1",
+        category: "Electronics",
+        stock: 15,
+        featured: true
+    },
+    {
+        id: 5,
+        name: "iPhone 15 Pro Max",
+        price: 18999000,
+        description: "iPhone terbaru dengan kamera pro dan performa maksimal",
+        image: "https://picsum.photos/400/400?random=5",
+        category: "Electronics",
+        stock: 8,
+        featured: true
+    },
+    {
+        id: 6,
+        name: "MacBook Pro M3",
+        price: 25999000,
+        description: "Laptop profesional dengan chip M3 untuk performa luar biasa",
+        image: "https://picsum.photos/400/400?random=6",
+        category: "Electronics",
+        stock: 3,
+        featured: true
+    },
+    {
+        id: 7,
+        name: "Nike Air Jordan Retro",
+        price: 2499000,
+        description: "Sepatu basket klasik dengan design ikonik dan kualitas premium",
+        image: "https://picsum.photos/400/400?random=7",
+        category: "Fashion",
+        stock: 15,
+        featured: false
+    },
+    {
+        id: 8,
+        name: "Adidas Ultraboost 22",
+        price: 2199000,
+        description: "Sepatu running dengan teknologi Boost untuk kenyamanan maksimal",
+        image: "https://picsum.photos/400/400?random=8",
+        category: "Fashion",
+        stock: 25,
+        featured: false
+    },
+    {
+        id: 9,
+        name: "Sony WH-1000XM5 Headphones",
+        price: 4999000,
+        description: "Headphone wireless dengan noise cancelling terbaik di kelasnya",
+        image: "https://picsum.photos/400/400?random=9",
+        category: "Electronics",
+        stock: 12,
+        featured: false
+    },
+    {
+        id: 10,
+        name: "iPad Pro 12.9 inch",
+        price: 16999000,
+        description: "Tablet profesional dengan layar Liquid Retina XDR",
+        image: "https://picsum.photos/400/400?random=10",
+        category: "Electronics",
+        stock: 7,
+        featured: true
+    },
+    {
+        id: 11,
+        name: "Samsung Galaxy Tab S9",
+        price: 9999000,
+        description: "Tablet Android premium dengan S Pen dan performa tinggi",
+        image: "https://picsum.photos/400/400?random=11",
+        category: "Electronics",
+        stock: 10,
+        featured: false
+    },
+    {
+        id: 12,
+        name: "Samsung Galaxy Watch 6",
+        price: 5999000,
+        description: "Smartwatch Android dengan fitur kesehatan dan fitness lengkap",
+        image: "https://picsum.photos/400/400?random=12",
+        category: "Electronics",
+        stock: 18,
+        featured: true
+    },
+    {
+        id: 13,
+        name: "Kemeja Formal Premium",
+        price: 599000,
+        description: "Kemeja formal berkualitas tinggi untuk tampilan profesional",
+        image: "https://picsum.photos/400/400?random=13",
+        category: "Fashion",
+        stock: 30,
+        variants: [
+            { id: 1, sku: "KMJ-FRM-M-PTH", options: { size: "M", color: "Putih" }, label: "M / Putih", price: null, stock: 10 },
+            { id: 2, sku: "KMJ-FRM-L-PTH", options: { size: "L", color: "Putih" }, label: "L / Putih", price: null, stock: 8 },
+            { id: 3, sku: "KMJ-FRM-M-BIR", options: { size: "M", color: "Biru" }, label: "M / Biru", price: null, stock: 7 },
+            { id: 4, sku: "KMJ-FRM-L-BIR", options: { size: "L", color: "Biru" }, label: "L / Biru", price: null, stock: 5 }
+        ],
+        featured: false
+    },
+    {
+        id: 14,
+        name: "Jaket Denim Vintage",
+        price: 799000,
+        description: "Jaket denim dengan gaya vintage yang tidak lekang oleh waktu",
+        image: "https://picsum.photos/400/400?random=14",
+        category: "Fashion",
+        stock: 20,
+        variants: [
+            { id: 1, sku: "JKT-DNM-M", options: { size: "M" }, label: "M", price: null, stock: 8 },
+            { id: 2, sku: "JKT-DNM-L", options: { size: "L" }, label: "L", price: null, stock: 7 },
+            { id: 3, sku: "JKT-DNM-XL", options: { size: "XL" }, label: "XL", price: 849000, stock: 5 }
+        ],
+        featured: false
+    },
+    {
+        id: 15,
+        name: "Tas Laptop Business",
+        price: 1299000,
+        description: "Tas laptop premium untuk kebutuhan bisnis dan travel",
+        image: "https://picsum.photos/400/400?random=15",
+        category: "Fashion",
+        stock: 15,
+        featured: false
+    },
+    {
+        id: 16,
+        name: "Gaming Chair RGB",
+        price: 3999000,
+        description: "Kursi gaming dengan pencahayaan RGB dan fitur ergonomis",
+        image: "https://picsum.photos/400/400?random=16",
+        category: "Home",
+        stock: 8,
+        featured: false
+    },
+    {
+        id: 17,
+        name: "Standing Desk Adjustable",
+        price: 2799000,
+        description: "Meja kerja yang dapat disesuaikan tingginya untuk produktivitas optimal",
+        image: "https://picsum.photos/400/400?random=17",
+        category: "Home",
+        stock: 12,
+        featured: false
+    },
+    {
+        id: 18,
+        name: "Smart TV 55 Inch 4K Samsung",
+        price: 8999000,
+        description: "Smart TV 4K dengan teknologi HDR dan sistem operasi Tizen",
+        image: "https://picsum.photos/400/400?random=18",
+        category: "Electronics",
+        stock: 6,
+        featured: true
+    },
+    {
+        id: 19,
+        name: "Mechanical Keyboard RGB",
+        price: 1599000,
+        description: "Keyboard mechanical dengan switch premium dan lampu RGB",
+        image: "https://picsum.photos/400/400?random=19",
+        category: "Electronics",
+        stock: 20,
+        featured: false
+    },
+    {
+        id: 20,
+        name: "Wireless Gaming Mouse",
+        price: 999000,
+        description: "Mouse gaming wireless dengan sensor presisi tinggi",
+        image: "https://picsum.photos/400/400?random=20",
+        category: "Electronics",
+        stock: 25,
+        featured: false
+    },
+    {
+        id: 21,
+        name: "Sepatu Bola Nike Mercurial",
+        price: 1799000,
+        description: "Sepatu bola profesional untuk performa maksimal di lapangan",
+        image: "https://picsum.photos/400/400?random=21",
+        category: "Sports",
+        stock: 18,
+        featured: false
+    },
+    {
+        id: 22,
+        name: "Dumbell Set 20KG",
+        price: 899000,
+        description: "Set dumbell adjustable untuk home gym dan fitness",
+        image: "https://picsum.photos/400/400?random=22",
+        category: "Sports",
+        stock: 12,
+        variants: [
+            { id: 1, sku: "DMB-10KG", options: { weight: "10 kg" }, label: "10 kg", price: 499000, stock: 5 },
+            { id: 2, sku: "DMB-20KG", options: { weight: "20 kg" }, label: "20 kg", price: null, stock: 7 }
+        ],
+        featured: false
+    },
+    {
+        id: 23,
+        name: "Yoga Mat Premium",
+        price: 299000,
+        description: "Matras yoga anti slip dengan ketebalan optimal untuk kenyamanan",
+        image: "https://picsum.photos/400/400?random=23",
+        category: "Sports",
+        stock: 30,
+        featured: false
+    }
+];
+
+module.exports = {
+    defaultUsers,
+    defaultCategories,
+    defaultProducts
+};
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { KeyedLock } = require('./lock');
+
+// Embedded SQLite adapter - one table per collection, each row holds the record as a JSON document.
+// better-sqlite3 is an optional dependency so JSON-only deployments don't need a native build.
+class SqliteAdapter {
+    constructor(options = {}) {
+        this.filename = options.filename;
+
+        if (!this.filename) {
+            throw new Error('SqliteAdapter requires a filename');
+        }
+
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('DB_ADAPTER=sqlite requires the "better-sqlite3" package to be installed');
+        }
+
+        const dir = path.dirname(this.filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+
+        // One connection is shared by every caller, so writes queue behind an open transaction
+        this.lock = new KeyedLock();
+        this.collections = [];
+    }
+
+    init(collections) {
+        this.collections = collections;
+        collections.forEach(name => {
+            this.db.exec(`CREATE TABLE IF NOT EXISTS ${tableName(name)} (id INTEGER PRIMARY KEY, data TEXT NOT NULL)`);
+        });
+    }
+
+    // SQLite keeps its own journal, so startup only needs to confirm the file is sound
+    async checkIntegrity(collections) {
+        const result = this.db.pragma('integrity_check', { simple: true });
+        const status = result === 'ok' ? 'ok' : 'failed';
+
+        return collections.map(name => (status === 'ok'
+            ? { collection: name, status }
+            : { collection: name, status, problem: String(result) }));
+    }
+
+    // The database file is a single unit - back it up with the file itself, not per collection
+    async backup() {
+        return [];
+    }
+
+    /**
+     * Run fn inside BEGIN IMMEDIATE ... COMMIT, rolling back when it rejects. Every collection
+     * is locked, not just the listed ones: other writers would otherwise slip their statements
+     * into this transaction on the shared connection.
+     */
+    transaction(names, fn) {
+        return this.lock.run(this.collections, async () => {
+            // Only a nested call can get here while a transaction is open - the lock is re-entrant
+            if (this.db.inTransaction) {
+                return fn();
+            }
+
+            this.db.exec('BEGIN IMMEDIATE');
+            try {
+                const result = await fn();
+                this.db.exec('COMMIT');
+                return result;
+            } catch (error) {
+                this.db.exec('ROLLBACK');
+                throw error;
+            }
+        });
+    }
+
+    async all(name) {
+        return this.db
+            .prepare(`SELECT id, data FROM ${tableName(name)} ORDER BY id`)
+            .all()
+            .map(toRecord);
+    }
+
+    async get(name, id) {
+        const row = this.db.prepare(`SELECT id, data FROM ${tableName(name)} WHERE id = ?`).get(id);
+        return row ? toRecord(row) : null;
+    }
+
+    insert(name, record) {
+        return this.lock.run(name, () => {
+            const { id, ...data } = record;
+            const result = this.db
+                .prepare(`INSERT INTO ${tableName(name)} (id, data) VALUES (?, ?)`)
+                .run(id !== undefined ? id : null, JSON.stringify(data));
+
+            return { id: Number(result.lastInsertRowid), ...data };
+        });
+    }
+
+    update(name, id, changes) {
+        return this.lock.run(name, async () => {
+            const existing = await this.get(name, id);
+            if (!existing) {
+                return null;
+            }
+
+            const { id: ignored, ...data } = { ...existing, ...changes };
+            this.db.prepare(`UPDATE ${tableName(name)} SET data = ? WHERE id = ?`).run(JSON.stringify(data), id);
+            return { id, ...data };
+        });
+    }
+
+    remove(name, id) {
+        return this.lock.run(name, () => {
+            const result = this.db.prepare(`DELETE FROM ${tableName(name)} WHERE id = ?`).run(id);
+            return result.changes > 0;
+        });
+    }
+
+    replaceAll(name, records) {
+        const table = tableName(name);
+        const insert = this.db.prepare(`INSERT INTO ${table} (id, data) VALUES (?, ?)`);
+
+        // better-sqlite3 turns a nested db.transaction() into a savepoint
+        return this.lock.run(name, () => {
+            this.db.transaction(() => {
+                this.db.exec(`DELETE FROM ${table}`);
+                records.forEach(({ id, ...data }) => insert.run(id !== undefined ? id : null, JSON.stringify(data)));
+            })();
+        });
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+function tableName(name) {
+    // Collection names are interpolated into SQL, so only plain identifiers are accepted
+    if (!/^[a-zA-Z_]+$/.test(name)) {
+        throw new Error(`Invalid collection name: ${name}`);
+    }
+    return name;
+}
+
+function toRecord(row) {
+    return { id: row.id, ...JSON.parse(row.data) };
+}
+
+module.exports = { SqliteAdapter };
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { ServiceError } = require('../services/errors');
+
+// Longest side of each rendition in pixels; smaller originals are never scaled up
+const RENDITIONS = {
+    thumb: 160,
+    card: 480,
+    full: 1200
+};
+
+const WEBP_QUALITY = 80;
+const JPEG_QUALITY = 82;
+
+// Decoding is refused above this many pixels (width x height), so a small file that expands
+// into a huge bitmap can't exhaust memory
+const DEFAULT_MAX_PIXELS = 40000000;
+
+/**
+ * Turns uploaded product photos into the renditions the storefront serves: every size as WebP
+ * plus a fallback for browsers without WebP support - JPEG, or PNG when the photo has
+ * transparency. Files are written to outputDir under random names and addressed by URLs under
+ * publicPath. The renditions carry no EXIF or other metadata: sharp only copies it on request.
+ */
+class ImageProcessor {
+    constructor(options = {}) {
+        if (!options.outputDir) {
+            throw new Error('ImageProcessor requires an outputDir');
+        }
+
+        this.outputDir = options.outputDir;
+        this.publicPath = (options.publicPath || '').replace(/\/+$/, '');
+        this.maxPixels = options.maxPixels || DEFAULT_MAX_PIXELS;
+    }
+
+    /**
+     * Render one original (a Buffer with the uploaded bytes). Rendition files are named
+     * "<random>-<rendition>.<ext>". Resolves to { width, height, renditions } where width and
+     * height are those of the full rendition and renditions maps thumb, card and full to
+     * { width, height, webp, fallback } with public URLs. Throws UNSUPPORTED_IMAGE_TYPE unless
+     * the content is a JPEG, PNG or WebP, and INVALID_IMAGE when it can't be decoded.
+     */
+    async process(input) {
+        const format = sniffImageFormat(input);
+        if (!format) {
+            throw new ServiceError(415, 'Only JPEG, PNG and WebP images are accepted', 'UNSUPPORTED_IMAGE_TYPE');
+        }
+
+        let metadata;
+        try {
+            metadata = await this.open(input).metadata();
+        } catch (error) {
+            throw invalidImageError();
+        }
+        // The signature matched, but sharp decodes by its own detection - they have to agree
+        if (metadata.format !== format || metadata.width * metadata.height > this.maxPixels) {
+            throw invalidImageError();
+        }
+
+        await fs.promises.mkdir(this.outputDir, { recursive: true });
+
+        const fallback = metadata.hasAlpha
+            ? { extension: 'png', apply: image => image.png() }
+            : { extension: 'jpg', apply: image => image.jpeg({ quality: JPEG_QUALITY, mozjpeg: true }) };
+        // The name is never derived from the upload, so it can't collide with or overwrite another file
+        const baseName = crypto.randomBytes(16).toString('hex');
+        const renditions = {};
+        const written = [];
+
+        try {
+            for (const [name, size] of Object.entries(RENDITIONS)) {
+                // rotate() without arguments applies the EXIF orientation, so phone photos aren't sideways
+                const resized = this.open(input).rotate().resize(size, size, { fit: 'inside', withoutEnlargement: true });
+
+                const webpFile = `${baseName}-${name}.webp`;
+                const info = await resized.clone().webp({ quality: WEBP_QUALITY }).toFile(path.join(this.outputDir, webpFile));
+                written.push(webpFile);
+
+                const fallbackFile = `${baseName}-${name}.${fallback.extension}`;
+                await fallback.apply(resized.clone()).toFile(path.join(this.outputDir, fallbackFile));
+                written.push(fallbackFile);
+
+                renditions[name] = {
+                    width: info.width,
+                    height: info.height,
+                    webp: `${this.publicPath}/${webpFile}`,
+                    fallback: `${this.publicPath}/${fallbackFile}`
+                };
+            }
+        } catch (error) {
+            await Promise.all(written.map(file => this.unlink(file)));
+            // File system errors (ENOSPC, EACCES, ...) are ours; anything else is a broken image
+            throw typeof error.code === 'string' && error.code.startsWith('E') ? error : invalidImageError();
+        }
+
+        return {
+            width: renditions.full.width,
+            height: renditions.full.height,
+            renditions
+        };
+    }
+
+    open(input) {
+        return sharp(input, { limitInputPixels: this.maxPixels });
+    }
+
+    // Delete the files of an image from process(). URLs outside publicPath, like external picture URLs, are left alone.
+    async remove(image) {
+        const urls = Object.values((image && image.renditions) || {}).flatMap(rendition => [rendition.webp, rendition.fallback]);
+
+        await Promise.all(urls
+            .filter(url => typeof url === 'string' && url.startsWith(`${this.publicPath}/`))
+            .map(url => this.unlink(path.basename(url))));
+    }
+
+    // Already gone is fine
+    unlink(file) {
+        return fs.promises.unlink(path.join(this.outputDir, file)).catch(() => {});
+    }
+}
+
+// 'jpeg', 'png' or 'webp' (as sharp names them) from the file's leading bytes, or null for
+// anything else - the same formats the admin form offers (CONFIG.UI.ALLOWED_FILE_TYPES). The
+// client's filename and Content-Type are ignored: both are whatever the sender wants them to be.
+function sniffImageFormat(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'jpeg';
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'png';
+    }
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+        return 'webp';
+    }
+    return null;
+}
+
+function invalidImageError() {
+    return new ServiceError(400, 'Uploaded file is not a supported image', 'INVALID_IMAGE');
+}
+
+module.exports = {
+    ImageProcessor,
+    RENDITIONS,
+    sniffImageFormat
+};
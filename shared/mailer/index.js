@@ -0,0 +1,67 @@
+const { OutboxTransport } = require('./outbox-transport');
+const { SmtpTransport } = require('./smtp-transport');
+
+const DEFAULT_FROM = 'AlandStore <no-reply@alandstore.com>';
+
+const TRANSPORTS = {
+    outbox: options => new OutboxTransport({ outboxDir: options.outboxDir }),
+    smtp: options => new SmtpTransport(options.smtp)
+};
+
+// Outgoing email. Services only see send(); the transport decides where messages end up.
+class Mailer {
+    constructor(transport, options = {}) {
+        this.transport = transport;
+        this.from = options.from || DEFAULT_FROM;
+    }
+
+    // message is { to, subject, text, html? }. Resolves to the transport's { id, ... } receipt.
+    send(message) {
+        if (!message.to || !message.subject || !message.text) {
+            return Promise.reject(new Error('Mail messages need to, subject and text'));
+        }
+
+        return this.transport.send({
+            from: this.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html || null,
+            date: new Date().toISOString()
+        });
+    }
+}
+
+/**
+ * Create a mailer. Environment variables take precedence over the caller's defaults:
+ *   MAIL_TRANSPORT  - "outbox" (default) or "smtp"
+ *   MAIL_FROM       - sender address
+ *   MAIL_OUTBOX_DIR - directory the outbox transport writes messages to
+ *   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS - SMTP server settings
+ */
+function createMailer(options = {}) {
+    const transportName = (process.env.MAIL_TRANSPORT || options.transport || 'outbox').toLowerCase();
+
+    const createTransport = TRANSPORTS[transportName];
+    if (!createTransport) {
+        throw new Error(`Unknown MAIL_TRANSPORT "${transportName}". Allowed: ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+
+    const transport = createTransport({
+        outboxDir: process.env.MAIL_OUTBOX_DIR || options.outboxDir,
+        smtp: {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || null,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+        }
+    });
+
+    return new Mailer(transport, { from: process.env.MAIL_FROM || options.from });
+}
+
+module.exports = {
+    Mailer,
+    createMailer
+};
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Development transport - every message becomes a JSON file in the outbox directory instead of
+// being delivered, so reset links and the like can be opened straight from disk.
+class OutboxTransport {
+    constructor(options = {}) {
+        this.outboxDir = options.outboxDir;
+
+        if (!this.outboxDir) {
+            throw new Error('OutboxTransport requires an outboxDir');
+        }
+    }
+
+    async send(message) {
+        if (!fs.existsSync(this.outboxDir)) {
+            fs.mkdirSync(this.outboxDir, { recursive: true });
+        }
+
+        // Timestamp first so the files list in the order they were sent
+        const id = `${message.date.replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}`;
+        const file = path.join(this.outboxDir, `${id}.json`);
+
+        fs.writeFileSync(file, JSON.stringify(message, null, 2));
+        return { id, file };
+    }
+}
+
+module.exports = { OutboxTransport };
@@ -0,0 +1,37 @@
+// Production transport. nodemailer is an optional dependency so deployments that keep the
+// default outbox transport don't need it.
+class SmtpTransport {
+    constructor(options = {}) {
+        if (!options.host) {
+            throw new Error('MAIL_TRANSPORT=smtp requires SMTP_HOST');
+        }
+
+        let nodemailer;
+        try {
+            nodemailer = require('nodemailer');
+        } catch (error) {
+            throw new Error('MAIL_TRANSPORT=smtp requires the "nodemailer" package to be installed');
+        }
+
+        this.transporter = nodemailer.createTransport({
+            host: options.host,
+            port: options.port || (options.secure ? 465 : 587),
+            secure: Boolean(options.secure),
+            auth: options.user ? { user: options.user, pass: options.pass } : undefined
+        });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail({
+            from: message.from,
+            to: message.to,
+            subject: message.subject,
+            text: message.text,
+            html: message.html,
+            date: new Date(message.date)
+        });
+        return { id: info.messageId };
+    }
+}
+
+module.exports = { SmtpTransport };
@@ -0,0 +1,323 @@
+const { ServiceError, ValidationError } = require('./errors');
+const { toInteger, FieldErrors } = require('./validation');
+
+const MAX_CART_LINES = 50;
+const MAX_LINE_QUANTITY = 99;
+
+/**
+ * The cart of a logged in customer, kept on the server so it follows them across devices. One
+ * line per product and variant, addressed by its key: "<productId>" or "<productId>:<variantId>"
+ * (the storefront's cartKey). A line remembers the price the customer last put it in the cart
+ * at, and its name, variant label and image for when the product is gone.
+ *
+ * Every cart this service returns has been checked against the catalog: prices and stock are
+ * the current ones and each line lists its warnings - PRICE_CHANGED ({ previousPrice }),
+ * LOW_STOCK ({ available }, fewer left than the line's quantity), OUT_OF_STOCK and UNAVAILABLE
+ * (product or variant deleted, or product deactivated).
+ */
+class CartService {
+    constructor(db, productService) {
+        this.db = db;
+        this.productService = productService;
+    }
+
+    async get(userId) {
+        return this.describe(await this.findCart(userId));
+    }
+
+    findCart(userId) {
+        return this.db.carts.findOne(cart => cart.userId === userId);
+    }
+
+    /**
+     * Put a product in the cart: { productId, variantId, quantity } (quantity defaults to 1 and
+     * adds to a line that is already there). Refuses more than is in stock.
+     * Resolves to the checked cart.
+     */
+    addItem(userId, input = {}) {
+        const check = new FieldErrors();
+        const productId = check.integer(input, 'productId', 'Product', { min: 1, max: Number.MAX_SAFE_INTEGER });
+        const variantId = check.integer(input, 'variantId', 'Variant', { min: 1, max: Number.MAX_SAFE_INTEGER, required: false });
+        const quantity = check.integer(input, 'quantity', 'Quantity', { min: 1, max: MAX_LINE_QUANTITY, required: false });
+
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+
+        return this.db.transaction(['carts'], async () => {
+            const { product, variant } = await this.resolve(productId, variantId === undefined ? null : variantId);
+            const lines = await this.lines(userId);
+            const key = lineKey(product.id, variant ? variant.id : null);
+            const existing = lines.find(line => lineKey(line.productId, line.variantId) === key);
+            const total = (existing ? existing.quantity : 0) + (quantity || 1);
+
+            assertInStock(product, variant, total);
+            if (total > MAX_LINE_QUANTITY) {
+                throw new ServiceError(400, `At most ${MAX_LINE_QUANTITY} of one product fit in the cart`, 'QUANTITY_LIMIT');
+            }
+            if (!existing && lines.length >= MAX_CART_LINES) {
+                throw new ServiceError(409, `A cart can hold at most ${MAX_CART_LINES} products`, 'CART_FULL');
+            }
+
+            const line = snapshot(product, variant, total);
+            const updated = existing
+                ? lines.map(item => (item === existing ? { ...line, addedAt: existing.addedAt } : item))
+                : [...lines, line];
+
+            return this.describe(await this.save(userId, updated));
+        });
+    }
+
+    /**
+     * Set the quantity of a line: { quantity }, 0 removes it. Lowering is always allowed, so a
+     * line with a LOW_STOCK warning can be brought down to what is left; raising is checked
+     * against stock. Either way the line takes the current price, which clears PRICE_CHANGED.
+     * Resolves to the checked cart.
+     */
+    updateItem(userId, key, input = {}) {
+        const check = new FieldErrors();
+        const quantity = check.integer(input, 'quantity', 'Quantity', { min: 0, max: MAX_LINE_QUANTITY });
+
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+
+        return this.db.transaction(['carts'], async () => {
+            const lines = await this.lines(userId);
+            const existing = findLine(lines, key);
+
+            if (quantity === 0) {
+                return this.describe(await this.save(userId, lines.filter(line => line !== existing)));
+            }
+
+            let resolved = null;
+            try {
+                resolved = await this.resolve(existing.productId, existing.variantId);
+            } catch (error) {
+                // Raising needs a product that can still be bought; lowering works on any line
+                if (quantity > existing.quantity) throw error;
+            }
+            if (resolved && quantity > existing.quantity) {
+                assertInStock(resolved.product, resolved.variant, quantity);
+            }
+
+            const updated = resolved
+                ? { ...snapshot(resolved.product, resolved.variant, quantity), addedAt: existing.addedAt }
+                : { ...existing, quantity };
+
+            return this.describe(await this.save(userId, lines.map(line => (line === existing ? updated : line))));
+        });
+    }
+
+    removeItem(userId, key) {
+        return this.db.transaction(['carts'], async () => {
+            const lines = await this.lines(userId);
+            const existing = findLine(lines, key);
+
+            return this.describe(await this.save(userId, lines.filter(line => line !== existing)));
+        });
+    }
+
+    // Empty the cart, e.g. once its order has been placed
+    clear(userId) {
+        return this.db.transaction(['carts'], async () => this.describe(await this.save(userId, [])));
+    }
+
+    /**
+     * Merge the cart a customer built before logging in: [{ productId, variantId, quantity }].
+     * Quantities add up with what the server cart already has, capped at the stock left.
+     * Lines that can't be bought (unknown, deleted, sold out or missing a variant) or don't fit
+     * in the cart any more are skipped rather than failing the login that triggered the merge.
+     * Resolves to { cart, skipped } where skipped counts the lines left out.
+     */
+    merge(userId, items) {
+        if (!Array.isArray(items)) {
+            throw new ServiceError(400, 'Items must be a list of products', 'VALIDATION_ERROR');
+        }
+
+        return this.db.transaction(['carts'], async () => {
+            const lines = await this.lines(userId);
+            let skipped = 0;
+
+            for (const item of items) {
+                const productId = toInteger(item && item.productId);
+                const variantId = item && item.variantId ? toInteger(item.variantId) : null;
+                const quantity = toInteger(item && item.quantity);
+
+                const resolved = productId && quantity > 0
+                    ? await this.resolve(productId, variantId).catch(() => null)
+                    : null;
+                const stock = resolved ? (resolved.variant || resolved.product).stock || 0 : 0;
+
+                if (!resolved || stock <= 0) {
+                    skipped += 1;
+                    continue;
+                }
+
+                const { product, variant } = resolved;
+                const key = lineKey(product.id, variant ? variant.id : null);
+                const index = lines.findIndex(line => lineKey(line.productId, line.variantId) === key);
+                const existing = index === -1 ? null : lines[index];
+
+                if (!existing && lines.length >= MAX_CART_LINES) {
+                    skipped += 1;
+                    continue;
+                }
+
+                const total = Math.min((existing ? existing.quantity : 0) + quantity, stock, MAX_LINE_QUANTITY);
+                // The price on the server line stays, so a change since then is still reported
+                const line = existing ? { ...existing, quantity: total } : snapshot(product, variant, total);
+
+                if (existing) {
+                    lines[index] = line;
+                } else {
+                    lines.push(line);
+                }
+            }
+
+            return { cart: await this.describe(await this.save(userId, lines)), skipped };
+        });
+    }
+
+    async lines(userId) {
+        const cart = await this.findCart(userId);
+        return cart ? cart.items : [];
+    }
+
+    async save(userId, items) {
+        const existing = await this.findCart(userId);
+        const now = new Date().toISOString();
+
+        if (existing) {
+            return this.db.carts.update(existing.id, { items, updatedAt: now });
+        }
+        return this.db.carts.insert({ userId, items, createdAt: now, updatedAt: now });
+    }
+
+    // The product and variant a line may be added for. Throws the same codes as pricing an order.
+    async resolve(productId, variantId) {
+        const product = await this.productService.getById(productId);
+
+        if (!this.productService.isAvailable(product)) {
+            throw new ServiceError(400, `Product "${product.name}" is not available`, 'PRODUCT_UNAVAILABLE');
+        }
+
+        const hasVariants = (product.variants || []).length > 0;
+        if (hasVariants && variantId === null) {
+            throw new ServiceError(400, `Choose a variant of product "${product.name}"`, 'VARIANT_REQUIRED');
+        }
+
+        const variant = variantId === null ? null : this.productService.findVariant(product, variantId);
+        if (variantId !== null && !variant) {
+            throw new ServiceError(400, `Variant ${variantId} of product "${product.name}" not found`, 'VARIANT_NOT_FOUND');
+        }
+
+        return { product, variant };
+    }
+
+    /**
+     * The cart as the API returns it: { items, totalQuantity, subtotal, canCheckout, updatedAt }.
+     * Each item is { key, productId, variantId, variantLabel, name, image, price, quantity, stock,
+     * subtotal, warnings } with the current price and stock. subtotal leaves out lines that can't
+     * be bought; canCheckout is false while any line is short of stock or unavailable.
+     */
+    async describe(cart) {
+        const lines = cart ? cart.items : [];
+        const items = [];
+
+        for (const line of lines) {
+            const product = await this.db.products.findById(line.productId);
+            const variant = product && line.variantId !== null ? this.productService.findVariant(product, line.variantId) : null;
+            const hasVariants = Boolean(product) && (product.variants || []).length > 0;
+            const available = Boolean(product) && this.productService.isAvailable(product) &&
+                (line.variantId === null ? !hasVariants : Boolean(variant));
+
+            let price = line.price;
+            if (available) {
+                price = variant && variant.price ? variant.price : product.price;
+            }
+            const stock = available ? (variant || product).stock || 0 : 0;
+            const warnings = [];
+
+            if (!available) {
+                warnings.push({ code: 'UNAVAILABLE' });
+            } else if (stock <= 0) {
+                warnings.push({ code: 'OUT_OF_STOCK' });
+            } else if (stock < line.quantity) {
+                warnings.push({ code: 'LOW_STOCK', available: stock });
+            }
+            if (available && price !== line.price) {
+                warnings.push({ code: 'PRICE_CHANGED', previousPrice: line.price });
+            }
+
+            items.push({
+                key: lineKey(line.productId, line.variantId),
+                productId: line.productId,
+                variantId: line.variantId,
+                variantLabel: variant ? variant.label : line.variantLabel,
+                name: available ? product.name : line.name,
+                image: available ? product.image : line.image,
+                price,
+                quantity: line.quantity,
+                stock,
+                subtotal: price * line.quantity,
+                warnings
+            });
+        }
+
+        const buyable = items.filter(item => item.stock > 0 && item.warnings.every(warning => warning.code !== 'UNAVAILABLE'));
+
+        return {
+            items,
+            totalQuantity: items.reduce((total, item) => total + item.quantity, 0),
+            subtotal: buyable.reduce((total, item) => total + item.subtotal, 0),
+            canCheckout: items.length > 0 && items.every(item =>
+                !item.warnings.some(warning => ['UNAVAILABLE', 'OUT_OF_STOCK', 'LOW_STOCK'].includes(warning.code))),
+            updatedAt: cart ? cart.updatedAt : null
+        };
+    }
+}
+
+function lineKey(productId, variantId) {
+    return variantId ? `${productId}:${variantId}` : String(productId);
+}
+
+function findLine(lines, key) {
+    const line = lines.find(item => lineKey(item.productId, item.variantId) === String(key));
+
+    if (!line) {
+        throw new ServiceError(404, 'Product is not in your cart', 'CART_ITEM_NOT_FOUND');
+    }
+    return line;
+}
+
+// A cart line for the product as it is now; its price is what later reads compare against
+function snapshot(product, variant, quantity) {
+    return {
+        productId: product.id,
+        variantId: variant ? variant.id : null,
+        variantLabel: variant ? variant.label : null,
+        name: product.name,
+        image: product.image,
+        price: variant && variant.price ? variant.price : product.price,
+        quantity,
+        addedAt: new Date().toISOString()
+    };
+}
+
+function assertInStock(product, variant, quantity) {
+    const available = (variant || product).stock || 0;
+
+    if (available <= 0) {
+        throw new ServiceError(400, `"${product.name}" is out of stock`, 'OUT_OF_STOCK');
+    }
+    if (available < quantity) {
+        throw new ServiceError(400, `Only ${available} of "${product.name}" left`, 'INSUFFICIENT_STOCK', { available });
+    }
+}
+
+module.exports = {
+    CartService,
+    MAX_CART_LINES,
+    MAX_LINE_QUANTITY
+};
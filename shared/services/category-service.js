@@ -0,0 +1,252 @@
+const { ServiceError, ValidationError } = require('./errors');
+const { toInteger, FieldErrors } = require('./validation');
+
+const DEFAULT_CATEGORY_ICON = 'fas fa-tag';
+// Font Awesome classes as used across the frontend, e.g. "fas fa-laptop"
+const ICON_PATTERN = /^(fas|far|fab) fa-[a-z0-9-]+$/;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * The category tree. A category may sit under a parentId; siblings are listed by sortOrder,
+ * then name. Products point at a category by id and carry a copy of its name for display and
+ * search, which is kept in step here when the category is renamed. Filtering by a category
+ * includes everything filed under its subcategories.
+ */
+class CategoryService {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async list() {
+        const categories = await this.db.categories.findAll();
+        return categories.sort(compareCategories);
+    }
+
+    /**
+     * The whole tree, top-level categories first, each with its children nested and
+     * productCount counting the products in it and everything below it.
+     */
+    async tree() {
+        const [categories, products] = await Promise.all([this.list(), this.db.products.findAll()]);
+
+        const direct = new Map();
+        products.forEach(product => {
+            direct.set(product.categoryId, (direct.get(product.categoryId) || 0) + 1);
+        });
+
+        const build = parentId => categories
+            .filter(category => (category.parentId || null) === parentId)
+            .map(category => {
+                const children = build(category.id);
+                return {
+                    ...category,
+                    productCount: children.reduce((total, child) => total + child.productCount, direct.get(category.id) || 0),
+                    children
+                };
+            });
+
+        return build(null);
+    }
+
+    async getById(id) {
+        const category = await this.db.categories.findById(id);
+
+        if (!category) {
+            throw new ServiceError(404, 'Category not found', 'CATEGORY_NOT_FOUND');
+        }
+        return category;
+    }
+
+    // Find a category by id, slug or name - what the product filters accept
+    findByReference(categories, reference) {
+        const value = String(reference).trim().toLowerCase();
+        return categories.find(category =>
+            String(category.id) === value ||
+            category.slug === value ||
+            category.name.toLowerCase() === value
+        ) || null;
+    }
+
+    // The ids of a category and every category below it
+    descendantIds(categories, id) {
+        const ids = [id];
+        for (let i = 0; i < ids.length; i++) {
+            categories.filter(category => category.parentId === ids[i]).forEach(child => ids.push(child.id));
+        }
+        return ids;
+    }
+
+    /**
+     * Validate and normalize category fields. With partial=true only the fields present are
+     * checked; otherwise name is required. A missing slug is derived from the name.
+     * Returns the clean fields, throws ValidationError listing every invalid field.
+     */
+    validate(input, { partial = false } = {}) {
+        const check = new FieldErrors();
+        const required = !partial;
+        const fields = {};
+
+        fields.name = check.string(input, 'name', 'Category name', { min: 2, max: 50, required });
+        fields.sortOrder = check.integer(input, 'sortOrder', 'Sort order', { min: 0, max: 9999, required: false });
+
+        if (input.slug !== undefined && input.slug !== '') {
+            fields.slug = String(input.slug).trim().toLowerCase();
+            if (!SLUG_PATTERN.test(fields.slug) || fields.slug.length > 60) {
+                check.add('slug', 'Slug may only contain lowercase letters, digits and single dashes (max 60 characters)');
+            }
+        } else if (fields.name && !partial) {
+            fields.slug = slugify(fields.name);
+        }
+
+        if (input.parentId !== undefined) {
+            if (input.parentId === null || input.parentId === '') {
+                fields.parentId = null;
+            } else {
+                fields.parentId = toInteger(input.parentId);
+                if (fields.parentId === null || fields.parentId < 1) {
+                    check.add('parentId', 'Parent category must be a category id');
+                }
+            }
+        }
+
+        if (input.icon !== undefined && input.icon !== '') {
+            fields.icon = String(input.icon).trim();
+            if (!ICON_PATTERN.test(fields.icon)) {
+                check.add('icon', 'Icon must be a Font Awesome class such as "fas fa-laptop"');
+            }
+        }
+
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+
+        Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+        return fields;
+    }
+
+    async assertUniqueSlug(slug, exceptId = null) {
+        const duplicate = await this.db.categories.findOne(
+            category => category.id !== exceptId && category.slug === slug
+        );
+
+        if (duplicate) {
+            throw new ServiceError(409, 'Category with this slug already exists', 'CATEGORY_EXISTS');
+        }
+    }
+
+    // The parent has to exist, and a category can't be moved under itself or its own subcategories
+    async assertValidParent(parentId, categoryId = null) {
+        if (parentId === null) return;
+
+        const categories = await this.db.categories.findAll();
+        if (!categories.some(category => category.id === parentId)) {
+            throw new ValidationError([{ field: 'parentId', message: 'Parent category not found' }]);
+        }
+
+        if (categoryId !== null && this.descendantIds(categories, categoryId).includes(parentId)) {
+            throw new ServiceError(400, 'A category cannot be moved under itself or its subcategories', 'INVALID_PARENT');
+        }
+    }
+
+    create(input) {
+        const fields = this.validate(input);
+
+        return this.db.transaction(['categories'], async () => {
+            await this.assertUniqueSlug(fields.slug);
+            await this.assertValidParent(fields.parentId || null);
+
+            // New categories go after their siblings unless told otherwise
+            let sortOrder = fields.sortOrder;
+            if (sortOrder === undefined) {
+                const siblings = await this.db.categories.filter(category => (category.parentId || null) === (fields.parentId || null));
+                sortOrder = siblings.reduce((max, category) => Math.max(max, category.sortOrder || 0), 0) + 1;
+            }
+
+            const now = new Date().toISOString();
+            return this.db.categories.insert({
+                name: fields.name,
+                slug: fields.slug,
+                parentId: fields.parentId || null,
+                sortOrder,
+                icon: fields.icon || DEFAULT_CATEGORY_ICON,
+                createdAt: now,
+                updatedAt: now
+            });
+        });
+    }
+
+    // Resolves to { category, changes } where changes lists the updated field names
+    async update(id, input) {
+        const existing = await this.getById(id);
+        const fields = this.validate(input, { partial: true });
+
+        const changes = Object.keys(fields);
+        if (changes.length === 0) {
+            throw new ServiceError(400, 'No valid fields provided for update', 'NO_CHANGES');
+        }
+
+        return this.db.transaction(['categories', 'products'], async () => {
+            if (fields.slug) {
+                await this.assertUniqueSlug(fields.slug, existing.id);
+            }
+            if (fields.parentId !== undefined) {
+                await this.assertValidParent(fields.parentId, existing.id);
+            }
+
+            const category = await this.db.categories.update(existing.id, {
+                ...fields,
+                updatedAt: new Date().toISOString()
+            });
+
+            // updatedAt changes too, so the search index picks up the new name
+            if (fields.name && fields.name !== existing.name) {
+                const now = new Date().toISOString();
+                const products = await this.db.products.filter(product => product.categoryId === existing.id);
+                for (const product of products) {
+                    await this.db.products.update(product.id, { category: fields.name, updatedAt: now });
+                }
+            }
+
+            return { category, changes };
+        });
+    }
+
+    // Only empty categories can go - move their products and subcategories first. Resolves to the deleted category.
+    async remove(id) {
+        const existing = await this.getById(id);
+
+        return this.db.transaction(['categories', 'products'], async () => {
+            if (await this.db.categories.findOne(category => category.parentId === existing.id)) {
+                throw new ServiceError(409, 'Category still has subcategories', 'CATEGORY_HAS_CHILDREN');
+            }
+            if (await this.db.products.findOne(product => product.categoryId === existing.id)) {
+                throw new ServiceError(409, 'Category still has products', 'CATEGORY_IN_USE');
+            }
+
+            await this.db.categories.remove(existing.id);
+            return existing;
+        });
+    }
+}
+
+function compareCategories(a, b) {
+    return (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name);
+}
+
+// "Home & Living" -> "home-living"
+function slugify(name) {
+    return String(name)
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60)
+        .replace(/-+$/, '') || 'category';
+}
+
+module.exports = {
+    CategoryService,
+    DEFAULT_CATEGORY_ICON,
+    slugify
+};
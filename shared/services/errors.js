@@ -0,0 +1,28 @@
+// Errors thrown by the domain services. They carry the HTTP status and error code so the
+// Express routes and the Netlify handlers can answer with the same response.
+class ServiceError extends Error {
+    constructor(status, message, code = null, details = null) {
+        super(message);
+        this.name = 'ServiceError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    toJSON() {
+        const body = { message: this.message };
+        if (this.code) body.code = this.code;
+        if (this.details) Object.assign(body, this.details);
+        return body;
+    }
+}
+
+// errors: [{ field, message }] - the first message becomes the error message
+class ValidationError extends ServiceError {
+    constructor(errors) {
+        super(400, errors[0].message, 'VALIDATION_ERROR', { errors });
+        this.name = 'ValidationError';
+    }
+}
+
+module.exports = { ServiceError, ValidationError };
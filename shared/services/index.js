@@ -0,0 +1,90 @@
+const { ServiceError, ValidationError } = require('./errors');
+const { ProductService, MAX_PRODUCT_IMAGES } = require('./product-service');
+const { CategoryService } = require('./category-service');
+const { ReviewService, REVIEW_STATUSES, MAX_REVIEW_IMAGES } = require('./review-service');
+const { WishlistService, MAX_WISHLIST_ITEMS } = require('./wishlist-service');
+const { CartService, MAX_CART_LINES, MAX_LINE_QUANTITY } = require('./cart-service');
+const {
+    OrderService,
+    ORDER_STATUSES,
+    STATUS_TRANSITIONS,
+    PAYMENT_METHODS,
+    PAYMENT_STATUSES
+} = require('./order-service');
+const { UserService, USER_STATUSES, LOGIN_RESULTS } = require('./user-service');
+const { SessionService } = require('./session-service');
+const { PasswordResetService } = require('./password-reset-service');
+const { EmailVerificationService } = require('./email-verification-service');
+const { TwoFactorService, requiresTwoFactor } = require('./two-factor-service');
+const { PERMISSIONS, ROLE_PERMISSIONS, USER_ROLES, hasPermission, isStaffRole } = require('./permissions');
+
+// Domain rules shared by backend/server.js and netlify/functions, wired to one database.
+// options.mailer (see shared/mailer) delivers the emails services send; links in them point
+// at options.appUrl, APP_URL or Netlify's URL.
+function createServices(db, options = {}) {
+    const appUrl = (options.appUrl || process.env.APP_URL || process.env.URL || 'http://localhost:3000').replace(/\/+$/, '');
+    const categoryService = new CategoryService(db);
+    const productService = new ProductService(db, categoryService);
+    const sessionService = new SessionService(db, {
+        jwtSecret: options.jwtSecret,
+        accessTokenExpiry: options.accessTokenExpiry
+    });
+
+    const userService = new UserService(db, { saltRounds: options.saltRounds, sessionService });
+
+    return {
+        categoryService,
+        productService,
+        orderService: new OrderService(db, productService),
+        reviewService: new ReviewService(db, productService),
+        wishlistService: new WishlistService(db, productService),
+        cartService: new CartService(db, productService),
+        userService,
+        sessionService,
+        passwordResetService: new PasswordResetService(db, userService, {
+            mailer: options.mailer,
+            appUrl
+        }),
+        emailVerificationService: new EmailVerificationService(db, {
+            mailer: options.mailer,
+            jwtSecret: options.jwtSecret,
+            appUrl
+        }),
+        twoFactorService: new TwoFactorService(db, userService, { jwtSecret: options.jwtSecret })
+    };
+}
+
+module.exports = {
+    createServices,
+    CategoryService,
+    ProductService,
+    OrderService,
+    ReviewService,
+    WishlistService,
+    CartService,
+    UserService,
+    SessionService,
+    PasswordResetService,
+    EmailVerificationService,
+    TwoFactorService,
+    requiresTwoFactor,
+    hasPermission,
+    isStaffRole,
+    ServiceError,
+    ValidationError,
+    MAX_PRODUCT_IMAGES,
+    MAX_REVIEW_IMAGES,
+    REVIEW_STATUSES,
+    MAX_WISHLIST_ITEMS,
+    MAX_CART_LINES,
+    MAX_LINE_QUANTITY,
+    ORDER_STATUSES,
+    STATUS_TRANSITIONS,
+    PAYMENT_METHODS,
+    PAYMENT_STATUSES,
+    USER_ROLES,
+    USER_STATUSES,
+    LOGIN_RESULTS,
+    PERMISSIONS,
+    ROLE_PERMISSIONS
+};
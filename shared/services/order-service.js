@@ -0,0 +1,492 @@
+const { ServiceError, ValidationError } = require('./errors');
+const { sanitizeInput, toInteger, FieldErrors } = require('./validation');
+const { isEmailVerified } = require('./email-verification-service');
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+
+// Allowed next statuses; delivered and cancelled are final
+const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['processing', 'cancelled'],
+    processing: ['shipped', 'cancelled'],
+    shipped: ['delivered', 'cancelled'],
+    delivered: [],
+    cancelled: []
+};
+
+const ORDER_SORT_FIELDS = ['createdAt', 'updatedAt', 'totalAmount', 'status'];
+
+const PAYMENT_METHODS = ['credit_card', 'debit_card', 'bank_transfer', 'e_wallet', 'cash_on_delivery'];
+const PAYMENT_STATUSES = ['pending', 'paid', 'failed', 'refunded'];
+
+// Prices are whole Rupiah
+const SHIPPING_COST = 15000;
+const FREE_SHIPPING_THRESHOLD = 500000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ESTIMATED_DELIVERY_DAYS = 7;
+const SHIPPED_DELIVERY_DAYS = 3;
+
+// Who caused a history entry when the caller doesn't say
+const SYSTEM_ACTOR = { type: 'system' };
+
+// Order placement and the admin status workflow
+class OrderService {
+    constructor(db, productService) {
+        this.db = db;
+        this.productService = productService;
+    }
+
+    async getById(id) {
+        const order = await this.db.orders.findById(id);
+
+        if (!order) {
+            throw new ServiceError(404, 'Order not found', 'ORDER_NOT_FOUND');
+        }
+        return order;
+    }
+
+    listForUser(userId) {
+        return this.db.orders.filter(order => order.userId === userId);
+    }
+
+    /**
+     * A page of orders for the order history page, or every customer's orders with all: true.
+     * staff (orders:read) adds who placed each order and who changed it. query takes status,
+     * limit, offset, sortBy and sortOrder. Resolves to
+     * { orders, pagination, filters, sorting, statistics }; statistics counts every order in view
+     * per status, before the status filter, so the filter can show them.
+     */
+    async list({ userId, staff = false, all = false }, query = {}) {
+        const status = sanitizeInput(String(query.status || '').toLowerCase());
+        const sortBy = sanitizeInput(String(query.sortBy || 'createdAt'));
+        const sortOrder = sanitizeInput(String(query.sortOrder || 'desc').toLowerCase());
+        const limit = Math.max(1, Math.min(100, parseInt(query.limit) || 20));
+        const offset = Math.max(0, parseInt(query.offset) || 0);
+
+        if (!ORDER_SORT_FIELDS.includes(sortBy)) {
+            throw new ServiceError(400, 'Invalid sort field', 'VALIDATION_ERROR');
+        }
+        if (!['asc', 'desc'].includes(sortOrder)) {
+            throw new ServiceError(400, 'Invalid sort order', 'VALIDATION_ERROR');
+        }
+        if (status && !ORDER_STATUSES.includes(status)) {
+            throw new ServiceError(400, 'Invalid status filter', 'VALIDATION_ERROR');
+        }
+
+        let orders = all ? await this.db.orders.findAll() : await this.listForUser(userId);
+        // Users are only needed to decorate the staff view
+        const users = staff ? await this.db.users.findAll() : [];
+
+        const statistics = { total: orders.length };
+        ORDER_STATUSES.forEach(name => {
+            statistics[name] = orders.filter(order => order.status === name).length;
+        });
+
+        if (status) {
+            orders = orders.filter(order => order.status.toLowerCase() === status);
+        }
+
+        const direction = sortOrder === 'desc' ? -1 : 1;
+        orders.sort((a, b) => direction * compareOrders(a, b, sortBy));
+
+        const page = orders.slice(offset, offset + limit).map(order => {
+            const summary = {
+                id: order.id,
+                orderNumber: order.orderNumber,
+                status: order.status,
+                totalAmount: order.totalAmount,
+                createdAt: order.createdAt,
+                updatedAt: order.updatedAt,
+                estimatedDelivery: order.estimatedDelivery,
+                trackingNumber: order.trackingNumber,
+                paymentStatus: order.paymentStatus,
+                itemCount: order.items.length,
+                history: this.getHistory(order, { includeActor: staff }),
+                items: order.items,
+                shippingAddress: order.shippingAddress,
+                paymentMethod: order.paymentMethod,
+                notes: order.notes,
+                subtotal: order.subtotal,
+                shippingCost: order.shippingCost
+            };
+
+            if (staff) {
+                const user = users.find(u => u.id === order.userId);
+                summary.user = user ? {
+                    id: user.id,
+                    username: user.username,
+                    email: user.email,
+                    fullName: user.fullName
+                } : null;
+            }
+            return summary;
+        });
+
+        return {
+            orders: page,
+            pagination: {
+                total: orders.length,
+                limit,
+                offset,
+                hasMore: (offset + limit) < orders.length
+            },
+            filters: {
+                appliedStatus: status,
+                availableStatuses: ORDER_STATUSES
+            },
+            sorting: { sortBy, sortOrder },
+            statistics
+        };
+    }
+
+    // Every order as stored, with the full history (acting admins included) - the admin panel's list
+    async listForStaff() {
+        const orders = await this.db.orders.findAll();
+        return orders.map(order => this.toStaffView(order));
+    }
+
+    // How both backends hand an order to staff: the stored record with its full history
+    toStaffView(order) {
+        return { ...order, history: this.getHistory(order, { includeActor: true }) };
+    }
+
+    /**
+     * The order's append-only history, oldest first. Entries look like
+     * { type: 'status' | 'payment' | 'tracking' | 'stock', from, to, at, actor: { type, id?, name? }, note }.
+     * Orders placed before history was recorded get entries rebuilt from their timestamps.
+     * Customers only see the actor type, not which admin acted.
+     */
+    getHistory(order, { includeActor = false } = {}) {
+        const history = Array.isArray(order.history) ? order.history : legacyHistory(order);
+
+        if (includeActor) {
+            return history;
+        }
+        return history.map(entry => ({ ...entry, actor: { type: entry.actor.type } }));
+    }
+
+    validateShippingAddress(shippingAddress) {
+        if (!shippingAddress || typeof shippingAddress !== 'object') {
+            throw new ServiceError(400, 'Shipping address is required', 'VALIDATION_ERROR');
+        }
+
+        const check = new FieldErrors();
+        const address = {
+            fullName: check.string(shippingAddress, 'fullName', 'Full name', { min: 2, max: 100 }),
+            address: check.string(shippingAddress, 'address', 'Address', { min: 5, max: 200 }),
+            city: check.string(shippingAddress, 'city', 'City', { min: 2, max: 50 }),
+            postalCode: check.string(shippingAddress, 'postalCode', 'Postal code', { min: 3, max: 10 }),
+            phone: check.string(shippingAddress, 'phone', 'Phone', { min: 6, max: 20 })
+        };
+
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+        return address;
+    }
+
+    calculateShipping(subtotal) {
+        return subtotal >= FREE_SHIPPING_THRESHOLD ? 0 : SHIPPING_COST;
+    }
+
+    /**
+     * Build line items from the stored products - the client only chooses products, variants
+     * and quantities. A product with variants has to be ordered as one of them, which brings
+     * its own price and stock. Repeated products (or variants) are merged so the stock check
+     * sees the full quantity.
+     * Resolves to { items, subtotal, shippingCost, totalAmount }.
+     */
+    async priceItems(items) {
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new ServiceError(400, 'Order items are required', 'VALIDATION_ERROR');
+        }
+
+        const lines = new Map();
+        for (const item of items) {
+            const productId = toInteger(item && item.productId);
+            const quantity = toInteger(item && item.quantity);
+            const hasVariant = Boolean(item) && item.variantId !== undefined && item.variantId !== null && item.variantId !== '';
+            const variantId = hasVariant ? toInteger(item.variantId) : null;
+
+            if (productId === null || quantity === null || quantity <= 0 || (hasVariant && variantId === null)) {
+                throw new ServiceError(400, 'Invalid item: productId and positive quantity required', 'INVALID_ITEM');
+            }
+
+            const key = `${productId}:${variantId === null ? '' : variantId}`;
+            const line = lines.get(key) || { productId, variantId, quantity: 0 };
+            line.quantity += quantity;
+            lines.set(key, line);
+        }
+
+        const lineItems = [];
+        let subtotal = 0;
+
+        for (const { productId, variantId, quantity } of lines.values()) {
+            const product = await this.db.products.findById(productId);
+
+            if (!product) {
+                throw new ServiceError(400, `Product with ID ${productId} not found`, 'PRODUCT_NOT_FOUND');
+            }
+
+            if (!this.productService.isAvailable(product)) {
+                throw new ServiceError(400, `Product "${product.name}" is not available`, 'PRODUCT_UNAVAILABLE');
+            }
+
+            const hasVariants = (product.variants || []).length > 0;
+            const variant = variantId === null ? null : this.productService.findVariant(product, variantId);
+
+            if (hasVariants && variantId === null) {
+                throw new ServiceError(400, `Choose a variant of product "${product.name}"`, 'VARIANT_REQUIRED');
+            }
+
+            if (variantId !== null && !variant) {
+                throw new ServiceError(400, `Variant ${variantId} of product "${product.name}" not found`, 'VARIANT_NOT_FOUND');
+            }
+
+            const name = variant ? `${product.name} (${variant.label})` : product.name;
+            const available = (variant || product).stock || 0;
+            if (available < quantity) {
+                throw new ServiceError(
+                    400,
+                    `Insufficient stock for product "${name}". Available: ${available}, Requested: ${quantity}`,
+                    'INSUFFICIENT_STOCK'
+                );
+            }
+
+            const price = variant && variant.price ? variant.price : product.price;
+            const lineTotal = price * quantity;
+            subtotal += lineTotal;
+
+            lineItems.push({
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                sku: variant ? variant.sku : null,
+                productName: product.name,
+                variantLabel: variant ? variant.label : null,
+                productImage: product.image,
+                price,
+                quantity,
+                subtotal: lineTotal
+            });
+        }
+
+        const shippingCost = this.calculateShipping(subtotal);
+        return { items: lineItems, subtotal, shippingCost, totalAmount: subtotal + shippingCost };
+    }
+
+    // Price a cart without placing the order - what the checkout review step shows
+    quote(items) {
+        return this.priceItems(items);
+    }
+
+    /**
+     * Place an order for userId. Prices and stock come from the product records; the stock
+     * check, the stock decrement and the order insert commit together in one transaction.
+     * Customers have to verify their email address first.
+     */
+    async create(userId, { items, shippingAddress, paymentMethod, notes } = {}, actor = { type: 'customer', id: userId }) {
+        const customer = await this.db.users.findById(userId);
+        if (customer && !isEmailVerified(customer)) {
+            throw new ServiceError(403, 'Please verify your email address before placing an order', 'EMAIL_NOT_VERIFIED');
+        }
+
+        const address = this.validateShippingAddress(shippingAddress);
+
+        if (!PAYMENT_METHODS.includes(paymentMethod)) {
+            throw new ServiceError(400, 'Invalid payment method. Allowed: ' + PAYMENT_METHODS.join(', '), 'VALIDATION_ERROR');
+        }
+
+        return this.db.transaction(['products', 'orders'], async () => {
+            const pricing = await this.priceItems(items);
+
+            for (const item of pricing.items) {
+                await this.productService.adjustStock(item.productId, -item.quantity, item.variantId);
+            }
+
+            const now = new Date();
+            return this.db.orders.insert({
+                userId,
+                orderNumber: generateOrderNumber(),
+                items: pricing.items,
+                shippingAddress: address,
+                paymentMethod,
+                notes: notes ? sanitizeInput(String(notes)).slice(0, 500) : '',
+                status: 'pending',
+                subtotal: pricing.subtotal,
+                shippingCost: pricing.shippingCost,
+                totalAmount: pricing.totalAmount,
+                createdAt: now.toISOString(),
+                updatedAt: now.toISOString(),
+                estimatedDelivery: new Date(now.getTime() + ESTIMATED_DELIVERY_DAYS * DAY_MS).toISOString(),
+                trackingNumber: null,
+                paymentStatus: 'pending',
+                history: [historyEntry('status', null, 'pending', now, actor)]
+            });
+        });
+    }
+
+    /**
+     * Admin update of status, payment status, tracking number and notes. Status changes must
+     * follow STATUS_TRANSITIONS; cancelling puts the ordered quantities back in stock.
+     * Every status, payment and tracking change is appended to the order history with the
+     * acting user and the optional note.
+     * Resolves to { order, changes } where changes are human-readable descriptions.
+     */
+    update(id, changes = {}, actor = SYSTEM_ACTOR) {
+        // Read, stock restore and order write happen under one lock so a double cancel can't restore twice
+        return this.db.transaction(['products', 'orders'], () => this.applyUpdate(id, changes, actor));
+    }
+
+    async applyUpdate(id, { status, paymentStatus, trackingNumber, notes, note }, actor) {
+        const existing = await this.getById(id);
+        const updates = {};
+        const changes = [];
+        const events = [];
+        let restoreStock = false;
+
+        if (status !== undefined) {
+            const nextStatus = sanitizeInput(String(status).toLowerCase());
+            const currentStatus = existing.status.toLowerCase();
+
+            if (!ORDER_STATUSES.includes(nextStatus)) {
+                throw new ServiceError(400, 'Invalid status. Allowed: ' + ORDER_STATUSES.join(', '), 'INVALID_STATUS');
+            }
+
+            if (currentStatus !== nextStatus && !(STATUS_TRANSITIONS[currentStatus] || []).includes(nextStatus)) {
+                throw new ServiceError(
+                    400,
+                    `Cannot change status from "${currentStatus}" to "${nextStatus}"`,
+                    'INVALID_STATUS_TRANSITION'
+                );
+            }
+
+            if (currentStatus !== nextStatus) {
+                updates.status = nextStatus;
+                changes.push(`status: ${currentStatus} → ${nextStatus}`);
+                events.push(['status', currentStatus, nextStatus, actor]);
+
+                if (nextStatus === 'cancelled') {
+                    restoreStock = true;
+                    changes.push('stock restored for cancelled items');
+                    events.push(['stock', null, 'restored', SYSTEM_ACTOR]);
+                }
+            }
+        }
+
+        if (trackingNumber !== undefined) {
+            const nextTrackingNumber = sanitizeInput(trackingNumber ? String(trackingNumber) : '') || null;
+
+            if (existing.trackingNumber !== nextTrackingNumber) {
+                updates.trackingNumber = nextTrackingNumber;
+                changes.push(`trackingNumber: ${existing.trackingNumber || 'null'} → ${nextTrackingNumber || 'null'}`);
+                events.push(['tracking', existing.trackingNumber || null, nextTrackingNumber, actor]);
+            }
+        }
+
+        if (paymentStatus !== undefined) {
+            const nextPaymentStatus = sanitizeInput(String(paymentStatus).toLowerCase());
+
+            if (!PAYMENT_STATUSES.includes(nextPaymentStatus)) {
+                throw new ServiceError(400, 'Invalid payment status. Allowed: ' + PAYMENT_STATUSES.join(', '), 'INVALID_PAYMENT_STATUS');
+            }
+
+            if (existing.paymentStatus !== nextPaymentStatus) {
+                updates.paymentStatus = nextPaymentStatus;
+                changes.push(`paymentStatus: ${existing.paymentStatus} → ${nextPaymentStatus}`);
+                events.push(['payment', existing.paymentStatus || null, nextPaymentStatus, actor]);
+            }
+        }
+
+        if (notes !== undefined) {
+            const nextNotes = sanitizeInput(String(notes));
+
+            if ((existing.adminNotes || '') !== nextNotes) {
+                updates.adminNotes = nextNotes;
+                changes.push('adminNotes updated');
+            }
+        }
+
+        if (changes.length === 0) {
+            throw new ServiceError(400, 'No valid changes provided', 'NO_CHANGES');
+        }
+
+        const now = Date.now();
+        updates.updatedAt = new Date(now).toISOString();
+
+        // The note goes on the entries the admin caused, not on automatic ones
+        const historyNote = note ? sanitizeInput(String(note)).slice(0, 500) : '';
+        updates.history = [
+            ...this.getHistory(existing, { includeActor: true }),
+            ...events.map(([type, from, to, by]) =>
+                historyEntry(type, from, to, new Date(now), by, by === actor ? historyNote : ''))
+        ];
+
+        if (updates.status === 'shipped') {
+            updates.estimatedDelivery = new Date(now + SHIPPED_DELIVERY_DAYS * DAY_MS).toISOString();
+        }
+
+        if (restoreStock) {
+            for (const item of existing.items || []) {
+                await this.productService.adjustStock(item.productId, item.quantity, item.variantId);
+            }
+        }
+
+        const order = await this.db.orders.update(existing.id, updates);
+        return { order, changes };
+    }
+}
+
+function historyEntry(type, from, to, date, actor, note = '') {
+    const entry = { type, from, to, at: date.toISOString(), actor: { type: actor.type } };
+
+    if (actor.id !== undefined) entry.actor.id = actor.id;
+    if (actor.name) entry.actor.name = actor.name;
+    if (note) entry.note = note;
+    return entry;
+}
+
+// Best-effort history for orders stored before it was tracked
+function legacyHistory(order) {
+    const createdAt = new Date(order.createdAt || Date.now());
+    const history = [historyEntry('status', null, 'pending', createdAt, SYSTEM_ACTOR)];
+
+    if (order.status && order.status !== 'pending') {
+        const updatedAt = order.updatedAt ? new Date(order.updatedAt) : createdAt;
+        history.push(historyEntry('status', null, order.status, updatedAt, SYSTEM_ACTOR));
+    }
+    return history;
+}
+
+// Amounts compare as numbers, timestamps as dates and the status as text
+function compareOrders(a, b, field) {
+    let aValue = a[field];
+    let bValue = b[field];
+
+    if (field === 'totalAmount') {
+        aValue = parseFloat(aValue);
+        bValue = parseFloat(bValue);
+    } else if (field.endsWith('At')) {
+        aValue = new Date(aValue);
+        bValue = new Date(bValue);
+    } else {
+        aValue = String(aValue).toLowerCase();
+        bValue = String(bValue).toLowerCase();
+    }
+
+    return aValue > bValue ? 1 : aValue < bValue ? -1 : 0;
+}
+
+function generateOrderNumber() {
+    return `ORD-${Date.now()}-${Math.random().toString(36).substr(2, 5).toUpperCase()}`;
+}
+
+module.exports = {
+    OrderService,
+    ORDER_STATUSES,
+    STATUS_TRANSITIONS,
+    PAYMENT_METHODS,
+    PAYMENT_STATUSES,
+    SHIPPING_COST,
+    FREE_SHIPPING_THRESHOLD
+};
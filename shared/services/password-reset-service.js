@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const { ServiceError, ValidationError } = require('./errors');
+const { isValidEmail } = require('./validation');
+
+const MINUTE_MS = 60 * 1000;
+const DEFAULT_TOKEN_TTL_MINUTES = 60;
+
+/**
+ * "Forgot password" links. The emailed token is stored only as a SHA-256 hash, expires after
+ * tokenTtlMinutes and works once; requesting a new link invalidates the previous ones.
+ */
+class PasswordResetService {
+    constructor(db, userService, options = {}) {
+        this.db = db;
+        this.userService = userService;
+        this.mailer = options.mailer;
+        this.appUrl = options.appUrl;
+        this.tokenTtlMinutes = options.tokenTtlMinutes || parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_TOKEN_TTL_MINUTES;
+    }
+
+    /**
+     * Email a reset link to the account behind email. Resolves the same way whether or not the
+     * account exists, so callers can't use it to find out. Deactivated accounts get no link.
+     */
+    async request(email, client = {}) {
+        if (!isValidEmail(email)) {
+            throw new ValidationError([{ field: 'email', message: 'Must be a valid email address' }]);
+        }
+
+        const user = await this.userService.findByEmail(email);
+        if (!user || user.isActive === false) {
+            return;
+        }
+
+        const token = generateToken();
+
+        await this.db.transaction(['passwordResets'], async () => {
+            const now = new Date();
+
+            const previous = await this.db.passwordResets.filter(reset => reset.userId === user.id);
+            for (const reset of previous) {
+                await this.db.passwordResets.remove(reset.id);
+            }
+
+            await this.db.passwordResets.insert({
+                userId: user.id,
+                tokenHash: hashToken(token),
+                createdAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + this.tokenTtlMinutes * MINUTE_MS).toISOString(),
+                usedAt: null,
+                ip: client.ip || null
+            });
+        });
+
+        await this.mailer.send(this.resetEmail(user, token));
+    }
+
+    // Set a new password with an emailed token. Resolves to the updated user.
+    async confirm(token, password) {
+        if (!token || typeof token !== 'string') {
+            throw new ServiceError(400, 'Reset token is required', 'RESET_TOKEN_REQUIRED');
+        }
+
+        const hash = hashToken(token);
+
+        return this.db.transaction(['passwordResets', 'users', 'sessions'], async () => {
+            const reset = await this.db.passwordResets.findOne(record => record.tokenHash === hash);
+
+            if (!reset || reset.usedAt) {
+                throw new ServiceError(400, 'Reset link is invalid or has already been used', 'INVALID_RESET_TOKEN');
+            }
+
+            if (new Date(reset.expiresAt) <= new Date()) {
+                throw new ServiceError(400, 'Reset link has expired', 'RESET_TOKEN_EXPIRED');
+            }
+
+            const user = await this.db.users.findById(reset.userId);
+            if (!user || user.isActive === false) {
+                throw new ServiceError(400, 'Reset link is invalid or has already been used', 'INVALID_RESET_TOKEN');
+            }
+
+            const updated = await this.userService.setPassword(user.id, password);
+            await this.db.passwordResets.update(reset.id, { usedAt: new Date().toISOString() });
+
+            return updated;
+        });
+    }
+
+    resetEmail(user, token) {
+        const link = `${this.appUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+        return {
+            to: user.email,
+            subject: 'Reset password akun AlandStore Anda',
+            text: [
+                `Halo ${user.fullName || user.username},`,
+                '',
+                'Kami menerima permintaan untuk mereset password akun AlandStore Anda.',
+                'Buka tautan berikut untuk membuat password baru:',
+                '',
+                link,
+                '',
+                `Tautan ini berlaku selama ${this.tokenTtlMinutes} menit dan hanya bisa digunakan sekali.`,
+                'Jika Anda tidak meminta reset password, abaikan email ini - password Anda tidak berubah.',
+                '',
+                'Salam,',
+                'AlandStore'
+            ].join('\n')
+        };
+    }
+}
+
+function generateToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+    PasswordResetService
+};
@@ -0,0 +1,58 @@
+// Staff permissions. Routes in both backends check these, never role names, so a role can be
+// reshaped here without touching them.
+const PERMISSIONS = [
+    'products:write', // add, edit and delete products and categories
+    'reviews:moderate', // approve, reject and delete product reviews
+    'orders:read', // see every customer's orders
+    'orders:fulfil', // update order status, payment status, tracking number and notes
+    'users:read', // list accounts and their login history
+    'users:reset-password', // force a password reset, which emails the account a reset link
+    'users:manage' // change roles and deactivate accounts
+];
+
+// Roles bundle permissions. "user" is a customer; every other role is staff.
+const ROLE_PERMISSIONS = {
+    user: [],
+    catalog_manager: ['products:write', 'reviews:moderate'],
+    fulfillment: ['orders:read', 'orders:fulfil'],
+    support: ['orders:read', 'users:read', 'users:reset-password', 'reviews:moderate'],
+    owner: PERMISSIONS
+};
+
+const USER_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Accounts created while there were only "user" and "admin" keep working as owners
+const LEGACY_ROLES = { admin: 'owner' };
+
+function normalizeRole(role) {
+    return LEGACY_ROLES[role] || role;
+}
+
+function permissionsFor(role) {
+    return ROLE_PERMISSIONS[normalizeRole(role)] || [];
+}
+
+function hasPermission(role, permission) {
+    return permissionsFor(role).includes(permission);
+}
+
+function isStaffRole(role) {
+    return permissionsFor(role).length > 0;
+}
+
+// Staff can only hand out, or take away, permissions they hold themselves
+function canManageRole(actorRole, role) {
+    const held = permissionsFor(actorRole);
+    return permissionsFor(role).every(permission => held.includes(permission));
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    USER_ROLES,
+    normalizeRole,
+    permissionsFor,
+    hasPermission,
+    isStaffRole,
+    canManageRole
+};
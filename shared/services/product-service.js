@@ -0,0 +1,683 @@
+const { ServiceError, ValidationError } = require('./errors');
+const { sanitizeInput, toInteger, toBoolean, FieldErrors } = require('./validation');
+const { SearchIndex } = require('./search-index');
+
+const DEFAULT_PRODUCT_IMAGE = '/images/placeholder.jpg';
+
+// relevance only means something with a search term; without one it sorts by name
+const PRODUCT_SORT_FIELDS = ['relevance', 'name', 'price', 'category', 'createdAt', 'rating'];
+const SORT_ORDERS = ['asc', 'desc'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DEFAULT_SUGGESTIONS = 5;
+const MAX_SUGGESTIONS = 10;
+const DEFAULT_RELATED = 4;
+const MAX_RELATED = 12;
+
+// What variants of one product can differ in, in the order their labels list them ("42 / Hitam")
+const VARIANT_OPTIONS = ['size', 'color', 'weight'];
+const MAX_VARIANTS = 50;
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9._-]*$/;
+
+const MAX_PRODUCT_IMAGES = 10;
+
+// Product rules shared by the Express admin routes and the Netlify product functions
+class ProductService {
+    constructor(db, categoryService) {
+        this.db = db;
+        this.categoryService = categoryService;
+        // Kept in step with the catalog on every search, see SearchIndex.sync
+        this.searchIndex = new SearchIndex();
+    }
+
+    list() {
+        return this.db.products.findAll();
+    }
+
+    /**
+     * Catalog listing behind GET /api/products and the Netlify products function. Takes the raw
+     * query string values: category (one slug, id or name, or a comma-separated list - each
+     * includes its subcategories), search, minPrice, maxPrice, inStock, featured, sortBy,
+     * sortOrder, limit and offset. With a search term the results are ranked by relevance
+     * unless another sortBy is given.
+     * Resolves to { products, total, limit, offset, facets, filters, sorting }. facets.categories
+     * counts the matches per category slug, subcategories included, with every filter except
+     * category applied - which is what each category button would show.
+     * Deactivated products are left out unless includeInactive is set, which only the admin
+     * panel's product list asks for.
+     */
+    async search(query = {}, { includeInactive = false } = {}) {
+        const categoryList = await this.categoryService.list();
+        const filters = this.validateSearch(query, categoryList);
+        const all = await this.db.products.findAll();
+        const relevance = filters.search ? this.rank(all, filters.search) : null;
+
+        const matchesExceptCategory = all.filter(product =>
+            (includeInactive || this.isAvailable(product)) &&
+            (!relevance || relevance.has(product.id)) &&
+            (filters.minPrice === null || product.price >= filters.minPrice) &&
+            (filters.maxPrice === null || product.price <= filters.maxPrice) &&
+            (!filters.inStock || (product.stock || 0) > 0) &&
+            (!filters.featured || Boolean(product.featured))
+        );
+
+        const categories = {};
+        categoryList.forEach(category => {
+            const ids = this.categoryService.descendantIds(categoryList, category.id);
+            categories[category.slug] = matchesExceptCategory.filter(product => ids.includes(product.categoryId)).length;
+        });
+
+        const products = filters.categoryIds.length === 0
+            ? matchesExceptCategory
+            : matchesExceptCategory.filter(product => filters.categoryIds.includes(product.categoryId));
+
+        const { sortBy, sortOrder } = filters;
+        const direction = sortOrder === 'desc' ? -1 : 1;
+        if (sortBy === 'relevance' && relevance) {
+            // Best match first; sortOrder doesn't apply
+            products.sort((a, b) => relevance.get(b.id) - relevance.get(a.id) || a.id - b.id);
+        } else {
+            const field = sortBy === 'relevance' ? 'name' : sortBy;
+            products.sort((a, b) => direction * compareField(a, b, field) || a.id - b.id);
+        }
+
+        return {
+            products: products.slice(filters.offset, filters.offset + filters.limit),
+            total: products.length,
+            limit: filters.limit,
+            offset: filters.offset,
+            facets: {
+                categories,
+                total: matchesExceptCategory.length
+            },
+            filters: {
+                categories: filters.categories,
+                search: filters.search,
+                minPrice: filters.minPrice,
+                maxPrice: filters.maxPrice,
+                inStock: filters.inStock,
+                featured: filters.featured
+            },
+            sorting: { sortBy, sortOrder }
+        };
+    }
+
+    // Autocomplete for the search box: the best matching products for what has been typed so far
+    async suggest(query, { limit = DEFAULT_SUGGESTIONS } = {}) {
+        const term = sanitizeInput(String(query || ''));
+        if (!term) return [];
+
+        const all = await this.db.products.findAll();
+        const relevance = this.rank(all, term);
+        const size = Math.max(1, Math.min(MAX_SUGGESTIONS, toInteger(limit) || DEFAULT_SUGGESTIONS));
+
+        return all
+            .filter(product => relevance.has(product.id) && this.isAvailable(product))
+            .sort((a, b) => relevance.get(b.id) - relevance.get(a.id) || a.id - b.id)
+            .slice(0, size)
+            .map(({ id, name, category, price, image }) => ({ id, name, category, price, image }));
+    }
+
+    // productId -> relevance for the products matching term
+    rank(products, term) {
+        this.searchIndex.sync(products);
+        return this.searchIndex.search(term);
+    }
+
+    // Parse search() query values against the category list, throws ValidationError listing every invalid one
+    validateSearch(query, categoryList = []) {
+        const check = new FieldErrors();
+
+        // categories lists the requested slugs, categoryIds everything they cover
+        const categories = [];
+        const categoryIds = [];
+        String(query.category || '').split(',').map(name => name.trim()).filter(Boolean).forEach(name => {
+            const category = this.categoryService.findByReference(categoryList, name);
+            if (!category) {
+                check.add('category', `Unknown category "${name}"`);
+                return;
+            }
+            if (!categories.includes(category.slug)) categories.push(category.slug);
+            this.categoryService.descendantIds(categoryList, category.id).forEach(id => {
+                if (!categoryIds.includes(id)) categoryIds.push(id);
+            });
+        });
+
+        const minPrice = check.integer(query, 'minPrice', 'Minimum price', { min: 0, max: 999999999, required: false });
+        const maxPrice = check.integer(query, 'maxPrice', 'Maximum price', { min: 0, max: 999999999, required: false });
+        if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+            check.add('maxPrice', 'Maximum price must not be lower than minimum price');
+        }
+
+        // Sort fields are matched without regard to case, so sortBy=createdat works too
+        const defaultSort = query.search ? 'relevance' : 'name';
+        const sortBy = PRODUCT_SORT_FIELDS.find(field => field.toLowerCase() === String(query.sortBy || defaultSort).toLowerCase());
+        if (!sortBy) {
+            check.add('sortBy', `Sort field must be one of: ${PRODUCT_SORT_FIELDS.join(', ')}`);
+        }
+        const sortOrder = String(query.sortOrder || 'asc').toLowerCase();
+        if (!SORT_ORDERS.includes(sortOrder)) {
+            check.add('sortOrder', `Sort order must be one of: ${SORT_ORDERS.join(', ')}`);
+        }
+
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+
+        return {
+            categories,
+            categoryIds,
+            search: sanitizeInput(String(query.search || '')).toLowerCase(),
+            minPrice: minPrice === undefined ? null : minPrice,
+            maxPrice: maxPrice === undefined ? null : maxPrice,
+            inStock: toBoolean(query.inStock || false),
+            featured: toBoolean(query.featured || false),
+            sortBy,
+            sortOrder,
+            limit: Math.max(1, Math.min(MAX_PAGE_SIZE, toInteger(query.limit) || DEFAULT_PAGE_SIZE)),
+            offset: Math.max(0, toInteger(query.offset) || 0)
+        };
+    }
+
+    async getById(id) {
+        const product = await this.db.products.findById(id);
+
+        if (!product) {
+            throw new ServiceError(404, 'Product not found', 'PRODUCT_NOT_FOUND');
+        }
+        return product;
+    }
+
+    // A product for its public detail page: deactivated ones are not found unless includeInactive
+    async getVisible(id, { includeInactive = false } = {}) {
+        const product = await this.getById(id);
+
+        if (!includeInactive && !this.isAvailable(product)) {
+            throw new ServiceError(404, 'Product not found', 'PRODUCT_NOT_FOUND');
+        }
+        return product;
+    }
+
+    /**
+     * Products to show next to this one on its detail page: same category first, then the rest
+     * of its top-level category. Within each group in-stock and featured products come first.
+     * Inactive products are left out.
+     */
+    async related(product, { limit = DEFAULT_RELATED } = {}) {
+        const [categoryList, all] = await Promise.all([this.categoryService.list(), this.db.products.findAll()]);
+
+        // Walk up to the top-level category; guards against a broken parent chain
+        let root = categoryList.find(category => category.id === product.categoryId);
+        const visited = new Set();
+        while (root && root.parentId && !visited.has(root.id)) {
+            visited.add(root.id);
+            root = categoryList.find(category => category.id === root.parentId) || root;
+        }
+        const family = root ? this.categoryService.descendantIds(categoryList, root.id) : [product.categoryId];
+
+        const closeness = candidate => (candidate.categoryId === product.categoryId ? 2 : family.includes(candidate.categoryId) ? 1 : 0);
+        const size = Math.max(1, Math.min(MAX_RELATED, toInteger(limit) || DEFAULT_RELATED));
+
+        return all
+            .filter(candidate => candidate.id !== product.id && this.isAvailable(candidate) && closeness(candidate) > 0)
+            .sort((a, b) =>
+                closeness(b) - closeness(a) ||
+                Number((b.stock || 0) > 0) - Number((a.stock || 0) > 0) ||
+                Number(Boolean(b.featured)) - Number(Boolean(a.featured)) ||
+                a.id - b.id
+            )
+            .slice(0, size);
+    }
+
+    // Inactive products stay in the catalog data but can't be ordered
+    isAvailable(product) {
+        return product.isActive !== false;
+    }
+
+    /**
+     * Validate and normalize product fields. With partial=true only the fields present in
+     * the input are checked (updates); otherwise name, description, price and categoryId are required.
+     * Whether the category exists is checked on save (see resolveCategory).
+     * variants replaces the whole list (see validateVariants). A product with variants keeps its
+     * stock per variant, so stock can't be given alongside them.
+     * Resolves to the clean fields, throws ValidationError listing every invalid field.
+     */
+    validate(input, { partial = false } = {}) {
+        const check = new FieldErrors();
+        const required = !partial;
+        const fields = {};
+
+        fields.name = check.string(input, 'name', 'Product name', { min: 2, max: 100, required });
+        fields.description = check.string(input, 'description', 'Description', { min: 10, max: 1000, required });
+        fields.price = check.integer(input, 'price', 'Price', { min: 1, max: 999999999, required });
+        fields.stock = check.integer(input, 'stock', 'Stock', { min: 0, max: 999999, required: false });
+
+        if (input.categoryId !== undefined && input.categoryId !== '') {
+            fields.categoryId = toInteger(input.categoryId);
+            if (fields.categoryId === null || fields.categoryId < 1) {
+                check.add('categoryId', 'Category must be a category id');
+            }
+        } else if (required) {
+            check.add('categoryId', 'Category is required');
+        }
+
+        if (input.image !== undefined) {
+            fields.image = check.string(input, 'image', 'Image', { min: 0, max: 500, required: false });
+        }
+
+        if (input.featured !== undefined) {
+            fields.featured = toBoolean(input.featured);
+        }
+
+        if (input.isActive !== undefined) {
+            fields.isActive = toBoolean(input.isActive);
+        }
+
+        if (input.variants !== undefined) {
+            fields.variants = this.validateVariants(input.variants, check);
+
+            if (fields.variants && fields.variants.length > 0 && fields.stock !== undefined) {
+                check.add('stock', 'Stock is set per variant for products with variants');
+            }
+        }
+
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+
+        Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+        return fields;
+    }
+
+    /**
+     * Each variant is { id?, sku, options: { size?, color?, weight? }, price?, stock }. The admin
+     * form sends the list as a JSON string. price overrides the product price when set; id keeps
+     * an existing variant's identity (carts and orders refer to it) and is checked on save.
+     * Returns the clean list with a display label per variant, recording problems on check.
+     */
+    validateVariants(value, check) {
+        let variants = value;
+        if (typeof variants === 'string') {
+            try {
+                variants = variants.trim() === '' ? [] : JSON.parse(variants);
+            } catch (error) {
+                variants = null;
+            }
+        }
+
+        if (!Array.isArray(variants)) {
+            check.add('variants', 'Variants must be a list');
+            return undefined;
+        }
+        if (variants.length > MAX_VARIANTS) {
+            check.add('variants', `A product can have at most ${MAX_VARIANTS} variants`);
+            return undefined;
+        }
+
+        const skus = new Set();
+        const labels = new Set();
+
+        return variants.map((entry, index) => {
+            const field = `variants[${index}]`;
+            if (!entry || typeof entry !== 'object') {
+                check.add(field, 'Variant must be an object');
+                return null;
+            }
+
+            const variantCheck = new FieldErrors();
+            const sku = variantCheck.string(entry, 'sku', 'SKU', { min: 2, max: 50 });
+            const price = variantCheck.integer(entry, 'price', 'Price', { min: 1, max: 999999999, required: false });
+            const stock = variantCheck.integer(entry, 'stock', 'Stock', { min: 0, max: 999999, required: false });
+
+            const normalizedSku = sku && sku.toUpperCase();
+            if (normalizedSku && !SKU_PATTERN.test(normalizedSku)) {
+                variantCheck.add('sku', 'SKU may only contain letters, digits, dots, dashes and underscores');
+            } else if (normalizedSku && skus.has(normalizedSku)) {
+                variantCheck.add('sku', 'SKU is used by another variant of this product');
+            }
+            skus.add(normalizedSku);
+
+            const options = {};
+            const rawOptions = entry.options && typeof entry.options === 'object' ? entry.options : {};
+            Object.keys(rawOptions).forEach(name => {
+                if (!VARIANT_OPTIONS.includes(name)) {
+                    variantCheck.add(`options.${name}`, `Unknown option. Allowed: ${VARIANT_OPTIONS.join(', ')}`);
+                    return;
+                }
+                const optionValue = variantCheck.string(rawOptions, name, 'Option value', { min: 1, max: 30, required: false });
+                if (optionValue) options[name] = optionValue;
+            });
+
+            const label = variantLabel({ options });
+            if (!label) {
+                variantCheck.add('options', `Set at least one of: ${VARIANT_OPTIONS.join(', ')}`);
+            } else if (labels.has(label.toLowerCase())) {
+                variantCheck.add('options', 'Another variant of this product has the same options');
+            }
+            labels.add(label.toLowerCase());
+
+            variantCheck.errors.forEach(error => check.add(`${field}.${error.field}`, error.message));
+
+            return {
+                id: toInteger(entry.id),
+                sku: normalizedSku,
+                options,
+                label,
+                price: price === undefined ? null : price,
+                stock: stock || 0
+            };
+        });
+    }
+
+    // Keep the ids of variants the product already has, number new ones after the highest id used
+    assignVariantIds(variants, existing = []) {
+        const knownIds = new Set(existing.map(variant => variant.id));
+        let nextId = existing.reduce((max, variant) => Math.max(max, variant.id), 0) + 1;
+
+        return variants.map(variant => ({
+            ...variant,
+            id: knownIds.has(variant.id) ? variant.id : nextId++
+        }));
+    }
+
+    // SKUs identify a variant across the whole catalog
+    async assertUniqueSkus(variants, exceptId = null) {
+        const skus = variants.map(variant => variant.sku);
+        const duplicate = await this.db.products.findOne(
+            product => product.id !== exceptId && (product.variants || []).some(variant => skus.includes(variant.sku))
+        );
+
+        if (duplicate) {
+            throw new ServiceError(409, `SKU already used by product "${duplicate.name}"`, 'SKU_EXISTS');
+        }
+    }
+
+    // Products keep the category's id and a copy of its name, see CategoryService
+    async resolveCategory(categoryId) {
+        const category = await this.db.categories.findById(categoryId);
+
+        if (!category) {
+            throw new ValidationError([{ field: 'categoryId', message: 'Category not found' }]);
+        }
+        return { categoryId: category.id, category: category.name };
+    }
+
+    async assertUniqueName(name, exceptId = null) {
+        const duplicate = await this.db.products.findOne(
+            product => product.id !== exceptId && product.name.toLowerCase() === name.toLowerCase()
+        );
+
+        if (duplicate) {
+            throw new ServiceError(409, 'Product with this name already exists', 'PRODUCT_EXISTS');
+        }
+    }
+
+    // images are uploads already rendered by the image processor (see shared/images), in display order
+    async create(input, { createdBy = null, images = [] } = {}) {
+        const fields = this.validate(input);
+        await this.assertUniqueName(fields.name);
+
+        const categoryFields = await this.resolveCategory(fields.categoryId);
+        const variants = this.assignVariantIds(fields.variants || []);
+        await this.assertUniqueSkus(variants);
+        const productImages = this.appendImages([], images);
+
+        const now = new Date().toISOString();
+        return this.db.products.insert({
+            name: fields.name,
+            description: fields.description,
+            price: fields.price,
+            ...categoryFields,
+            image: primaryImageUrl(productImages) || fields.image || DEFAULT_PRODUCT_IMAGE,
+            images: productImages,
+            stock: variants.length > 0 ? totalStock(variants) : fields.stock || 0,
+            variants,
+            featured: fields.featured || false,
+            isActive: fields.isActive !== undefined ? fields.isActive : true,
+            rating: 0,
+            reviewCount: 0,
+            createdBy,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    /**
+     * images are new uploads from the image processor, added after the existing ones.
+     * Resolves to { product, changes } where changes lists the updated field names.
+     * Runs as a products transaction, so an order can't decrement variant stock between
+     * the read of the current variants and the write of the new ones.
+     */
+    update(id, input, { images = [] } = {}) {
+        return this.db.transaction(['products'], async () => {
+            const existing = await this.getById(id);
+            const fields = this.validate(input, { partial: true });
+
+            // An empty image field keeps the current picture
+            if (fields.image === '') {
+                delete fields.image;
+            }
+
+            if (images.length > 0) {
+                fields.images = this.appendImages(existing.images || [], images);
+                fields.image = primaryImageUrl(fields.images);
+            }
+
+            const changes = Object.keys(fields);
+            if (changes.length === 0) {
+                throw new ServiceError(400, 'No valid fields provided for update', 'NO_CHANGES');
+            }
+
+            if (fields.name) {
+                await this.assertUniqueName(fields.name, existing.id);
+            }
+
+            if (fields.categoryId) {
+                Object.assign(fields, await this.resolveCategory(fields.categoryId));
+            }
+
+            if (fields.variants) {
+                fields.variants = this.assignVariantIds(fields.variants, existing.variants);
+                await this.assertUniqueSkus(fields.variants, existing.id);
+                if (fields.variants.length > 0) {
+                    fields.stock = totalStock(fields.variants);
+                }
+            } else if (fields.stock !== undefined && (existing.variants || []).length > 0) {
+                throw new ValidationError([{ field: 'stock', message: 'Stock is set per variant for products with variants' }]);
+            }
+
+            const product = await this.db.products.update(existing.id, {
+                ...fields,
+                updatedAt: new Date().toISOString()
+            });
+
+            return { product, changes };
+        });
+    }
+
+    // New uploads go after the existing images with fresh ids. Throws ValidationError past MAX_PRODUCT_IMAGES.
+    appendImages(existing, uploads) {
+        if (existing.length + uploads.length > MAX_PRODUCT_IMAGES) {
+            throw new ValidationError([{ field: 'images', message: `A product can have at most ${MAX_PRODUCT_IMAGES} images` }]);
+        }
+
+        let nextId = existing.reduce((max, image) => Math.max(max, image.id), 0);
+        return withPrimary([
+            ...existing,
+            ...uploads.map(upload => ({
+                id: ++nextId,
+                primary: false,
+                width: upload.width,
+                height: upload.height,
+                renditions: upload.renditions
+            }))
+        ]);
+    }
+
+    /**
+     * Reorder the images of a product and/or pick its primary image. input is { order, primaryId }:
+     * order lists every image id once in the new order, primaryId is one of them. The primary
+     * image is the one the product's image field - and so carts and orders - show.
+     * Resolves to { product, changes }.
+     */
+    arrangeImages(id, input = {}) {
+        return this.db.transaction(['products'], async () => {
+            const existing = await this.getById(id);
+            const images = existing.images || [];
+            const ids = images.map(image => image.id);
+            const check = new FieldErrors();
+            const changes = [];
+            let arranged = images;
+
+            if (input.order !== undefined) {
+                const order = Array.isArray(input.order) ? input.order.map(toInteger) : null;
+                if (!order || order.length !== ids.length || !ids.every(imageId => order.includes(imageId))) {
+                    check.add('order', 'Order must list every image of the product exactly once');
+                } else {
+                    arranged = order.map(imageId => images.find(image => image.id === imageId));
+                    changes.push('order');
+                }
+            }
+
+            if (input.primaryId !== undefined) {
+                const primaryId = toInteger(input.primaryId);
+                if (!ids.includes(primaryId)) {
+                    check.add('primaryId', 'Primary image must be one of the product images');
+                } else {
+                    arranged = arranged.map(image => ({ ...image, primary: image.id === primaryId }));
+                    changes.push('primaryId');
+                }
+            }
+
+            if (!check.isEmpty) {
+                throw new ValidationError(check.errors);
+            }
+            if (changes.length === 0) {
+                throw new ServiceError(400, 'No valid fields provided for update', 'NO_CHANGES');
+            }
+
+            const product = await this.db.products.update(existing.id, {
+                images: arranged,
+                image: primaryImageUrl(arranged),
+                updatedAt: new Date().toISOString()
+            });
+            return { product, changes };
+        });
+    }
+
+    // Resolves to { product, image } with the removed image, whose files are the caller's to delete
+    removeImage(id, imageId) {
+        return this.db.transaction(['products'], async () => {
+            const existing = await this.getById(id);
+            const images = existing.images || [];
+            const image = images.find(candidate => candidate.id === toInteger(imageId));
+
+            if (!image) {
+                throw new ServiceError(404, 'Image not found', 'IMAGE_NOT_FOUND');
+            }
+
+            const remaining = withPrimary(images.filter(candidate => candidate !== image));
+            const product = await this.db.products.update(existing.id, {
+                images: remaining,
+                image: primaryImageUrl(remaining) || DEFAULT_PRODUCT_IMAGE,
+                updatedAt: new Date().toISOString()
+            });
+            return { product, image };
+        });
+    }
+
+    // Resolves to the deleted product
+    async remove(id) {
+        const existing = await this.getById(id);
+        await this.db.products.remove(existing.id);
+        return existing;
+    }
+
+    findVariant(product, variantId) {
+        return (product.variants || []).find(variant => variant.id === variantId) || null;
+    }
+
+    /**
+     * Add (positive) or take (negative) stock. For a product with variants the variant's stock
+     * changes and the product stock follows as their total; when the variant has been deleted
+     * since, there is nothing left to adjust. Resolves to the updated product, or null when it
+     * no longer exists.
+     */
+    async adjustStock(productId, delta, variantId = null) {
+        const product = await this.db.products.findById(productId);
+
+        if (!product) {
+            return null;
+        }
+
+        const variants = product.variants || [];
+        if (variants.length === 0) {
+            return this.db.products.update(product.id, {
+                stock: Math.max(0, (product.stock || 0) + delta),
+                updatedAt: new Date().toISOString()
+            });
+        }
+
+        if (!this.findVariant(product, variantId)) {
+            return product;
+        }
+
+        const updated = variants.map(variant => variant.id === variantId
+            ? { ...variant, stock: Math.max(0, (variant.stock || 0) + delta) }
+            : variant);
+
+        return this.db.products.update(product.id, {
+            variants: updated,
+            stock: totalStock(updated),
+            updatedAt: new Date().toISOString()
+        });
+    }
+}
+
+// The first image takes over as primary when none is
+function withPrimary(images) {
+    if (images.length === 0 || images.some(image => image.primary)) {
+        return images;
+    }
+    return images.map((image, index) => ({ ...image, primary: index === 0 }));
+}
+
+// The product's image field: the card-size fallback rendition of the primary image
+function primaryImageUrl(images) {
+    const primary = (images || []).find(image => image.primary);
+    return primary ? primary.renditions.card.fallback : null;
+}
+
+function totalStock(variants) {
+    return variants.reduce((total, variant) => total + (variant.stock || 0), 0);
+}
+
+// "42 / Hitam" - the option values in VARIANT_OPTIONS order
+function variantLabel(variant) {
+    return VARIANT_OPTIONS
+        .filter(name => variant.options && variant.options[name])
+        .map(name => variant.options[name])
+        .join(' / ');
+}
+
+function compareField(a, b, field) {
+    if (field === 'price') {
+        return a.price - b.price;
+    }
+    if (field === 'createdAt') {
+        return new Date(a.createdAt) - new Date(b.createdAt);
+    }
+    // Equal ratings: the one more reviews back up counts as higher
+    if (field === 'rating') {
+        return (a.rating || 0) - (b.rating || 0) || (a.reviewCount || 0) - (b.reviewCount || 0);
+    }
+    return String(a[field]).toLowerCase().localeCompare(String(b[field]).toLowerCase());
+}
+
+module.exports = {
+    ProductService,
+    PRODUCT_SORT_FIELDS,
+    VARIANT_OPTIONS,
+    MAX_PRODUCT_IMAGES,
+    DEFAULT_PRODUCT_IMAGE
+};
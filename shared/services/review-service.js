@@ -0,0 +1,299 @@
+const { ServiceError, ValidationError } = require('./errors');
+const { toInteger, FieldErrors } = require('./validation');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+// What moderation can set a review to; pending is where every new review starts
+const MODERATION_STATUSES = ['approved', 'rejected'];
+const MAX_REVIEW_IMAGES = 5;
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+/**
+ * Product reviews. A customer can review a product once an order of theirs containing it has
+ * been delivered, one review per product. New reviews wait for moderation; only approved ones
+ * are shown and count towards the product's rating (average stars, one decimal) and
+ * reviewCount. Those two are kept on the product record so the catalog can show and sort by
+ * them without reading any reviews.
+ */
+class ReviewService {
+    constructor(db, productService) {
+        this.db = db;
+        this.productService = productService;
+    }
+
+    async getById(id) {
+        const review = await this.db.reviews.findById(id);
+
+        if (!review) {
+            throw new ServiceError(404, 'Review not found', 'REVIEW_NOT_FOUND');
+        }
+        return review;
+    }
+
+    /**
+     * Approved reviews of a product, newest first. Resolves to { reviews, total, summary } where
+     * summary is { rating, reviewCount, distribution } and distribution counts the reviews per
+     * star value, 5 down to 1.
+     */
+    async listForProduct(productId, { limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+        const product = await this.productService.getById(productId);
+        const reviews = await this.db.reviews.filter(review => review.productId === product.id && review.status === 'approved');
+        const { pageSize, start } = paging(limit, offset);
+
+        const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+        reviews.forEach(review => {
+            distribution[review.rating] += 1;
+        });
+
+        reviews.sort(newestFirst);
+
+        return {
+            reviews: reviews.slice(start, start + pageSize).map(review => this.toPublic(review)),
+            total: reviews.length,
+            summary: {
+                rating: product.rating || 0,
+                reviewCount: product.reviewCount || 0,
+                distribution
+            }
+        };
+    }
+
+    /**
+     * Whether userId may review the product - what the detail page needs to decide on the review
+     * form. Resolves to { canReview, reason, review } where reason is null, 'REVIEWED' or
+     * 'NOT_DELIVERED' and review is the customer's own review in any status.
+     */
+    async eligibility(userId, productId) {
+        const product = await this.productService.getById(productId);
+        const review = await this.findByAuthor(userId, product.id);
+
+        if (review) {
+            return { canReview: false, reason: 'REVIEWED', review: this.toOwn(review) };
+        }
+
+        const order = await this.deliveredOrder(userId, product.id);
+        return { canReview: Boolean(order), reason: order ? null : 'NOT_DELIVERED', review: null };
+    }
+
+    findByAuthor(userId, productId) {
+        return this.db.reviews.findOne(review => review.userId === userId && review.productId === productId);
+    }
+
+    // The customer's most recently delivered order containing the product, or null
+    async deliveredOrder(userId, productId) {
+        const orders = await this.db.orders.filter(order =>
+            order.userId === userId &&
+            order.status === 'delivered' &&
+            (order.items || []).some(item => item.productId === productId)
+        );
+
+        return orders.sort((a, b) => new Date(b.updatedAt || b.createdAt) - new Date(a.updatedAt || a.createdAt))[0] || null;
+    }
+
+    /**
+     * Validate a new review: productId, rating (1-5) and text. Returns the clean fields, throws
+     * ValidationError listing every invalid field.
+     */
+    validate(input) {
+        const check = new FieldErrors();
+
+        const productId = check.integer(input, 'productId', 'Product', { min: 1, max: Number.MAX_SAFE_INTEGER });
+        const rating = check.integer(input, 'rating', 'Rating', { min: 1, max: 5 });
+        const text = check.string(input, 'text', 'Review', { min: 10, max: 2000 });
+
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+
+        return { productId, rating, text };
+    }
+
+    /**
+     * Save a review by userId. It waits in the moderation queue until staff approve it.
+     * images are photos already rendered by the image processor (see shared/images).
+     */
+    async create(userId, input, { images = [] } = {}) {
+        const fields = this.validate(input);
+
+        if (images.length > MAX_REVIEW_IMAGES) {
+            throw new ValidationError([{ field: 'images', message: `A review can have at most ${MAX_REVIEW_IMAGES} photos` }]);
+        }
+
+        return this.db.transaction(['reviews'], async () => {
+            const product = await this.productService.getById(fields.productId);
+
+            if (await this.findByAuthor(userId, product.id)) {
+                throw new ServiceError(409, 'You have already reviewed this product', 'REVIEW_EXISTS');
+            }
+
+            const order = await this.deliveredOrder(userId, product.id);
+            if (!order) {
+                throw new ServiceError(403, 'Only customers whose order of this product was delivered can review it', 'REVIEW_NOT_ALLOWED');
+            }
+
+            const user = await this.db.users.findById(userId);
+            const now = new Date().toISOString();
+
+            return this.db.reviews.insert({
+                productId: product.id,
+                userId,
+                orderId: order.id,
+                authorName: displayName(user),
+                rating: fields.rating,
+                text: fields.text,
+                images: images.map((image, index) => ({ id: index + 1, ...image })),
+                status: 'pending',
+                moderationNote: null,
+                moderatedBy: null,
+                moderatedAt: null,
+                createdAt: now,
+                updatedAt: now
+            });
+        });
+    }
+
+    /**
+     * The moderation queue: reviews with the given status ('' for all), oldest first so the
+     * longest waiting review is at the top, each with the name of its product.
+     * Resolves to { reviews, total }.
+     */
+    async listForModeration({ status = 'pending', productId, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+        if (status && !REVIEW_STATUSES.includes(status)) {
+            throw new ValidationError([{ field: 'status', message: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` }]);
+        }
+
+        const product = toInteger(productId);
+        const { pageSize, start } = paging(limit, offset);
+
+        const [reviews, products] = await Promise.all([
+            this.db.reviews.filter(review =>
+                (!status || review.status === status) &&
+                (!product || review.productId === product)
+            ),
+            this.db.products.findAll()
+        ]);
+
+        reviews.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt) || a.id - b.id);
+
+        const names = new Map(products.map(item => [item.id, item.name]));
+        return {
+            reviews: reviews.slice(start, start + pageSize).map(review => ({
+                ...review,
+                productName: names.get(review.productId) || null
+            })),
+            total: reviews.length
+        };
+    }
+
+    /**
+     * Approve or reject a review: { status, note }. The note is for staff only. The product's
+     * rating is recalculated. Resolves to { review, product }; product is null when it has
+     * been deleted since.
+     */
+    moderate(id, { status, note } = {}, actor = {}) {
+        const check = new FieldErrors();
+
+        if (!MODERATION_STATUSES.includes(status)) {
+            check.add('status', `Status must be one of: ${MODERATION_STATUSES.join(', ')}`);
+        }
+        const moderationNote = check.string({ note }, 'note', 'Note', { min: 0, max: 500, required: false });
+
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+
+        return this.db.transaction(['reviews', 'products'], async () => {
+            const existing = await this.getById(id);
+
+            if (existing.status === status && moderationNote === undefined) {
+                throw new ServiceError(400, `Review is already ${status}`, 'NO_CHANGES');
+            }
+
+            const now = new Date().toISOString();
+            const review = await this.db.reviews.update(existing.id, {
+                status,
+                moderationNote: moderationNote === undefined ? existing.moderationNote : moderationNote,
+                moderatedBy: actor.id || null,
+                moderatedAt: now,
+                updatedAt: now
+            });
+
+            const product = await this.refreshRating(review.productId);
+            return { review, product };
+        });
+    }
+
+    // Delete a review and recalculate its product's rating. Resolves to the deleted review, so its photos can go too.
+    remove(id) {
+        return this.db.transaction(['reviews', 'products'], async () => {
+            const existing = await this.getById(id);
+
+            await this.db.reviews.remove(existing.id);
+            await this.refreshRating(existing.productId);
+            return existing;
+        });
+    }
+
+    // Delete every review of a deleted product. Resolves to the deleted reviews.
+    removeForProduct(productId) {
+        return this.db.transaction(['reviews'], async () => {
+            const reviews = await this.db.reviews.filter(review => review.productId === parseInt(productId));
+
+            for (const review of reviews) {
+                await this.db.reviews.remove(review.id);
+            }
+            return reviews;
+        });
+    }
+
+    // Store the product's rating and reviewCount from its approved reviews. Resolves to the product, or null when it no longer exists.
+    async refreshRating(productId) {
+        const approved = await this.db.reviews.filter(review => review.productId === productId && review.status === 'approved');
+        const total = approved.reduce((sum, review) => sum + review.rating, 0);
+
+        return this.db.products.update(productId, {
+            rating: approved.length > 0 ? Math.round((total / approved.length) * 10) / 10 : 0,
+            reviewCount: approved.length
+        });
+    }
+
+    // What everybody may see: no account, order or moderation details
+    toPublic(review) {
+        const { id, productId, authorName, rating, text, images, createdAt } = review;
+        return { id, productId, authorName, rating, text, images: images || [], createdAt };
+    }
+
+    // The author also sees where their review stands
+    toOwn(review) {
+        return {
+            ...this.toPublic(review),
+            status: review.status,
+            updatedAt: review.updatedAt
+        };
+    }
+}
+
+function paging(limit, offset) {
+    return {
+        pageSize: Math.max(1, Math.min(MAX_PAGE_SIZE, toInteger(limit) || DEFAULT_PAGE_SIZE)),
+        start: Math.max(0, toInteger(offset) || 0)
+    };
+}
+
+function newestFirst(a, b) {
+    return new Date(b.createdAt) - new Date(a.createdAt) || b.id - a.id;
+}
+
+// Reviews are signed with the first name and last initial: "Budi Santoso" -> "Budi S."
+function displayName(user) {
+    const parts = String((user && (user.fullName || user.username)) || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length === 0) return 'Customer';
+    if (parts.length === 1) return parts[0];
+    return `${parts[0]} ${parts[parts.length - 1].charAt(0).toUpperCase()}.`;
+}
+
+module.exports = {
+    ReviewService,
+    REVIEW_STATUSES,
+    MAX_REVIEW_IMAGES
+};
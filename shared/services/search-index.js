@@ -0,0 +1,209 @@
+// In-process full-text index over the catalog, used by ProductService.search and suggest.
+// Text is split into words, lowercased, stripped of accents and reduced to a rough stem so
+// "sepatunya" finds "sepatu" and "shoes" finds "shoe". Query words also match indexed words
+// they're a prefix of (the last word only - it's usually still being typed) and words within
+// a small edit distance, so typos like "sepatuu" or "kemja" still find something.
+
+// Field weights: a hit in the name counts more than one in the description
+const FIELD_WEIGHTS = { name: 3, category: 2, description: 1 };
+
+// Match kinds, scaled down the looser they are
+const EXACT_MATCH = 1;
+const PREFIX_MATCH = 0.7;
+const FUZZY_MATCH = 0.5;
+
+// Stems shorter than this are left alone - stripping "an" from "ban" helps nobody
+const MIN_STEM_LENGTH = 4;
+
+// Indonesian particles and possessives come off first, then derivational and English suffixes
+const PARTICLE_SUFFIXES = ['lah', 'kah', 'tah', 'pun'];
+const POSSESSIVE_SUFFIXES = ['nya', 'ku', 'mu'];
+const WORD_SUFFIXES = ['kan', 'an', 'ing', 'ed', 'es', 's'];
+
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+function stripSuffix(word, suffixes) {
+    const suffix = suffixes.find(ending => word.endsWith(ending) && word.length - ending.length >= MIN_STEM_LENGTH);
+    return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+function stem(word) {
+    if (/\d/.test(word)) return word;
+
+    let result = stripSuffix(word, PARTICLE_SUFFIXES);
+    result = stripSuffix(result, POSSESSIVE_SUFFIXES);
+    result = stripSuffix(result, WORD_SUFFIXES);
+
+    // "running" -> "runn" -> "run"
+    if (result !== word && /([^aeiou])\1$/.test(result)) {
+        result = result.slice(0, -1);
+    }
+    return result;
+}
+
+// Optimal string alignment distance (Levenshtein plus swapped neighbours), giving up past max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previous2 = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+            if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previous2[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > max) return max + 1;
+        previous2 = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+// Typos allowed for a query word of this length
+function maxTypos(word) {
+    if (word.length < 4) return 0;
+    return word.length < 8 ? 1 : 2;
+}
+
+class SearchIndex {
+    constructor() {
+        // term -> Map(productId -> weighted term frequency)
+        this.postings = new Map();
+        // productId -> { version, terms }
+        this.documents = new Map();
+    }
+
+    /**
+     * Bring the index in line with the given products: new and changed ones (by updatedAt)
+     * are indexed again, removed ones dropped. Cheap when nothing changed, so callers just
+     * pass the current catalog before every search.
+     */
+    sync(products) {
+        const seen = new Set();
+
+        products.forEach(product => {
+            seen.add(product.id);
+            const version = product.updatedAt || product.createdAt || '';
+            const existing = this.documents.get(product.id);
+
+            if (!existing || existing.version !== version) {
+                this.remove(product.id);
+                this.add(product, version);
+            }
+        });
+
+        [...this.documents.keys()].forEach(id => {
+            if (!seen.has(id)) this.remove(id);
+        });
+    }
+
+    add(product, version) {
+        const weights = new Map();
+
+        Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+            tokenize(product[field]).map(stem).forEach(term => {
+                weights.set(term, (weights.get(term) || 0) + weight);
+            });
+        });
+
+        weights.forEach((weight, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(product.id, weight);
+        });
+
+        this.documents.set(product.id, { version, terms: [...weights.keys()] });
+    }
+
+    remove(id) {
+        const document = this.documents.get(id);
+        if (!document) return;
+
+        document.terms.forEach(term => {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) this.postings.delete(term);
+        });
+        this.documents.delete(id);
+    }
+
+    /**
+     * Score every product matching all words of the query. Returns a Map of
+     * productId -> relevance, higher is better; empty when nothing matches.
+     */
+    search(query) {
+        const words = tokenize(query);
+        if (words.length === 0) return new Map();
+
+        let scores = null;
+
+        words.forEach((word, index) => {
+            const isLast = index === words.length - 1;
+            const wordScores = this.scoreWord(word, isLast);
+
+            if (scores === null) {
+                scores = wordScores;
+                return;
+            }
+
+            const combined = new Map();
+            scores.forEach((score, id) => {
+                if (wordScores.has(id)) combined.set(id, score + wordScores.get(id));
+            });
+            scores = combined;
+        });
+
+        return scores;
+    }
+
+    // productId -> score for one query word, taking the best way each indexed term matches it
+    scoreWord(word, allowPrefix) {
+        const stemmed = stem(word);
+        const typos = maxTypos(stemmed);
+        const scores = new Map();
+
+        this.postings.forEach((posting, term) => {
+            let match = 0;
+            if (term === stemmed) {
+                match = EXACT_MATCH;
+            } else if (allowPrefix && (term.startsWith(word) || term.startsWith(stemmed))) {
+                match = PREFIX_MATCH;
+            } else if (typos > 0 && editDistance(stemmed, term, typos) <= typos) {
+                match = FUZZY_MATCH;
+            }
+            if (match === 0) return;
+
+            // Rare terms say more about a product than ones every product has
+            const rarity = Math.log(1 + this.documents.size / posting.size);
+            posting.forEach((weight, id) => {
+                const score = match * weight * rarity;
+                if (score > (scores.get(id) || 0)) scores.set(id, score);
+            });
+        });
+
+        return scores;
+    }
+}
+
+module.exports = {
+    SearchIndex,
+    tokenize,
+    stem
+};
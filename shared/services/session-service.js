@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ServiceError } = require('./errors');
+const { isEmailVerified } = require('./email-verification-service');
+const { normalizeRole, permissionsFor } = require('./permissions');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ACCESS_TOKEN_EXPIRY = '15m';
+const DEFAULT_REFRESH_TOKEN_DAYS = 7;
+
+// How many rotated-out refresh tokens a session remembers, to recognise a replayed one
+const ROTATED_TOKEN_HISTORY = 20;
+// A second browser tab may send the token that was rotated out moments ago; that isn't a replay
+const ROTATION_GRACE_MS = 30 * 1000;
+
+/**
+ * Login sessions. Each login gets a session record holding a SHA-256 hash of its refresh
+ * token; access tokens are short-lived JWTs that name their session in `sid` and carry its
+ * random `skey`, so revoking the session also rejects access tokens that haven't expired yet.
+ * Record ids can be handed out again once a session is purged - the key is what ties a
+ * token to one particular session. Refresh tokens rotate on
+ * every use. Presenting one that was already rotated out revokes the session, because a
+ * copy of it is in someone else's hands - except for the token replaced in the last
+ * ROTATION_GRACE_MS, which is only refused (REFRESH_TOKEN_ROTATED) so racing tabs can catch up.
+ */
+class SessionService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET || 'fallback_secret_change_in_production';
+        this.accessTokenExpiry = options.accessTokenExpiry || process.env.JWT_EXPIRE || DEFAULT_ACCESS_TOKEN_EXPIRY;
+        this.refreshTokenDays = options.refreshTokenDays || parseInt(process.env.REFRESH_TOKEN_DAYS) || DEFAULT_REFRESH_TOKEN_DAYS;
+    }
+
+    /**
+     * Open a session for a user who just authenticated. client is { ip, userAgent }.
+     * Resolves to { accessToken, refreshToken, refreshTokenExpiresAt }.
+     */
+    issue(user, client = {}) {
+        return this.db.transaction(['sessions'], async () => {
+            const now = new Date();
+            const refreshToken = generateRefreshToken();
+
+            await this.purgeStale(now);
+
+            const session = await this.db.sessions.insert({
+                userId: user.id,
+                accessKey: generateSessionKey(),
+                refreshTokenHash: hashToken(refreshToken),
+                rotatedTokenHashes: [],
+                createdAt: now.toISOString(),
+                lastUsedAt: now.toISOString(),
+                expiresAt: this.refreshExpiry(now),
+                revokedAt: null,
+                revokedReason: null,
+                ip: client.ip || null,
+                userAgent: client.userAgent || null
+            });
+
+            return this.tokensFor(user, session, refreshToken);
+        });
+    }
+
+    // Swap a refresh token for a new access token and a new refresh token
+    async refresh(refreshToken, client = {}) {
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            throw new ServiceError(400, 'Refresh token is required', 'REFRESH_TOKEN_REQUIRED');
+        }
+
+        const hash = hashToken(refreshToken);
+
+        // Rejections are returned rather than thrown so a revocation made on the way still commits
+        const outcome = await this.db.transaction(['sessions'], async () => {
+            const now = new Date();
+            const session = await this.db.sessions.findOne(record => record.refreshTokenHash === hash);
+
+            if (!session) {
+                const replayed = await this.db.sessions.findOne(record =>
+                    (record.rotatedTokenHashes || []).includes(hash)
+                );
+
+                const justRotated = replayed && replayed.rotatedTokenHashes[0] === hash &&
+                    now - new Date(replayed.lastUsedAt) < ROTATION_GRACE_MS;
+                if (justRotated) {
+                    return { error: new ServiceError(401, 'Refresh token was just rotated', 'REFRESH_TOKEN_ROTATED') };
+                }
+
+                if (replayed && !replayed.revokedAt) {
+                    await this.revokeSession(replayed.id, 'refresh_token_reuse');
+                    return { error: new ServiceError(401, 'Refresh token has already been used', 'REFRESH_TOKEN_REUSED') };
+                }
+                return { error: new ServiceError(401, 'Invalid refresh token', 'INVALID_REFRESH_TOKEN') };
+            }
+
+            if (session.revokedAt) {
+                return { error: new ServiceError(401, 'Session has been revoked', 'SESSION_REVOKED') };
+            }
+
+            if (new Date(session.expiresAt) <= now) {
+                return { error: new ServiceError(401, 'Refresh token has expired', 'REFRESH_TOKEN_EXPIRED') };
+            }
+
+            const user = await this.db.users.findById(session.userId);
+            if (!user || user.isActive === false || user.passwordResetRequired) {
+                await this.revokeSession(session.id, 'account_unavailable');
+                return { error: new ServiceError(401, 'Session has been revoked', 'SESSION_REVOKED') };
+            }
+
+            await this.purgeStale(now);
+
+            const nextToken = generateRefreshToken();
+            const updated = await this.db.sessions.update(session.id, {
+                accessKey: session.accessKey || generateSessionKey(),
+                refreshTokenHash: hashToken(nextToken),
+                rotatedTokenHashes: [hash, ...(session.rotatedTokenHashes || [])].slice(0, ROTATED_TOKEN_HISTORY),
+                lastUsedAt: now.toISOString(),
+                expiresAt: this.refreshExpiry(now),
+                ip: client.ip || session.ip,
+                userAgent: client.userAgent || session.userAgent
+            });
+
+            return { tokens: this.tokensFor(user, updated, nextToken) };
+        });
+
+        if (outcome.error) {
+            throw outcome.error;
+        }
+        return outcome.tokens;
+    }
+
+    // Logout. Unknown or already revoked tokens are ignored so logout never fails.
+    revoke(refreshToken) {
+        if (!refreshToken || typeof refreshToken !== 'string') {
+            return Promise.resolve(null);
+        }
+
+        const hash = hashToken(refreshToken);
+        return this.db.transaction(['sessions'], async () => {
+            const session = await this.db.sessions.findOne(record => record.refreshTokenHash === hash);
+            if (!session || session.revokedAt) return null;
+
+            return this.revokeSession(session.id, 'logout');
+        });
+    }
+
+    // Ends every open session of a user, e.g. when an admin deactivates the account
+    revokeAllForUser(userId, reason) {
+        return this.db.transaction(['sessions'], async () => {
+            const sessions = await this.db.sessions.filter(session =>
+                session.userId === userId && !session.revokedAt
+            );
+            for (const session of sessions) {
+                await this.revokeSession(session.id, reason);
+            }
+            return sessions.length;
+        });
+    }
+
+    /**
+     * Drop sessions that can no longer be refreshed: expired or revoked. Access tokens naming a
+     * dropped session are rejected just like those of a revoked one - even when a new session
+     * reuses the id, its accessKey differs. Runs inside the sessions transaction of a login or refresh.
+     */
+    async purgeStale(now = new Date()) {
+        const stale = await this.db.sessions.filter(session =>
+            Boolean(session.revokedAt) || new Date(session.expiresAt) <= now
+        );
+        for (const session of stale) {
+            await this.db.sessions.remove(session.id);
+        }
+        return stale.length;
+    }
+
+    revokeSession(id, reason) {
+        return this.db.sessions.update(id, {
+            revokedAt: new Date().toISOString(),
+            revokedReason: reason
+        });
+    }
+
+    /**
+     * Check an access token's signature, expiry and session. Resolves to the token payload;
+     * rejects with a 401 ServiceError (TOKEN_EXPIRED, INVALID_TOKEN, INVALID_PAYLOAD or
+     * TOKEN_REVOKED) otherwise.
+     */
+    async verifyAccessToken(token) {
+        let payload;
+        try {
+            payload = jwt.verify(token, this.jwtSecret);
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new ServiceError(401, 'Token has expired', 'TOKEN_EXPIRED');
+            }
+            throw new ServiceError(401, 'Invalid token', 'INVALID_TOKEN');
+        }
+
+        if (!payload.id || !payload.email || !payload.sid || !payload.skey) {
+            throw new ServiceError(401, 'Invalid token payload', 'INVALID_PAYLOAD');
+        }
+
+        const session = await this.db.sessions.findById(payload.sid);
+        if (!session || session.revokedAt || session.userId !== payload.id || !sameKey(session.accessKey, payload.skey)) {
+            throw new ServiceError(401, 'Token has been revoked', 'TOKEN_REVOKED');
+        }
+
+        return payload;
+    }
+
+    tokensFor(user, session, refreshToken) {
+        const accessToken = jwt.sign({
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            role: normalizeRole(user.role),
+            permissions: permissionsFor(user.role),
+            emailVerified: isEmailVerified(user),
+            sid: session.id,
+            skey: session.accessKey
+        }, this.jwtSecret, { expiresIn: this.accessTokenExpiry });
+
+        return {
+            accessToken,
+            refreshToken,
+            refreshTokenExpiresAt: session.expiresAt
+        };
+    }
+
+    refreshExpiry(from) {
+        return new Date(from.getTime() + this.refreshTokenDays * DAY_MS).toISOString();
+    }
+}
+
+function generateRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+function generateSessionKey() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function sameKey(expected, actual) {
+    if (typeof expected !== 'string' || typeof actual !== 'string' || expected.length !== actual.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+    SessionService
+};
@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { ServiceError } = require('./errors');
+const { generateSecret, verifyCode, buildOtpauthUrl } = require('./totp');
+const { isStaffRole } = require('./permissions');
+
+const CHALLENGE_PURPOSE = 'two-factor-login';
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+const DEFAULT_ISSUER = 'AlandStore';
+
+/**
+ * TOTP second factor. Any user can turn it on from their account page; staff (any role with
+ * permissions) have to, and enrol during their next login if they haven't. Enrolment stores the new secret as pending
+ * until the user proves their app produces matching codes, then hands out single-use recovery
+ * codes (stored as SHA-256 hashes) for when the phone is gone.
+ *
+ * With a second factor, a correct password only earns a short-lived signed challenge token
+ * (see createChallenge); completeLogin trades it plus a code for the logged-in user.
+ */
+class TwoFactorService {
+    constructor(db, userService, options = {}) {
+        this.db = db;
+        this.userService = userService;
+        this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET || 'fallback_secret_change_in_production';
+        this.issuer = options.issuer || DEFAULT_ISSUER;
+    }
+
+    status(user) {
+        return {
+            enabled: Boolean(user.twoFactorEnabled),
+            required: isStaffRole(user.role),
+            recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+        };
+    }
+
+    /**
+     * Start enrolment: store a fresh pending secret and resolve to what the authenticator app
+     * needs - { secret, otpauthUrl, qrCode } with the QR code as a data: URL.
+     */
+    setup(userId) {
+        return this.db.transaction(['users'], async () => {
+            const user = await this.userService.getById(userId);
+
+            if (user.twoFactorEnabled) {
+                throw new ServiceError(409, 'Two-factor authentication is already enabled', 'TWO_FACTOR_ALREADY_ENABLED');
+            }
+
+            const secret = generateSecret();
+            await this.db.users.update(user.id, { twoFactorPendingSecret: secret });
+
+            const otpauthUrl = buildOtpauthUrl({ secret, account: user.email, issuer: this.issuer });
+            return {
+                secret,
+                otpauthUrl,
+                qrCode: await QRCode.toDataURL(otpauthUrl)
+            };
+        });
+    }
+
+    // Finish enrolment with a code from the app. Resolves to { user, recoveryCodes }.
+    async enable(userId, code) {
+        const result = await this.db.transaction(['users'], async () => {
+            const user = await this.userService.getById(userId);
+            return this.completeEnrollment(user, code);
+        });
+
+        if (!result) {
+            throw invalidCodeError();
+        }
+        return result;
+    }
+
+    // Needs a current code or a recovery code. Staff can't turn it off.
+    async disable(userId, code) {
+        const user = await this.userService.getById(userId);
+
+        if (isStaffRole(user.role)) {
+            throw new ServiceError(403, 'Two-factor authentication is required for this role', 'TWO_FACTOR_REQUIRED');
+        }
+
+        return this.db.transaction(['users'], async () => {
+            const current = await this.requireEnabled(userId);
+
+            if (!(await this.consumeCode(current, code))) {
+                throw invalidCodeError();
+            }
+
+            return this.db.users.update(current.id, {
+                twoFactorEnabled: false,
+                twoFactorSecret: null,
+                twoFactorPendingSecret: null,
+                twoFactorRecoveryCodes: [],
+                twoFactorLastStep: null,
+                twoFactorEnabledAt: null
+            });
+        });
+    }
+
+    // Replace all recovery codes. Resolves to the new codes - they can't be shown again later.
+    regenerateRecoveryCodes(userId, code) {
+        return this.db.transaction(['users'], async () => {
+            const user = await this.requireEnabled(userId);
+
+            if (!(await this.consumeCode(user, code))) {
+                throw invalidCodeError();
+            }
+
+            const recoveryCodes = generateRecoveryCodes();
+            await this.db.users.update(user.id, { twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode) });
+            return recoveryCodes;
+        });
+    }
+
+    // Issued by the login endpoints instead of a session once the password has been checked
+    createChallenge(user) {
+        return jwt.sign({ id: user.id, purpose: CHALLENGE_PURPOSE }, this.jwtSecret, { expiresIn: CHALLENGE_TTL });
+    }
+
+    // Enrolment during login, for staff who don't have a second factor yet
+    async startLoginEnrollment(challengeToken) {
+        const user = await this.readChallenge(challengeToken);
+        return this.setup(user.id);
+    }
+
+    /**
+     * Second login step. Accepts a TOTP or recovery code, or during login enrolment the first
+     * code from the new app. Wrong codes count towards the account lockout like wrong passwords.
+     * Resolves to { user, recoveryCodes } - recoveryCodes only when this login enrolled the user.
+     */
+    async completeLogin(challengeToken, code, client = {}) {
+        const user = await this.readChallenge(challengeToken);
+        await this.userService.assertCanAttemptLogin(user, client);
+
+        const result = await this.db.transaction(['users'], async () => {
+            const current = await this.userService.getById(user.id);
+
+            if (!current.twoFactorEnabled) {
+                return this.completeEnrollment(current, code);
+            }
+
+            const accepted = await this.consumeCode(current, code);
+            return accepted && { user: accepted, recoveryCodes: null };
+        });
+
+        if (!result) {
+            await this.userService.recordLogin(user, 'invalid_two_factor', client);
+            throw invalidCodeError();
+        }
+
+        return {
+            user: await this.userService.recordLogin(result.user, 'success', client),
+            recoveryCodes: result.recoveryCodes
+        };
+    }
+
+    async readChallenge(challengeToken) {
+        if (!challengeToken || typeof challengeToken !== 'string') {
+            throw new ServiceError(400, 'Two-factor challenge is required', 'TWO_FACTOR_CHALLENGE_REQUIRED');
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(challengeToken, this.jwtSecret);
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new ServiceError(400, 'Two-factor challenge has expired, please log in again', 'TWO_FACTOR_CHALLENGE_EXPIRED');
+            }
+            throw new ServiceError(400, 'Invalid two-factor challenge', 'INVALID_TWO_FACTOR_CHALLENGE');
+        }
+
+        if (payload.purpose !== CHALLENGE_PURPOSE || !payload.id) {
+            throw new ServiceError(400, 'Invalid two-factor challenge', 'INVALID_TWO_FACTOR_CHALLENGE');
+        }
+
+        const user = await this.db.users.findById(payload.id);
+        if (!user || user.isActive === false) {
+            throw new ServiceError(400, 'Invalid two-factor challenge', 'INVALID_TWO_FACTOR_CHALLENGE');
+        }
+        return user;
+    }
+
+    async requireEnabled(userId) {
+        const user = await this.userService.getById(userId);
+
+        if (!user.twoFactorEnabled) {
+            throw new ServiceError(409, 'Two-factor authentication is not enabled', 'TWO_FACTOR_NOT_ENABLED');
+        }
+        return user;
+    }
+
+    // Resolves to { user, recoveryCodes } when code matches the pending secret, otherwise null
+    async completeEnrollment(user, code) {
+        if (!user.twoFactorPendingSecret) {
+            throw new ServiceError(400, 'Start two-factor setup first', 'TWO_FACTOR_SETUP_REQUIRED');
+        }
+
+        const step = verifyCode(user.twoFactorPendingSecret, code);
+        if (step === null) return null;
+
+        const recoveryCodes = generateRecoveryCodes();
+        const updated = await this.db.users.update(user.id, {
+            twoFactorEnabled: true,
+            twoFactorSecret: user.twoFactorPendingSecret,
+            twoFactorPendingSecret: null,
+            twoFactorRecoveryCodes: recoveryCodes.map(hashRecoveryCode),
+            twoFactorLastStep: step,
+            twoFactorEnabledAt: new Date().toISOString()
+        });
+
+        return { user: updated, recoveryCodes };
+    }
+
+    // Resolves to the updated user when code is a fresh TOTP code or an unused recovery code,
+    // otherwise null. A TOTP code is refused once used; a recovery code is used up.
+    async consumeCode(user, code) {
+        const step = verifyCode(user.twoFactorSecret, code);
+        if (step !== null) {
+            if (user.twoFactorLastStep !== null && user.twoFactorLastStep !== undefined && step <= user.twoFactorLastStep) {
+                return null;
+            }
+            return this.db.users.update(user.id, { twoFactorLastStep: step });
+        }
+
+        const hash = hashRecoveryCode(code);
+        const remaining = user.twoFactorRecoveryCodes || [];
+        if (!remaining.includes(hash)) return null;
+
+        return this.db.users.update(user.id, {
+            twoFactorRecoveryCodes: remaining.filter(stored => stored !== hash)
+        });
+    }
+}
+
+// Staff accounts can't be logged into with a password alone
+function requiresTwoFactor(user) {
+    return Boolean(user.twoFactorEnabled) || isStaffRole(user.role);
+}
+
+function invalidCodeError() {
+    return new ServiceError(400, 'Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+}
+
+// Shown to the user as xxxxx-xxxxx
+function generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+}
+
+function hashRecoveryCode(code) {
+    const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+    TwoFactorService,
+    requiresTwoFactor
+};
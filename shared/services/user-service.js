@@ -0,0 +1,548 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { ServiceError, ValidationError } = require('./errors');
+const { sanitizeInput, isValidEmail, toInteger, toBoolean, FieldErrors } = require('./validation');
+const { isEmailVerified } = require('./email-verification-service');
+const { requiresTwoFactor } = require('./two-factor-service');
+const { USER_ROLES, normalizeRole, permissionsFor, canManageRole } = require('./permissions');
+
+const DEFAULT_ROLE = 'user';
+const USER_STATUSES = ['active', 'inactive'];
+
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_MAX_LENGTH = 128;
+
+const MINUTE_MS = 60 * 1000;
+
+// Brute-force protection per account, on top of the per-IP limits in front of the login routes.
+// From the third consecutive failure each attempt has to wait twice as long as the last one,
+// and maxFailedLogins failures lock the account for lockoutMinutes.
+const LOGIN_DELAY_AFTER_FAILURES = 3;
+const LOGIN_MAX_DELAY_SECONDS = 30;
+const DEFAULT_MAX_FAILED_LOGINS = 10;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+// Login history entries kept per account, newest first
+const LOGIN_HISTORY_LIMIT = 50;
+const LOGIN_RESULTS = [
+    'success',
+    'invalid_password',
+    'two_factor_required',
+    'invalid_two_factor',
+    'blocked',
+    'deactivated',
+    'password_reset_required'
+];
+// Results that count towards the lockout
+const FAILED_LOGIN_RESULTS = ['invalid_password', 'invalid_two_factor'];
+
+// Registration, credential checks and admin account management. Tokens are SessionService's job.
+class UserService {
+    constructor(db, options = {}) {
+        this.db = db;
+        this.saltRounds = options.saltRounds || parseInt(process.env.BCRYPT_SALT_ROUNDS) || 12;
+        // Optional - when present, locking an account out also ends its open sessions
+        this.sessionService = options.sessionService || null;
+        this.maxFailedLogins = options.maxFailedLogins || parseInt(process.env.LOGIN_MAX_ATTEMPTS) || DEFAULT_MAX_FAILED_LOGINS;
+        this.lockoutMinutes = options.lockoutMinutes || parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || DEFAULT_LOCKOUT_MINUTES;
+    }
+
+    async getById(id) {
+        const user = await this.db.users.findById(id);
+
+        if (!user) {
+            throw new ServiceError(404, 'User not found', 'USER_NOT_FOUND');
+        }
+        return user;
+    }
+
+    findByEmail(email) {
+        const normalized = normalizeEmail(email);
+        return this.db.users.findOne(user => user.email.toLowerCase() === normalized);
+    }
+
+    // Resolves to null when the password is acceptable, otherwise the reason it isn't
+    checkPassword(password) {
+        if (!password || typeof password !== 'string') {
+            return 'Password is required';
+        }
+
+        if (password.length < PASSWORD_MIN_LENGTH || password.length > PASSWORD_MAX_LENGTH) {
+            return `Password must be between ${PASSWORD_MIN_LENGTH} and ${PASSWORD_MAX_LENGTH} characters`;
+        }
+
+        if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/\d/.test(password) || !/[^A-Za-z\d]/.test(password)) {
+            return 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character';
+        }
+
+        return null;
+    }
+
+    validateRegistration(input) {
+        const check = new FieldErrors();
+
+        const username = check.string(input, 'username', 'Username', { min: 3, max: 30 });
+        if (username && !/^[a-zA-Z0-9_]+$/.test(username)) {
+            check.add('username', 'Username can only contain letters, numbers, and underscores');
+        }
+
+        const email = check.string(input, 'email', 'Email', { min: 3, max: 254 });
+        if (email && !isValidEmail(email)) {
+            check.add('email', 'Must be a valid email address');
+        }
+
+        const passwordProblem = this.checkPassword(input.password);
+        if (passwordProblem) {
+            check.add('password', passwordProblem);
+        }
+
+        const fullName = check.string(input, 'fullName', 'Full name', { min: 2, max: 100 });
+        if (fullName && !/^[a-zA-Z\s]+$/.test(fullName)) {
+            check.add('fullName', 'Full name can only contain letters and spaces');
+        }
+
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+
+        return {
+            username: username.toLowerCase(),
+            email: email.toLowerCase(),
+            password: input.password,
+            fullName
+        };
+    }
+
+    // Resolves to the stored user (including the password hash - use toPublic before returning it)
+    async register(input) {
+        const fields = this.validateRegistration(input);
+
+        const existingUser = await this.db.users.findOne(user =>
+            user.email.toLowerCase() === fields.email ||
+            user.username.toLowerCase() === fields.username
+        );
+
+        if (existingUser) {
+            throw new ServiceError(409, 'User already exists with this email or username', 'USER_EXISTS');
+        }
+
+        const hashedPassword = await bcrypt.hash(fields.password, this.saltRounds);
+
+        return this.db.users.insert({
+            username: fields.username,
+            email: fields.email,
+            password: hashedPassword,
+            fullName: fields.fullName,
+            role: DEFAULT_ROLE,
+            isActive: true,
+            createdAt: new Date().toISOString(),
+            lastLogin: null,
+            // Until the emailed link is opened - see EmailVerificationService
+            emailVerified: false,
+            twoFactorEnabled: false
+        });
+    }
+
+    /**
+     * Check an email/password pair and record the attempt in the account's login history.
+     * client is { ip, userAgent }. Unknown emails and wrong passwords get the same error so
+     * accounts can't be enumerated - a deactivated account is only reported as such once the
+     * right password has been given. Emails with too many recent failures - whether or not an
+     * account exists - are refused with a 429 (LOGIN_DELAYED or ACCOUNT_LOCKED, retryAfter in
+     * seconds) before the password is checked. Resolves to the updated user; accounts with a second factor (see
+     * TwoFactorService) are only logged in once TwoFactorService.completeLogin accepts a code.
+     */
+    async authenticate(email, password, client = {}) {
+        if (!isValidEmail(email) || !password) {
+            throw new ServiceError(400, 'Email and password are required', 'VALIDATION_ERROR');
+        }
+
+        const user = await this.findByEmail(email);
+
+        if (!user) {
+            return this.rejectUnknownEmail(email, password);
+        }
+
+        await this.assertCanAttemptLogin(user, client);
+
+        const isValidPassword = await bcrypt.compare(password, user.password);
+
+        if (!isValidPassword) {
+            await this.recordLogin(user, 'invalid_password', client);
+            throw new ServiceError(401, 'Invalid email or password', 'INVALID_CREDENTIALS');
+        }
+
+        if (!isActive(user)) {
+            await this.recordLogin(user, 'deactivated', client);
+            throw new ServiceError(403, 'Account is deactivated', 'ACCOUNT_DEACTIVATED');
+        }
+
+        if (user.passwordResetRequired) {
+            await this.recordLogin(user, 'password_reset_required', client);
+            throw new ServiceError(403, 'Password reset required', 'PASSWORD_RESET_REQUIRED');
+        }
+
+        if (requiresTwoFactor(user)) {
+            return this.recordLogin(user, 'two_factor_required', client);
+        }
+
+        return this.recordLogin(user, 'success', client);
+    }
+
+    // Refuse (and record) an attempt on an account that is locked or has to wait
+    async assertCanAttemptLogin(user, client = {}) {
+        const wait = this.loginWait(user);
+        if (!wait) return;
+
+        await this.recordLogin(user, 'blocked', client);
+        throw loginWaitError(wait);
+    }
+
+    /**
+     * Emails without an account get the same delays, lockout and password hashing as real
+     * ones - their failures are counted in failedLogins - so neither the response nor its
+     * timing tells whether the account exists. Always rejects.
+     */
+    async rejectUnknownEmail(email, password) {
+        const normalized = normalizeEmail(email);
+        const tracker = await this.db.failedLogins.findOne(entry => entry.email === normalized);
+
+        const wait = tracker && this.loginWait(tracker);
+        if (wait) {
+            throw loginWaitError(wait);
+        }
+
+        await bcrypt.compare(password, await this.unusedPasswordHash());
+
+        await this.db.transaction(['failedLogins'], async () => {
+            const now = new Date();
+            const current = await this.db.failedLogins.findOne(entry => entry.email === normalized);
+            const changes = this.failedLoginChanges(current || {}, now);
+
+            if (current) {
+                await this.db.failedLogins.update(current.id, changes);
+            } else {
+                await this.db.failedLogins.insert({ email: normalized, ...changes });
+            }
+
+            // Forget emails whose failures and lock have run out
+            const expired = await this.db.failedLogins.filter(entry =>
+                entry.email !== normalized && !this.recentFailures(entry, now.getTime()) &&
+                !(entry.lockedUntil && new Date(entry.lockedUntil) > now));
+            for (const entry of expired) {
+                await this.db.failedLogins.remove(entry.id);
+            }
+        });
+
+        throw new ServiceError(401, 'Invalid email or password', 'INVALID_CREDENTIALS');
+    }
+
+    // A hash at the configured cost, compared against when there is no account to check
+    unusedPasswordHash() {
+        if (!this.unusedHash) {
+            this.unusedHash = bcrypt.hash(crypto.randomBytes(16).toString('hex'), this.saltRounds);
+        }
+        return this.unusedHash;
+    }
+
+    // Counter changes for one more failure; reaching maxFailedLogins locks for lockoutMinutes
+    failedLoginChanges(current, now) {
+        const failures = this.recentFailures(current, now.getTime()) + 1;
+        const changes = {
+            failedLoginAttempts: failures,
+            lastFailedLoginAt: now.toISOString()
+        };
+
+        if (failures >= this.maxFailedLogins) {
+            changes.failedLoginAttempts = 0;
+            changes.lockedUntil = new Date(now.getTime() + this.lockoutMinutes * MINUTE_MS).toISOString();
+        }
+        return changes;
+    }
+
+    // Resolves to null when the account may try a password now, otherwise { seconds, locked }
+    loginWait(user, now = Date.now()) {
+        const lockedUntil = user.lockedUntil ? new Date(user.lockedUntil).getTime() : 0;
+        if (lockedUntil > now) {
+            return { seconds: Math.ceil((lockedUntil - now) / 1000), locked: true };
+        }
+
+        const failures = this.recentFailures(user, now);
+        if (failures < LOGIN_DELAY_AFTER_FAILURES) {
+            return null;
+        }
+
+        const delaySeconds = Math.min(2 ** (failures - LOGIN_DELAY_AFTER_FAILURES), LOGIN_MAX_DELAY_SECONDS);
+        const retryAt = new Date(user.lastFailedLoginAt).getTime() + delaySeconds * 1000;
+
+        return retryAt > now ? { seconds: Math.ceil((retryAt - now) / 1000), locked: false } : null;
+    }
+
+    // Consecutive failures, forgotten once the last one is older than the lockout period
+    recentFailures(user, now = Date.now()) {
+        if (!user.failedLoginAttempts || !user.lastFailedLoginAt) return 0;
+
+        const lastFailure = new Date(user.lastFailedLoginAt).getTime();
+        return now - lastFailure < this.lockoutMinutes * MINUTE_MS ? user.failedLoginAttempts : 0;
+    }
+
+    /**
+     * Append a login attempt to the history and update the account's failure counter:
+     * a success clears it, a wrong password or second-factor code raises it and may lock the account.
+     * Resolves to the updated user.
+     */
+    recordLogin(user, result, client = {}) {
+        return this.db.transaction(['users', 'loginHistory'], async () => {
+            const now = new Date();
+
+            await this.db.loginHistory.insert({
+                userId: user.id,
+                result,
+                ip: client.ip || null,
+                userAgent: client.userAgent ? String(client.userAgent).slice(0, 300) : null,
+                createdAt: now.toISOString()
+            });
+
+            const entries = await this.db.loginHistory.filter(entry => entry.userId === user.id);
+            entries.sort((a, b) => b.id - a.id);
+            for (const entry of entries.slice(LOGIN_HISTORY_LIMIT)) {
+                await this.db.loginHistory.remove(entry.id);
+            }
+
+            if (result === 'success') {
+                return this.db.users.update(user.id, {
+                    lastLogin: now.toISOString(),
+                    failedLoginAttempts: 0,
+                    lastFailedLoginAt: null,
+                    lockedUntil: null
+                });
+            }
+
+            if (FAILED_LOGIN_RESULTS.includes(result)) {
+                // Re-read so parallel attempts all count
+                const current = await this.getById(user.id);
+                return this.db.users.update(user.id, this.failedLoginChanges(current, now));
+            }
+
+            return user;
+        });
+    }
+
+    // Newest first. Resolves to { history, total }.
+    async listLoginHistory(userId, { limit = 20, offset = 0 } = {}) {
+        const user = await this.getById(userId);
+
+        const pageSize = Math.max(1, Math.min(LOGIN_HISTORY_LIMIT, toInteger(limit) || 20));
+        const start = Math.max(0, toInteger(offset) || 0);
+
+        const entries = await this.db.loginHistory.filter(entry => entry.userId === user.id);
+        entries.sort((a, b) => b.id - a.id);
+
+        return {
+            history: entries.slice(start, start + pageSize).map(({ id, result, ip, userAgent, createdAt }) => ({
+                id,
+                result,
+                ip,
+                userAgent,
+                createdAt
+            })),
+            total: entries.length
+        };
+    }
+
+    /**
+     * Admin listing, oldest account first. search matches username, email and full name;
+     * status is "active" or "inactive". Resolves to { users, total } with public fields only.
+     */
+    async list({ search = '', role = '', status = '', limit = 20, offset = 0 } = {}) {
+        const check = new FieldErrors();
+
+        if (role && !USER_ROLES.includes(role)) {
+            check.add('role', `Role must be one of: ${USER_ROLES.join(', ')}`);
+        }
+        if (status && !USER_STATUSES.includes(status)) {
+            check.add('status', `Status must be one of: ${USER_STATUSES.join(', ')}`);
+        }
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+
+        const term = sanitizeInput(String(search)).toLowerCase();
+        const pageSize = Math.max(1, Math.min(100, toInteger(limit) || 20));
+        const start = Math.max(0, toInteger(offset) || 0);
+
+        const users = await this.db.users.filter(user =>
+            (!role || normalizeRole(user.role) === role) &&
+            (!status || (status === 'active') === isActive(user)) &&
+            (!term || [user.username, user.email, user.fullName].some(value =>
+                String(value || '').toLowerCase().includes(term)
+            ))
+        );
+
+        users.sort((a, b) => a.id - b.id);
+
+        return {
+            users: users.slice(start, start + pageSize).map(user => this.toPublic(user)),
+            total: users.length
+        };
+    }
+
+    /**
+     * Staff change of role and/or active flag. Nobody can change their own account, staff
+     * can't give or take away permissions they don't hold themselves, and the last active
+     * owner can't be demoted or deactivated. Resolves to { user, changes }.
+     */
+    update(id, input = {}, actor = {}) {
+        return this.db.transaction(['users', 'sessions'], async () => {
+            const user = await this.getById(id);
+            const changes = {};
+
+            if (input.role !== undefined && input.role !== normalizeRole(user.role)) {
+                if (!USER_ROLES.includes(input.role)) {
+                    throw new ServiceError(400, `Role must be one of: ${USER_ROLES.join(', ')}`, 'INVALID_ROLE');
+                }
+                changes.role = input.role;
+            }
+
+            if (input.isActive !== undefined && toBoolean(input.isActive) !== isActive(user)) {
+                changes.isActive = toBoolean(input.isActive);
+            }
+
+            if (Object.keys(changes).length === 0) {
+                throw new ServiceError(400, 'No valid changes provided', 'NO_CHANGES');
+            }
+
+            assertNotSelf(user, actor);
+            assertCanManage(user, actor);
+            if (changes.role !== undefined && actor.role !== undefined && !canManageRole(actor.role, changes.role)) {
+                throw new ServiceError(403, 'You cannot assign a role with permissions you do not have', 'ROLE_NOT_ALLOWED');
+            }
+
+            const losesOwner = normalizeRole(user.role) === 'owner' && isActive(user) &&
+                (changes.role !== undefined || changes.isActive === false);
+            if (losesOwner) {
+                const activeOwners = await this.db.users.filter(other => normalizeRole(other.role) === 'owner' && isActive(other));
+                if (activeOwners.length <= 1) {
+                    throw new ServiceError(409, 'At least one active owner is required', 'LAST_OWNER');
+                }
+            }
+
+            const updated = await this.db.users.update(user.id, {
+                ...changes,
+                updatedAt: new Date().toISOString()
+            });
+
+            // A role change needs tokens carrying the new role, so it signs the user out too
+            if (changes.isActive === false || changes.role !== undefined) {
+                await this.endSessions(user.id, changes.isActive === false ? 'account_deactivated' : 'role_changed');
+            }
+
+            return { user: updated, changes };
+        });
+    }
+
+    // Blocks password logins for the account until the user sets a new password
+    requirePasswordReset(id, actor = {}) {
+        return this.db.transaction(['users', 'sessions'], async () => {
+            const user = await this.getById(id);
+            assertNotSelf(user, actor);
+            assertCanManage(user, actor);
+
+            const updated = await this.db.users.update(user.id, {
+                passwordResetRequired: true,
+                updatedAt: new Date().toISOString()
+            });
+
+            await this.endSessions(user.id, 'password_reset_required');
+            return updated;
+        });
+    }
+
+    /**
+     * Replace a user's password, e.g. from a reset link. Clears passwordResetRequired and
+     * signs the account out everywhere. Resolves to the updated user.
+     */
+    setPassword(id, password) {
+        const problem = this.checkPassword(password);
+        if (problem) {
+            return Promise.reject(new ValidationError([{ field: 'password', message: problem }]));
+        }
+
+        return this.db.transaction(['users', 'sessions'], async () => {
+            const user = await this.getById(id);
+            const hashedPassword = await bcrypt.hash(password, this.saltRounds);
+
+            const updated = await this.db.users.update(user.id, {
+                password: hashedPassword,
+                passwordResetRequired: false,
+                // Whoever holds the reset link owns the account, so lift any lockout
+                failedLoginAttempts: 0,
+                lockedUntil: null,
+                passwordChangedAt: new Date().toISOString(),
+                updatedAt: new Date().toISOString()
+            });
+
+            await this.endSessions(user.id, 'password_changed');
+            return updated;
+        });
+    }
+
+    endSessions(userId, reason) {
+        return this.sessionService ? this.sessionService.revokeAllForUser(userId, reason) : Promise.resolve(0);
+    }
+
+    // User fields that are safe to send to clients
+    toPublic(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            email: user.email,
+            fullName: user.fullName,
+            role: normalizeRole(user.role),
+            permissions: permissionsFor(user.role),
+            createdAt: user.createdAt,
+            lastLogin: user.lastLogin,
+            isActive: isActive(user),
+            emailVerified: isEmailVerified(user),
+            passwordResetRequired: Boolean(user.passwordResetRequired),
+            twoFactorEnabled: Boolean(user.twoFactorEnabled),
+            lockedUntil: user.lockedUntil && new Date(user.lockedUntil) > new Date() ? user.lockedUntil : null
+        };
+    }
+}
+
+// Accounts created before the flag existed are active
+function isActive(user) {
+    return user.isActive !== false;
+}
+
+function assertNotSelf(user, actor) {
+    if (actor.id !== undefined && actor.id === user.id) {
+        throw new ServiceError(400, 'You cannot change your own account here', 'CANNOT_MODIFY_SELF');
+    }
+}
+
+// actor.role is left out by internal callers, which may change any account
+function assertCanManage(user, actor) {
+    if (actor.role !== undefined && !canManageRole(actor.role, user.role)) {
+        throw new ServiceError(403, 'You cannot change an account with permissions you do not have', 'ROLE_NOT_ALLOWED');
+    }
+}
+
+function loginWaitError(wait) {
+    return wait.locked
+        ? new ServiceError(429, 'Account is temporarily locked after too many failed logins', 'ACCOUNT_LOCKED', { retryAfter: wait.seconds })
+        : new ServiceError(429, `Too many failed logins, try again in ${wait.seconds} seconds`, 'LOGIN_DELAYED', { retryAfter: wait.seconds });
+}
+
+function normalizeEmail(email) {
+    return sanitizeInput(String(email || '')).toLowerCase();
+}
+
+module.exports = {
+    UserService,
+    USER_ROLES,
+    USER_STATUSES,
+    LOGIN_RESULTS,
+    DEFAULT_ROLE
+};
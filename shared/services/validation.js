@@ -0,0 +1,85 @@
+// Small parsing helpers shared by the services. Inputs arrive either as JSON (Netlify, API
+// clients) or as multipart form fields (admin product form), so numbers and booleans may be strings.
+
+function sanitizeInput(input) {
+    if (typeof input !== 'string') return input;
+    return input.trim().replace(/[<>"']/g, '');
+}
+
+function isValidEmail(email) {
+    return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Resolves to the integer value, or null when the input isn't a whole number
+function toInteger(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = Number(value);
+    return Number.isInteger(number) ? number : null;
+}
+
+function toBoolean(value) {
+    if (typeof value === 'string') {
+        return ['true', '1', 'on', 'yes'].includes(value.trim().toLowerCase());
+    }
+    return Boolean(value);
+}
+
+// Collects { field, message } entries so every problem is reported at once
+class FieldErrors {
+    constructor() {
+        this.errors = [];
+    }
+
+    add(field, message) {
+        this.errors.push({ field, message });
+    }
+
+    get isEmpty() {
+        return this.errors.length === 0;
+    }
+
+    // Trims and sanitizes a string field, recording an error when its length is out of range
+    string(input, field, label, { min, max, required = true }) {
+        const value = input[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (required) this.add(field, `${label} is required`);
+            return undefined;
+        }
+
+        if (typeof value !== 'string') {
+            this.add(field, `${label} must be text`);
+            return undefined;
+        }
+
+        const sanitized = sanitizeInput(value);
+        if (sanitized.length < min || sanitized.length > max) {
+            this.add(field, `${label} must be between ${min} and ${max} characters`);
+        }
+        return sanitized;
+    }
+
+    integer(input, field, label, { min, max, required = true }) {
+        const value = input[field];
+
+        if (value === undefined || value === null || value === '') {
+            if (required) this.add(field, `${label} is required`);
+            return undefined;
+        }
+
+        const number = toInteger(value);
+        if (number === null || number < min || number > max) {
+            this.add(field, `${label} must be a whole number between ${min} and ${max}`);
+            return undefined;
+        }
+        return number;
+    }
+}
+
+module.exports = {
+    sanitizeInput,
+    isValidEmail,
+    toInteger,
+    toBoolean,
+    FieldErrors
+};
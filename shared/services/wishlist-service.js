@@ -0,0 +1,121 @@
+const { ServiceError, ValidationError } = require('./errors');
+const { FieldErrors } = require('./validation');
+
+const MAX_WISHLIST_ITEMS = 100;
+
+/**
+ * Products a customer saved for later, one entry per product. Each entry keeps the name, image
+ * and price the product had when it was added, so the wishlist can still show what it was after
+ * the product has been deleted. Listing checks every entry against the catalog and flags the
+ * ones that can't be bought right now.
+ */
+class WishlistService {
+    constructor(db, productService) {
+        this.db = db;
+        this.productService = productService;
+    }
+
+    /**
+     * The customer's wishlist, most recently added first. Each entry is
+     * { id, productId, name, image, price, addedAt, availability, product } where availability is
+     * 'in_stock', 'out_of_stock' or 'unavailable' (deleted or deactivated) and product is the
+     * current catalog product, or null once it has been deleted.
+     */
+    async list(userId) {
+        const [items, products] = await Promise.all([
+            this.db.wishlists.filter(item => item.userId === userId),
+            this.db.products.findAll()
+        ]);
+        const byId = new Map(products.map(product => [product.id, product]));
+
+        return items
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.id - a.id)
+            .map(item => this.describe(item, byId.get(item.productId) || null));
+    }
+
+    /**
+     * Save a product: { productId }. Adding a product that is already on the wishlist changes
+     * nothing. Resolves to { item, created }.
+     */
+    add(userId, input = {}) {
+        const check = new FieldErrors();
+        const productId = check.integer(input, 'productId', 'Product', { min: 1, max: Number.MAX_SAFE_INTEGER });
+
+        if (!check.isEmpty) {
+            throw new ValidationError(check.errors);
+        }
+
+        return this.db.transaction(['wishlists'], async () => {
+            const product = await this.productService.getById(productId);
+
+            const existing = await this.findItem(userId, product.id);
+            if (existing) {
+                return { item: this.describe(existing, product), created: false };
+            }
+
+            if (!this.productService.isAvailable(product)) {
+                throw new ServiceError(400, `Product "${product.name}" is not available`, 'PRODUCT_UNAVAILABLE');
+            }
+
+            const count = (await this.db.wishlists.filter(item => item.userId === userId)).length;
+            if (count >= MAX_WISHLIST_ITEMS) {
+                throw new ServiceError(409, `A wishlist can hold at most ${MAX_WISHLIST_ITEMS} products`, 'WISHLIST_FULL');
+            }
+
+            const item = await this.db.wishlists.insert({
+                userId,
+                productId: product.id,
+                name: product.name,
+                image: product.image,
+                price: product.price,
+                createdAt: new Date().toISOString()
+            });
+
+            return { item: this.describe(item, product), created: true };
+        });
+    }
+
+    // Take a product off the wishlist. Works for deleted products too.
+    remove(userId, productId) {
+        return this.db.transaction(['wishlists'], async () => {
+            const existing = await this.findItem(userId, parseInt(productId));
+
+            if (!existing) {
+                throw new ServiceError(404, 'Product is not on your wishlist', 'WISHLIST_ITEM_NOT_FOUND');
+            }
+
+            await this.db.wishlists.remove(existing.id);
+            return existing;
+        });
+    }
+
+    findItem(userId, productId) {
+        return this.db.wishlists.findOne(item => item.userId === userId && item.productId === productId);
+    }
+
+    // The entry as the API returns it, checked against the current product (null when deleted)
+    describe(item, product) {
+        let availability = 'in_stock';
+        if (!product || !this.productService.isAvailable(product)) {
+            availability = 'unavailable';
+        } else if ((product.stock || 0) <= 0) {
+            availability = 'out_of_stock';
+        }
+
+        return {
+            id: item.id,
+            productId: item.productId,
+            name: product ? product.name : item.name,
+            image: product ? product.image : item.image,
+            price: product ? product.price : item.price,
+            addedAt: item.createdAt,
+            availability,
+            product
+        };
+    }
+}
+
+module.exports = {
+    WishlistService,
+    MAX_WISHLIST_ITEMS
+};